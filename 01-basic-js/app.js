@@ -12,6 +12,7 @@
  * Other features:
  * - Sends an initial prompt triggering a voice greeting on successful connection.
  * - A status display shows the current state of the connection.
+ * - A badge next to the status shows the connection quality, with exportable network stats.
  * - Comprehensive console logging of events for observability and debugging.
  *
  *
@@ -19,6 +20,9 @@
  * The key is obtained through a call to a custom auth server.
  * See `../auth-server/README.md` for details.
  *
+ * The WebRTC connection, microphone capture and audio playback are handled by
+ * the shared `RealtimeClient` in `../core/realtime-client.js`.
+ *
  * Relevant links:
  * - https://platform.openai.com/docs/guides/realtime-webrtc
  * - https://platform.openai.com/docs/api-reference/realtime
@@ -27,6 +31,9 @@
  *
  */
 
+import { RealtimeClient } from "../core/realtime-client.js";
+import { ConnectionQualityIndicator } from "../core/connection-quality-indicator.js";
+
 // URL to the auth server
 const SERVER_URL = "localhost:3000";
 // OpenAI realtime model
@@ -60,18 +67,28 @@ class RealtimeDemo {
    */
   constructor() {
     // Initialize state
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.isConnected = false;
-    this.dataChannel = null;
     this.hasWelcomed = false;
-    this.audioElement = null;
     this.isTalking = true; // Start with mic enabled
 
+    // Connection to the Realtime API
+    this.client = new RealtimeClient({
+      serverUrl: SERVER_URL,
+      model: MODEL,
+      voice: VOICE,
+      onOpen: () => this.handleOpen(),
+      onClose: () => this.handleClose(),
+    });
+    this.subscribeToEvents();
+
     // Get DOM elements
     this.connectionButton = document.getElementById("connection-button");
     this.micButton = document.getElementById("mic-button");
     this.statusDiv = document.getElementById("status");
+    this.qualityIndicator = new ConnectionQualityIndicator({
+      client: this.client,
+      indicator: document.getElementById("connection-quality"),
+      exportButton: document.getElementById("export-stats-button"),
+    });
 
     // Bind event listeners
     this.connectionButton.addEventListener("click", () =>
@@ -92,288 +109,108 @@ class RealtimeDemo {
   /**
    * Cleanup
    * Properly closes all connections and frees resources:
-   * - Stops media streams
-   * - Closes WebRTC connection
-   * - Removes audio elements
+   * - Closes the Realtime connection (media streams, WebRTC, audio element)
    * - Resets UI state
    */
   closeConnection() {
-    if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach((track) => track.stop());
-    }
-    if (this.peerConnection) {
-      this.peerConnection.close();
-    }
-    if (this.audioElement) {
-      this.audioElement.remove();
-    }
-    if (this.dataChannel) {
-      this.dataChannel.close();
-    }
+    this.client.close();
 
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.audioElement = null;
-    this.dataChannel = null;
-    this.isConnected = false;
     this.isTalking = true; // Reset to enabled state
     this.micButton.disabled = true;
     this.micButton.textContent = "Unmute Mic";
     this.connectionButton.textContent = "Create Connection";
+    this.qualityIndicator.hide();
     this.updateStatus("Not connected");
   }
 
   /**
-   * Incoming audio setup
-   * Sets up the audio element to play remote audio from the API.
-   *
-   * @throws {Error} If audio element setup fails
-   */
-  async setupIncomingAudio() {
-    try {
-      // Set up audio element first
-      // Note: This is a hacky way to get audio playback working.
-      // Creating invisible auto-playing audio DOM elements is not accessible.
-      this.audioElement = document.createElement("audio");
-      this.audioElement.autoplay = true;
-      document.body.appendChild(this.audioElement);
-
-      // Set up to play remote audio from the API
-      this.peerConnection.ontrack = (event) => {
-        console.log("Received remote track:", event.track.kind);
-        this.audioElement.srcObject = event.streams[0];
-
-        // Add `canplay` event listener to ensure audio is ready
-        this.audioElement.addEventListener(
-          "canplay",
-          () => {
-            console.log("Audio is ready to play");
-            this.audioElement
-              .play()
-              .catch((e) => console.error("Error playing audio:", e));
-          },
-          { once: true }
-        );
-      };
-    } catch (error) {
-      this.updateStatus("Error setting up incoming audio: " + error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Microphone Setup
-   * Requests microphone access and adds the audio track to the WebRTC connection.
-   * NOTE: This triggers a permission dialog in the browser on first use.
-   *
-   * @throws {Error} If microphone access is denied or unavailable
+   * Server Event Subscriptions
+   * Subscribe to the connection events this demo handles
    */
-  async setupMicrophone() {
-    try {
-      // Get local audio track for microphone input
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false,
-      });
-
-      // Add the microphone track to the peer connection
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      audioTrack.enabled = true; // Start unmuted
-      this.peerConnection.addTrack(audioTrack, this.mediaStream);
-      console.log("Microphone setup complete");
-    } catch (error) {
-      this.updateStatus("Error accessing microphone: " + error.message);
-      throw error;
-    }
+  subscribeToEvents() {
+    // Connection dropped, the client reconnects and replays the session
+    this.client.on("connection.reconnecting", ({ attempt, maxAttempts }) => {
+      this.updateStatus(`Connection lost, reconnecting (attempt ${attempt} of ${maxAttempts})...`);
+    });
+    this.client.on("connection.restored", () => {
+      this.updateStatus("Reconnected to Realtime API");
+    });
+    this.client.on("connection.failed", () => {
+      this.closeConnection();
+      this.updateStatus("Connection lost. Create a new connection to continue.");
+    });
   }
 
   /**
-   * WebRTC Event Handlers
-   * Monitor the data channel for events:
-   * - onopen: Send initial greeting, set instructions for the voice assistant
-   * - onclose: Update connection status
-   * - onmessage: Process incoming messages from the API
+   * Data Channel Opened
+   * Send initial greeting, set instructions for the voice assistant
    */
-  setupDataChannelHandlers() {
-    this.dataChannel.onopen = () => {
-      console.log("Data channel opened");
-      this.updateStatus("Connected to Realtime API");
-
-      // On first connection, send a one-time instruction to the API.
-      // The Realtime API responds to text prompts with audio.
-      // Make the API issue a voice greeting when a connection is established.
-      if (!this.hasWelcomed) {
-        console.log("Sending welcome message");
-        const welcomeEvent = {
-          type: "response.create",
-          response: {
-            modalities: ["audio", "text"],
-            // Text prompt to the API
-            instructions: DEFAULT_WELCOME_INSTRUCTIONS,
-            max_output_tokens: MAX_OUTPUT_TOKENS,
-          },
-        };
-        this.dataChannel.send(JSON.stringify(welcomeEvent));
-        this.hasWelcomed = true;
-      }
-
-      // Set instructions for the voice assistant
-      // This becomes the default instructions for the voice assistant.
-      // You can override this by sending a new `session.update` event.
-      // @link https://platform.openai.com/docs/api-reference/realtime-client-events/session
-      const setIntructions = {
-        type: "session.update",
-        session: {
-          instructions: DEFAULT_INSTRUCTIONS,
-          turn_detection: TURN_DETECTION, // Set to 'false' to turn off VAD
-          max_response_output_tokens: MAX_OUTPUT_TOKENS,
+  handleOpen() {
+    this.updateStatus("Connected to Realtime API");
+
+    // On first connection, send a one-time instruction to the API.
+    // The Realtime API responds to text prompts with audio.
+    // Make the API issue a voice greeting when a connection is established.
+    if (!this.hasWelcomed) {
+      console.log("Sending welcome message");
+      const welcomeEvent = {
+        type: "response.create",
+        response: {
+          modalities: ["audio", "text"],
+          // Text prompt to the API
+          instructions: DEFAULT_WELCOME_INSTRUCTIONS,
+          max_output_tokens: MAX_OUTPUT_TOKENS,
         },
       };
-      this.dataChannel.send(JSON.stringify(setIntructions));
-    };
-
-    this.dataChannel.onclose = () => {
-      console.log("Data channel closed");
-      this.updateStatus("Disconnected from Realtime API");
-    };
+      this.client.send(welcomeEvent);
+      this.hasWelcomed = true;
+    }
 
-    this.dataChannel.onmessage = (event) => {
-      const realtimeEvent = JSON.parse(event.data);
-      console.log("Received event:", realtimeEvent);
+    // Set instructions for the voice assistant
+    // This becomes the default instructions for the voice assistant.
+    // You can override this by sending a new `session.update` event.
+    // @link https://platform.openai.com/docs/api-reference/realtime-client-events/session
+    const setIntructions = {
+      type: "session.update",
+      session: {
+        instructions: DEFAULT_INSTRUCTIONS,
+        turn_detection: TURN_DETECTION, // Set to 'false' to turn off VAD
+        max_response_output_tokens: MAX_OUTPUT_TOKENS,
+      },
     };
+    this.client.send(setIntructions);
   }
 
   /**
-   * Authentication
-   * Request an ephemeral API key from the custom auth server.
-   * This approach ensures the OpenAI API key is not exposed to the client.
-   *
-   * The MODEL and VOICE are defined by the auth server through this request.
-   *
-   * @returns {Promise<string>} The ephemeral API key for OpenAI authentication
-   * @throws {Error} If the server request fails
+   * Data Channel Closed
+   * Update connection status
    */
-  async getEphemeralKey() {
-    try {
-      const response = await fetch(`${SERVER_URL}/session`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          voice: VOICE,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || "Failed to get session key");
-      }
-
-      const data = await response.json();
-      return data.client_secret.value;
-    } catch (error) {
-      console.error("Error getting session key:", error);
-      throw error;
-    }
-  }
-
-  /**
-   * WebRTC Setup
-   * Create and configure the WebRTC peer connection with the API.
-   * - Set up basic audio playback for the AI
-   * - Create a data channel for control messages
-   * - Establish a connection using SDP offer/answer
-   *
-   * @param {string} token - The ephemeral API key from getEphemeralKey()
-   * @throws {Error} If WebRTC setup fails
-   */
-  async setupWebRTC(token) {
-    // Step 1: Create peer connection
-    this.peerConnection = new RTCPeerConnection({
-      // Use Google's STUN server for NAT traversal
-      // @link https://developer.mozilla.org/en-US/docs/Web/API/WebRTC_API/Protocols
-      iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
-    });
-
-    // Step 2: Set up incoming audio
-    await this.setupIncomingAudio();
-
-    // Step 3: Create data channel for control messages
-    this.dataChannel = this.peerConnection.createDataChannel("oai-events");
-
-    // Step 4: Set up data channel handlers
-    this.setupDataChannelHandlers();
-
-    try {
-      // Step 5: Get microphone access from the browser
-      await this.setupMicrophone();
-
-      // Step 6: Create a peer connection offer
-      const offer = await this.peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: false,
-      });
-      await this.peerConnection.setLocalDescription(offer);
-
-      // Step 7: Send the offer to the API
-      const response = await fetch(
-        `https://api.openai.com/v1/realtime?model=${MODEL}`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/sdp",
-          },
-          body: offer.sdp,
-        }
-      );
-
-      // Step 8: Check the response from the API
-      if (!response.ok) {
-        throw new Error(
-          `Failed to connect: ${response.status} ${response.statusText}`
-        );
-      }
-
-      // Step 9: Parse the SDP answer from the API
-      // This is when we know the API has accepted the offer and a connection is established.
-      const answer = {
-        type: "answer",
-        sdp: await response.text(),
-      };
-      await this.peerConnection.setRemoteDescription(answer);
-      console.log("WebRTC connection established");
-    } catch (error) {
-      this.updateStatus("Error establishing connection: " + error.message);
-      throw error;
-    }
+  handleClose() {
+    this.updateStatus("Disconnected from Realtime API");
   }
 
   /**
    * The Connection Button
    * - "Create Connection" state: Get ephemeral key, set up WebRTC, enable mic control.
+   *   The MODEL and VOICE are defined by the auth server through the key request,
+   *   so the OpenAI API key is never exposed to the client.
    * - "Close Connection" state: Clean up and reset all resources.
    */
   async toggleConnection() {
-    if (!this.isConnected) {
+    if (!this.client.isConnected) {
       try {
         this.updateStatus("Connecting...");
 
-        // Get the ephemeral key from the auth server
-        const token = await this.getEphemeralKey();
-
-        // Set up WebRTC connection
-        await this.setupWebRTC(token);
+        // Get the ephemeral key from the auth server and set up WebRTC
+        await this.client.connect();
 
         // Enable mic control
-        this.isConnected = true;
         this.micButton.disabled = false;
         this.micButton.textContent = "Mute Mic"; // Start with mic enabled
         this.connectionButton.textContent = "Close Connection";
         this.updateStatus("Connected");
       } catch (error) {
+        this.closeConnection();
         this.updateStatus("Connection failed: " + error.message);
         console.error("Connection error:", error);
       }
@@ -387,16 +224,12 @@ class RealtimeDemo {
    * Enables/disables the microphone input stream
    */
   toggleMic() {
-    if (this.mediaStream) {
+    if (this.client.setMicrophoneEnabled(!this.isTalking)) {
       this.isTalking = !this.isTalking;
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      if (audioTrack) {
-        audioTrack.enabled = this.isTalking;
-        this.micButton.textContent = this.isTalking ? "Mute Mic" : "Unmute Mic";
-        this.updateStatus(
-          this.isTalking ? "Microphone active" : "Microphone muted"
-        );
-      }
+      this.micButton.textContent = this.isTalking ? "Mute Mic" : "Unmute Mic";
+      this.updateStatus(
+        this.isTalking ? "Microphone active" : "Microphone muted"
+      );
     }
   }
 }
@@ -8,8 +8,9 @@
  * Features:
  * - Bidirectional voice communication with the AI
  * - Audio visualization for both user and AI audio
- * - Interruption handling and turn detection
+ * - Interruption handling: the AI's reply is cancelled and truncated to the audio the user heard
  * - Status display showing connection state
+ * - Connection quality indicator with exportable network stats
  * - Comprehensive console logging
  * 
  * NOTE: This demo authenticates API requests using an ephemeral key.
@@ -18,8 +19,10 @@
  */
 
 import { CONFIG } from './config.js';
-import { createVisualizer } from './visualizer.js';
-import { getEphemeralKey } from './auth-api.js';
+import { RealtimeClient } from '../../core/realtime-client.js';
+import { InterruptionHandler } from '../../core/interruption-handler.js';
+import { ConnectionQualityIndicator } from '../../core/connection-quality-indicator.js';
+import { createVisualizer } from '../../core/visualizer.js';
 
 /**
  * RealtimeDemo Class
@@ -31,20 +34,38 @@ class RealtimeDemo {
    */
   constructor() {
     // Initialize state
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.isConnected = false;
-    this.dataChannel = null;
     this.hasWelcomed = false;
-    this.audioElement = null;
     this.isTalking = true; // Start with mic enabled
     this.micVisualizer = null;
     this.aiVisualizer = null;
 
+    // Connection to the Realtime API
+    this.client = new RealtimeClient({
+      serverUrl: CONFIG.API.SERVER_URL,
+      baseUrl: CONFIG.API.BASE_URL,
+      model: CONFIG.API.MODEL,
+      voice: CONFIG.API.VOICE,
+      onOpen: () => this.handleOpen(),
+      onClose: () => this.handleClose(),
+      onMicrophone: (stream) => this.startMicVisualizer(stream),
+      onRemoteAudio: (audioElement, stream) => this.startAiVisualizer(audioElement, stream),
+    });
+
+    // Cancels and truncates the AI's reply when the user talks over it
+    this.interruptionHandler = new InterruptionHandler({
+      client: this.client,
+    });
+    this.subscribeToEvents();
+
     // Get DOM elements
     this.connectionButton = document.getElementById('connection-button');
     this.micButton = document.getElementById('mic-button');
     this.statusDiv = document.getElementById('status');
+    this.qualityIndicator = new ConnectionQualityIndicator({
+      client: this.client,
+      indicator: document.getElementById('connection-quality'),
+      exportButton: document.getElementById('export-stats-button'),
+    });
 
     // Bind event listeners
     this.connectionButton.addEventListener('click', () => this.toggleConnection());
@@ -63,24 +84,12 @@ class RealtimeDemo {
   /**
    * Cleanup
    * Properly closes all connections and frees resources:
-   * - Stops media streams
-   * - Closes WebRTC connection
-   * - Removes audio elements
+   * - Closes the Realtime connection
    * - Resets UI state
    */
   closeConnection() {
-    if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach(track => track.stop());
-    }
-    if (this.peerConnection) {
-      this.peerConnection.close();
-    }
-    if (this.audioElement) {
-      this.audioElement.remove();
-    }
-    if (this.dataChannel) {
-      this.dataChannel.close();
-    }
+    this.client.close();
+    this.interruptionHandler.reset();
     if (this.aiVisualizer) {
       this.aiVisualizer.stop();
     }
@@ -88,199 +97,110 @@ class RealtimeDemo {
       this.micVisualizer.stop();
     }
 
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.audioElement = null;
-    this.dataChannel = null;
     this.micVisualizer = null;
     this.aiVisualizer = null;
-    this.isConnected = false;
     this.isTalking = true; // Reset to enabled state
     this.micButton.disabled = true;
     this.micButton.textContent = 'Unmute Mic';
     this.connectionButton.textContent = 'Create Session';
+    this.qualityIndicator.hide();
     this.updateStatus('Not connected');
   }
 
   /**
-   * Incoming audio setup
-   * Sets up the audio element to play remote audio from the API.
-   * Also initializes the AI audio visualizer.
-   * 
-   * @throws {Error} If audio element setup fails
+   * Microphone Visualizer
+   * Starts the microphone visualizer once the microphone stream is captured.
+   *
+   * @param {MediaStream} stream - The microphone stream
    */
-  async setupIncomingAudio() {
-    try {
-      // Initialize visualizer
-      const aiVisualizer = createVisualizer();
-
-      // Set up audio element
-      this.audioElement = document.createElement('audio');
-      this.audioElement.autoplay = true;
-      document.body.appendChild(this.audioElement);
-
-      // Set up to play remote audio from the API
-      this.peerConnection.ontrack = (event) => {
-        console.log('Received remote track:', event.track.kind);
-        this.audioElement.srcObject = event.streams[0];
-
-        // Add `canplay` event listener to ensure audio is ready
-        this.audioElement.addEventListener('canplay', () => {
-          console.log('Audio is ready to play');
-          this.aiVisualizer = aiVisualizer;
-          if (this.aiVisualizer.init(this.audioElement, event.streams[0])) {
-            console.log('AI Visualizer started successfully');
-          }
-          this.audioElement.play().catch(e => console.error('Error playing audio:', e));
-        }, { once: true });
-      };
-    } catch (error) {
-      this.updateStatus('Error setting up incoming audio: ' + error.message);
-      throw error;
+  startMicVisualizer(stream) {
+    this.micVisualizer = createVisualizer('micVisualizer');
+    if (this.micVisualizer.init(null, stream)) {
+      console.log('Microphone Visualizer started successfully');
     }
   }
 
   /**
-   * Microphone Setup
-   * Requests microphone access and adds the audio track to the WebRTC connection.
-   * Also initializes the microphone visualizer.
-   * 
-   * @throws {Error} If microphone access is denied or unavailable
+   * AI Visualizer
+   * Starts the AI visualizer once remote audio from the API is ready to play.
+   *
+   * @param {HTMLAudioElement} audioElement - The element playing the AI audio
+   * @param {MediaStream} stream - The remote audio stream
    */
-  async setupMicrophone() {
-    try {
-      // Get local audio track for microphone input
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false
-      });
-
-      // Initialize microphone visualizer
-      this.micVisualizer = createVisualizer('micVisualizer');
-      if (this.micVisualizer.init(null, this.mediaStream)) {
-        console.log('Microphone Visualizer started successfully');
-      }
-
-      // Add the microphone track to the peer connection
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      audioTrack.enabled = true; // Start unmuted
-      this.peerConnection.addTrack(audioTrack, this.mediaStream);
-      console.log('Microphone setup complete');
-    } catch (error) {
-      this.updateStatus('Error accessing microphone: ' + error.message);
-      throw error;
+  startAiVisualizer(audioElement, stream) {
+    // After reconnecting, replace the visualizer of the previous connection
+    if (this.aiVisualizer) {
+      this.aiVisualizer.stop();
+    }
+    this.aiVisualizer = createVisualizer();
+    if (this.aiVisualizer.init(audioElement, stream)) {
+      console.log('AI Visualizer started successfully');
     }
   }
 
   /**
-   * WebRTC Event Handlers
-   * Monitor the data channel for events:
-   * - onopen: Send initial greeting, set instructions for the voice assistant
-   * - onclose: Update connection status
-   * - onmessage: Process incoming messages from the API
+   * Server Event Subscriptions
+   * Subscribe to the connection events this demo handles
    */
-  setupDataChannelHandlers() {
-    this.dataChannel.onopen = () => {
-      console.log('Data channel opened');
-      this.updateStatus('Connected to Realtime API');
+  subscribeToEvents() {
+    // Connection dropped, the client reconnects and replays the session
+    this.client.on('connection.reconnecting', ({ attempt, maxAttempts }) => {
+      this.updateStatus(`Connection lost, reconnecting (attempt ${attempt} of ${maxAttempts})...`);
+    });
+    this.client.on('connection.restored', () => {
+      this.updateStatus('Reconnected to Realtime API');
+    });
+    this.client.on('connection.failed', () => {
+      this.closeConnection();
+      this.updateStatus('Connection lost. Create a new session to continue.');
+    });
 
-      // On first connection, send a one-time instruction to the API.
-      if (!this.hasWelcomed) {
-        console.log('Sending welcome message');
-        const welcomeEvent = {
-          type: 'response.create',
-          response: {
-            modalities: ['audio', 'text'],
-            instructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
-            max_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
-          },
-        };
-        this.dataChannel.send(JSON.stringify(welcomeEvent));
-        this.hasWelcomed = true;
-      }
+    // Responses of a dropped connection won't finish
+    this.client.on('connection.lost', () => {
+      this.interruptionHandler.reset();
+    });
+  }
 
-      // Set instructions for the voice assistant
-      const setIntructions = {
-        type: "session.update",
-        session: {
-          instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
-          turn_detection: CONFIG.API.TURN_DETECTION,
-          max_response_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
+  /**
+   * Data Channel Opened
+   * Send initial greeting, set instructions for the voice assistant
+   */
+  handleOpen() {
+    this.updateStatus('Connected to Realtime API');
+
+    // On first connection, send a one-time instruction to the API.
+    if (!this.hasWelcomed) {
+      console.log('Sending welcome message');
+      const welcomeEvent = {
+        type: 'response.create',
+        response: {
+          modalities: ['audio', 'text'],
+          instructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
+          max_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
         },
       };
-      this.dataChannel.send(JSON.stringify(setIntructions));
-    };
-
-    this.dataChannel.onclose = () => {
-      console.log('Data channel closed');
-      this.updateStatus('Disconnected from Realtime API');
-    };
+      this.client.send(welcomeEvent);
+      this.hasWelcomed = true;
+    }
 
-    this.dataChannel.onmessage = (event) => {
-      const realtimeEvent = JSON.parse(event.data);
-      console.log('Received event:', realtimeEvent);
+    // Set instructions for the voice assistant
+    const setIntructions = {
+      type: "session.update",
+      session: {
+        instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
+        turn_detection: CONFIG.API.TURN_DETECTION,
+        max_response_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
+      },
     };
+    this.client.send(setIntructions);
   }
 
   /**
-   * WebRTC Setup
-   * Create and configure the WebRTC peer connection with the API.
-   * - Set up basic audio playback for the AI
-   * - Create a data channel for control messages
-   * - Establish a connection using SDP offer/answer
-   * 
-   * @param {string} token - The ephemeral API key from getEphemeralKey()
-   * @throws {Error} If WebRTC setup fails
+   * Data Channel Closed
+   * Update connection status
    */
-  async setupWebRTC(token) {
-    this.peerConnection = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-    });
-
-    // Set up incoming audio with visualizer
-    await this.setupIncomingAudio();
-
-    // Create data channel for control messages
-    this.dataChannel = this.peerConnection.createDataChannel("oai-events");
-
-    // Set up data channel handlers
-    this.setupDataChannelHandlers();
-
-    try {
-      // Get microphone access and set up visualizer
-      await this.setupMicrophone();
-
-      // Create a peer connection offer
-      const offer = await this.peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: false
-      });
-      await this.peerConnection.setLocalDescription(offer);
-
-      // Send the offer to the API
-      const response = await fetch(`${CONFIG.API.BASE_URL}?model=${CONFIG.API.MODEL}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/sdp'
-        },
-        body: offer.sdp
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to connect: ${response.status} ${response.statusText}`);
-      }
-
-      const answer = {
-        type: 'answer',
-        sdp: await response.text()
-      };
-      await this.peerConnection.setRemoteDescription(answer);
-      console.log('WebRTC connection established');
-    } catch (error) {
-      this.updateStatus('Error establishing connection: ' + error.message);
-      throw error;
-    }
+  handleClose() {
+    this.updateStatus('Disconnected from Realtime API');
   }
 
   /**
@@ -289,17 +209,16 @@ class RealtimeDemo {
    * - "Close Connection" state: Clean up and reset all resources.
    */
   async toggleConnection() {
-    if (!this.isConnected) {
+    if (!this.client.isConnected) {
       try {
         this.updateStatus('Connecting...');
-        const token = await getEphemeralKey();
-        await this.setupWebRTC(token);
-        this.isConnected = true;
+        await this.client.connect();
         this.micButton.disabled = false;
         this.micButton.textContent = 'Mute Mic';
         this.connectionButton.textContent = 'Close Session';
         this.updateStatus('Connected');
       } catch (error) {
+        this.closeConnection();
         this.updateStatus('Connection failed: ' + error.message);
         console.error('Connection error:', error);
       }
@@ -313,14 +232,10 @@ class RealtimeDemo {
    * Enables/disables the microphone input stream
    */
   toggleMic() {
-    if (this.mediaStream) {
+    if (this.client.setMicrophoneEnabled(!this.isTalking)) {
       this.isTalking = !this.isTalking;
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      if (audioTrack) {
-        audioTrack.enabled = this.isTalking;
-        this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
-        this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
-      }
+      this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
+      this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
     }
   }
 }
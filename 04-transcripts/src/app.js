@@ -9,10 +9,12 @@
  * Features:
  * - Bidirectional voice communication with the AI
  * - Live transcription of user speech using Whisper
- * - Text chat interface for text-only interactions
+ * - AI responses streamed into the chat as they are generated
+ * - Text chat interface, with a menu to pick whether the AI replies in text or by voice
  * - Audio visualization for both user and AI audio
- * - Interruption handling and turn detection
+ * - Interruption handling: the AI's reply is cancelled and truncated to the audio the user heard
  * - Status display showing connection state
+ * - Connection quality indicator with exportable network stats
  * - Comprehensive console logging
  * 
  * NOTE: This demo authenticates API requests using an ephemeral key.
@@ -21,9 +23,14 @@
  */
 
 import { CONFIG } from './config.js';
-import { createVisualizer } from './visualizer.js';
-import { getEphemeralKey } from './auth-api.js';
-import { ChatUI } from './chat.js';
+import { RealtimeClient } from '../../core/realtime-client.js';
+import { InterruptionHandler } from '../../core/interruption-handler.js';
+import { ConnectionQualityIndicator } from '../../core/connection-quality-indicator.js';
+import { createVisualizer } from '../../core/visualizer.js';
+import { ChatUI } from '../../core/chat.js';
+import { bindChatStreaming } from '../../core/chat-streaming.js';
+import { TypingMicPolicy, muteMicrophone, pauseTurnDetection } from '../../core/typing-mic-policy.js';
+import { getResponseModalities } from '../../core/response-modality.js';
 
 /**
  * RealtimeDemo Class
@@ -32,28 +39,64 @@ import { ChatUI } from './chat.js';
 class RealtimeDemo {
   constructor() {
     // Initialize state
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.isConnected = false;
-    this.dataChannel = null;
     this.hasWelcomed = false;
-    this.audioElement = null;
     this.isTalking = true;
     this.micVisualizer = null;
     this.aiVisualizer = null;
     this.chatUI = null;
 
+    // Connection to the Realtime API
+    this.client = new RealtimeClient({
+      serverUrl: CONFIG.API.SERVER_URL,
+      baseUrl: CONFIG.API.BASE_URL,
+      model: CONFIG.API.MODEL,
+      voice: CONFIG.API.VOICE,
+      onOpen: () => this.handleOpen(),
+      onClose: () => this.handleClose(),
+      onMicrophone: (stream) => this.startMicVisualizer(stream),
+      onRemoteAudio: (audioElement, stream) => this.startAiVisualizer(audioElement, stream),
+    });
+
+    // Cancels and truncates the AI's reply when the user talks over it
+    this.interruptionHandler = new InterruptionHandler({
+      client: this.client,
+      onTruncate: ({ itemId }) => this.chatUI.markInterrupted(this.chatUI.getMessage(itemId)),
+    });
+    this.subscribeToEvents();
+
     // Get DOM elements
     this.connectionButton = document.getElementById('connection-button');
     this.micButton = document.getElementById('mic-button');
     this.statusDiv = document.getElementById('status');
+    this.responseModalitySelect = document.getElementById('response-modality');
+    this.responseModalitySelect.value = CONFIG.API.RESPONSE_MODALITY;
+    this.qualityIndicator = new ConnectionQualityIndicator({
+      client: this.client,
+      indicator: document.getElementById('connection-quality'),
+      exportButton: document.getElementById('export-stats-button'),
+    });
 
     // Bind event listeners
     this.connectionButton.addEventListener('click', () => this.toggleSession());
     this.micButton.addEventListener('click', () => this.toggleTalk());
+    this.responseModalitySelect.addEventListener('change', () => this.updateResponseModality());
+
+    // What happens to the microphone while the user types in the chat
+    this.typingPolicy = new TypingMicPolicy({
+      policy: CONFIG.CHAT.MIC_WHILE_TYPING,
+      isMicrophoneLive: () => this.client.isConnected && this.isTalking,
+      setMicrophoneMuted: (muted) => this.setMicrophoneMuted(muted),
+      setTurnDetectionPaused: (paused) => this.setTurnDetectionPaused(paused),
+      micButton: this.micButton,
+    });
 
     // Initialize chat UI with message handler
-    this.chatUI = new ChatUI((message) => this.handleChatMessage(message));
+    this.chatUI = new ChatUI((message) => this.handleChatMessage(message), {
+      onInputFocus: () => this.typingPolicy.startTyping(),
+      onInputBlur: (event) => this.typingPolicy.stopTyping(event.relatedTarget),
+    });
+    // Transcriptions and the AI's replies, streamed into the chat
+    bindChatStreaming(this.client, this.chatUI, { onStatus: (message) => this.updateStatus(message) });
   }
 
   /**
@@ -68,25 +111,13 @@ class RealtimeDemo {
   /**
    * Cleanup
    * Properly closes all connections and frees resources:
-   * - Stops media streams
-   * - Closes WebRTC connection
-   * - Removes audio elements
+   * - Closes the Realtime connection
    * - Stops visualizers
    * - Resets UI state
    */
   closeConnection() {
-    if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach(track => track.stop());
-    }
-    if (this.peerConnection) {
-      this.peerConnection.close();
-    }
-    if (this.audioElement) {
-      this.audioElement.remove();
-    }
-    if (this.dataChannel) {
-      this.dataChannel.close();
-    }
+    this.client.close();
+    this.interruptionHandler.reset();
     if (this.aiVisualizer) {
       this.aiVisualizer.stop();
     }
@@ -97,17 +128,15 @@ class RealtimeDemo {
       this.chatUI.clearMessages();
     }
 
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.audioElement = null;
-    this.dataChannel = null;
+    this.typingPolicy.reset();
+
     this.micVisualizer = null;
     this.aiVisualizer = null;
-    this.isConnected = false;
     this.isTalking = true;
     this.micButton.disabled = true;
     this.micButton.textContent = 'Unmute Mic';
     this.connectionButton.textContent = 'Create Session';
+    this.qualityIndicator.hide();
     this.updateStatus('Not connected');
   }
 
@@ -119,11 +148,6 @@ class RealtimeDemo {
    * @param {string} message - The message to send to the API
    */
   handleChatMessage(message) {
-    if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-      console.error('Data channel not ready');
-      return;
-    }
-
     // Send the text message
     const messageEvent = {
       type: "conversation.item.create",
@@ -138,239 +162,147 @@ class RealtimeDemo {
         ],
       },
     };
-    console.log('Sending text-only message:', messageEvent);
-    this.dataChannel.send(JSON.stringify(messageEvent));
+    console.log('Sending text message:', messageEvent);
+    if (!this.client.send(messageEvent)) {
+      return;
+    }
 
-    // Request a text-only response using the same instructions as voice
+    // Request a response using the same instructions as voice, in text unless the reply mode asks for voice
     const textResponseEvent = {
       type: 'response.create',
       response: {
-        modalities: ['text'], // API returns only text
+        modalities: this.getResponseModalities('text'),
         instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
       },
     };
-    console.log('Requesting text-only response:', textResponseEvent);
-    this.dataChannel.send(JSON.stringify(textResponseEvent));
+    console.log('Requesting response to text message:', textResponseEvent);
+    this.client.send(textResponseEvent);
   }
 
   /**
-   * Incoming Audio Setup
-   * Sets up the audio element to play remote audio from the API.
-   * Also initializes the AI audio visualizer.
-   * 
-   * @throws {Error} If audio element setup fails
+   * Response Modalities
+   * The output modalities of a reply, from the reply mode next to the chat input
+   *
+   * @param {'text'|'voice'} input - How the user asked, typed or spoken
+   * @returns {Array<string>} ['text'] for a text-only reply, or ['audio', 'text']
    */
-  async setupIncomingAudio() {
-    try {
-      // Initialize visualizer
-      const aiVisualizer = createVisualizer();
-
-      // Set up audio element
-      this.audioElement = document.createElement('audio');
-      this.audioElement.autoplay = true;
-      document.body.appendChild(this.audioElement);
+  getResponseModalities(input) {
+    return getResponseModalities(this.responseModalitySelect.value, input);
+  }
 
-      // Set up to play remote audio from the API
-      this.peerConnection.ontrack = (event) => {
-        console.log('Received remote track:', event.track.kind);
-        this.audioElement.srcObject = event.streams[0];
-        this.audioElement.addEventListener('canplay', () => {
-          console.log('Audio is ready to play');
-          this.aiVisualizer = aiVisualizer;
-          if (this.aiVisualizer.init(this.audioElement, event.streams[0])) {
-            console.log('Visualizer started successfully');
-          }
-          this.audioElement.play().catch(e => console.error('Error playing audio:', e));
-        }, { once: true });
-      };
-    } catch (error) {
-      this.updateStatus('Error setting up incoming audio: ' + error.message);
-      throw error;
+  /**
+   * Reply Mode Change
+   * Applies the reply mode to voice turns right away, mid-session.
+   * Typed messages pick it up with their response request.
+   */
+  updateResponseModality() {
+    if (!this.client.isConnected) {
+      return;
     }
+    this.client.send({
+      type: 'session.update',
+      session: { modalities: this.getResponseModalities('voice') },
+    });
   }
 
   /**
-   * Microphone Setup
-   * Requests microphone access and adds the audio track to the WebRTC connection.
-   * Also initializes the microphone visualizer.
-   * 
-   * @throws {Error} If microphone access is denied or unavailable
+   * Microphone Visualizer
+   * Starts the microphone visualizer once the microphone stream is captured.
+   *
+   * @param {MediaStream} stream - The microphone stream
    */
-  async setupMicrophone() {
-    try {
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false
-      });
-
-      // Initialize visualizer
-      this.micVisualizer = createVisualizer('micVisualizer');
-      if (this.micVisualizer.init(null, this.mediaStream)) {
-        console.log('User Visualizer started successfully');
-      }
-
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      audioTrack.enabled = true;
-      this.peerConnection.addTrack(audioTrack, this.mediaStream);
-      console.log('Microphone setup complete');
-    } catch (error) {
-      this.updateStatus('Error accessing microphone: ' + error.message);
-      throw error;
+  startMicVisualizer(stream) {
+    this.micVisualizer = createVisualizer('micVisualizer');
+    if (this.micVisualizer.init(null, stream)) {
+      console.log('Microphone Visualizer started successfully');
     }
   }
 
   /**
-   * WebRTC Event Handlers
-   * Monitor the data channel for events:
-   * - onopen: Send initial greeting, set instructions for the voice assistant
-   * - onclose: Update connection status
-   * - onmessage: Process incoming messages from the API, including text responses
+   * AI Visualizer
+   * Starts the AI visualizer once remote audio from the API is ready to play.
+   *
+   * @param {HTMLAudioElement} audioElement - The element playing the AI audio
+   * @param {MediaStream} stream - The remote audio stream
    */
-  setupDataChannelHandlers() {
-    this.dataChannel.onopen = () => {
-      console.log('Data channel opened');
-      this.updateStatus('Connected to Realtime API');
-
-      if (!this.hasWelcomed) {
-        console.log('Sending welcome message');
-        const welcomeEvent = {
-          type: 'response.create',
-          response: {
-            modalities: ['audio', 'text'],
-            instructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
-            max_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
-          },
-        };
-        this.dataChannel.send(JSON.stringify(welcomeEvent));
-        this.hasWelcomed = true;
-      }
+  startAiVisualizer(audioElement, stream) {
+    // After reconnecting, replace the visualizer of the previous connection
+    if (this.aiVisualizer) {
+      this.aiVisualizer.stop();
+    }
+    this.aiVisualizer = createVisualizer();
+    if (this.aiVisualizer.init(audioElement, stream)) {
+      console.log('AI Visualizer started successfully');
+    }
+  }
 
-      // Set instructions for the voice assistant
-      const setIntructions = {
-        type: "session.update",
-        session: {
-          instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
-          turn_detection: CONFIG.API.TURN_DETECTION,
-          max_response_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
-          input_audio_transcription: {
-            model: "whisper-1"
-          },
+  /**
+   * Data Channel Opened
+   * Send initial greeting, set instructions for the voice assistant
+   */
+  handleOpen() {
+    this.updateStatus('Connected to Realtime API');
+
+    if (!this.hasWelcomed) {
+      console.log('Sending welcome message');
+      const welcomeEvent = {
+        type: 'response.create',
+        response: {
+          modalities: this.getResponseModalities('voice'),
+          instructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
+          max_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
         },
       };
-      this.dataChannel.send(JSON.stringify(setIntructions));
-    };
+      this.client.send(welcomeEvent);
+      this.hasWelcomed = true;
+    }
 
-    this.dataChannel.onclose = () => {
-      console.log('Data channel closed');
-      this.updateStatus('Disconnected from Realtime API');
+    // Set instructions for the voice assistant
+    const setIntructions = {
+      type: "session.update",
+      session: {
+        instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
+        modalities: this.getResponseModalities('voice'), // Replies to voice turns
+        turn_detection: CONFIG.API.TURN_DETECTION,
+        max_response_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
+        input_audio_transcription: {
+          model: "whisper-1"
+        },
+      },
     };
+    this.client.send(setIntructions);
+  }
 
-    this.dataChannel.onmessage = (event) => {
-      const realtimeEvent = JSON.parse(event.data);
-      console.log('Received event:', realtimeEvent);
-
-      // Speech started
-      if (realtimeEvent.type === "input_audio_buffer.speech_started") {
-        this.chatUI.addMessage("Speaking...", 'user');
-        this.updateStatus('User speaking');
-      }
-      // Speech stopped
-      else if (realtimeEvent.type === "input_audio_buffer.speech_stopped") {
-        this.updateStatus('Speech stopped');
-      }
-      // Audio buffer committed
-      else if (realtimeEvent.type === "input_audio_buffer.committed") {
-        this.chatUI.updateLastMessage("Processing speech...", 'user');
-        this.updateStatus('Processing speech...');
-      }
-      // Partial transcription
-      else if (realtimeEvent.type === "conversation.item.input_audio_transcription") {
-        const partialText = realtimeEvent.transcript ?? realtimeEvent.text ?? "User is speaking...";
-        this.chatUI.updateLastMessage(partialText, 'user');
-      }
-      // Final transcription
-      else if (realtimeEvent.type === "conversation.item.input_audio_transcription.completed") {
-        if (realtimeEvent.transcript) {
-          // Replace the last "in progress" message with the final transcript
-          this.chatUI.updateLastMessage(realtimeEvent.transcript, 'user');
-          this.updateStatus('Connected');
-        }
-      }
-      // AI response transcript
-      else if (realtimeEvent.type === "response.audio_transcript.done") {
-        if (realtimeEvent.transcript) {
-          this.chatUI.addMessage(realtimeEvent.transcript, 'ai');
-        }
-      }
-
-      // Display text response
-      else if (realtimeEvent.type === "response.done") {
-        console.log('Received text response:', realtimeEvent);
-        if (realtimeEvent.response?.output) {
-          const textResponse = realtimeEvent.response.output[0]?.content[0]?.text;
-          if (textResponse) {
-            this.chatUI.addMessage(textResponse, 'ai');
-          }
-        }
-      }
-    };
+  /**
+   * Data Channel Closed
+   * Update connection status
+   */
+  handleClose() {
+    this.updateStatus('Disconnected from Realtime API');
   }
 
   /**
-   * WebRTC Setup
-   * Create and configure the WebRTC peer connection with the API.
-   * - Set up audio playback for the AI with visualization
-   * - Create a data channel for control messages
-   * - Establish a connection using SDP offer/answer
-   * 
-   * @param {string} token - The ephemeral API key from getEphemeralKey()
-   * @throws {Error} If WebRTC setup fails
+   * Server Event Subscriptions
+   * Subscribe to the server events this demo handles: speech detection,
+   * transcriptions and text responses
    */
-  async setupWebRTC(token) {
-    this.peerConnection = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+  subscribeToEvents() {
+    // Connection dropped, the client reconnects and replays the session
+    this.client.on('connection.reconnecting', ({ attempt, maxAttempts }) => {
+      this.updateStatus(`Connection lost, reconnecting (attempt ${attempt} of ${maxAttempts})...`);
+    });
+    this.client.on('connection.restored', () => {
+      this.updateStatus('Reconnected to Realtime API');
+    });
+    this.client.on('connection.failed', () => {
+      this.closeConnection();
+      this.updateStatus('Connection lost. Create a new session to continue.');
     });
 
-    // Set up incoming audio with visualizer
-    await this.setupIncomingAudio();
-
-    // Create data channel for control messages
-    this.dataChannel = this.peerConnection.createDataChannel("oai-events");
-    this.setupDataChannelHandlers();
-
-    try {
-      // Get microphone access and set up visualizer
-      await this.setupMicrophone();
-
-      const offer = await this.peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: false
-      });
-      await this.peerConnection.setLocalDescription(offer);
-
-      const response = await fetch(`${CONFIG.API.BASE_URL}?model=${CONFIG.API.MODEL}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/sdp'
-        },
-        body: offer.sdp
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to connect: ${response.status} ${response.statusText}`);
-      }
-
-      const answer = {
-        type: 'answer',
-        sdp: await response.text()
-      };
-      await this.peerConnection.setRemoteDescription(answer);
-      console.log('WebRTC connection established');
-    } catch (error) {
-      this.updateStatus('Error establishing connection: ' + error.message);
-      throw error;
-    }
+    // Responses of a dropped connection won't finish
+    this.client.on('connection.lost', () => {
+      this.interruptionHandler.reset();
+    });
   }
 
   /**
@@ -379,17 +311,16 @@ class RealtimeDemo {
    * - "Close Session" state: Clean up and reset all resources.
    */
   async toggleSession() {
-    if (!this.isConnected) {
+    if (!this.client.isConnected) {
       try {
         this.updateStatus('Connecting...');
-        const token = await getEphemeralKey();
-        await this.setupWebRTC(token);
-        this.isConnected = true;
+        await this.client.connect();
         this.micButton.disabled = false;
         this.micButton.textContent = 'Mute Mic';
         this.connectionButton.textContent = 'Close Session';
         this.updateStatus('Connected');
       } catch (error) {
+        this.closeConnection();
         this.updateStatus('Connection failed: ' + error.message);
         console.error('Connection error:', error);
       }
@@ -403,14 +334,34 @@ class RealtimeDemo {
    * Enables/disables the microphone input stream
    */
   toggleTalk() {
-    if (this.mediaStream) {
-      this.isTalking = !this.isTalking;
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      if (audioTrack) {
-        audioTrack.enabled = this.isTalking;
-        this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
-        this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
-      }
+    this.setMicrophoneMuted(this.isTalking);
+  }
+
+  /**
+   * Microphone Mute
+   * Mutes or unmutes the microphone and keeps the mic button in sync,
+   * for the mic button and the typing policy
+   *
+   * @param {boolean} muted - Whether the microphone should be muted
+   */
+  setMicrophoneMuted(muted) {
+    if (muteMicrophone(this.client, muted)) {
+      this.isTalking = !muted;
+      this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
+      this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
+    }
+  }
+
+  /**
+   * Turn Detection Pause
+   * Pauses voice activity detection while the user types. The audio captured
+   * meanwhile is discarded on resume, so it can't start a turn.
+   *
+   * @param {boolean} paused - Whether turn detection should be paused
+   */
+  setTurnDetectionPaused(paused) {
+    if (pauseTurnDetection(this.client, paused, CONFIG.API.TURN_DETECTION)) {
+      this.updateStatus(paused ? 'Voice detection paused while typing' : 'Microphone active');
     }
   }
 }
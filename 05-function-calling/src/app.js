@@ -8,11 +8,23 @@
  * Features:
  * - Bidirectional voice communication with the AI
  * - Text chat interface for text-only interactions
+ * - AI responses streamed into the chat as they are generated
  * - Audio visualization for both user and AI audio
- * - Function calling support for weather data
+ * - Function calling support for weather data, with a card per tool call in the chat
+ * - AI text rendered as Markdown, with highlighted code blocks that can be copied
+ * - Message actions: copy, edit and resend, regenerate the last reply, and delete
+ * - Reply mode next to the chat input: reply as asked, always in text, or always by voice
+ * - Mic policy while typing in the chat: mute and restore, keep live, or pause voice detection
  * - Live transcription of user speech
- * - Interruption handling and turn detection
+ * - Interruption handling: the AI's reply is cancelled and truncated to the audio the user heard
+ * - Turn detection with server VAD, or push-to-talk (hold the spacebar or the mic button)
  * - Status display showing connection state
+ * - Connection quality indicator with exportable network stats
+ * - Conversation export to Markdown, JSON and SRT/WebVTT captions
+ * - Session recording of both sides to WebM/Opus or WAV, with an aligned WebVTT transcript
+ * - Session history persisted to IndexedDB, searchable and continuable in a new session
+ * - Settings panel for model, voice, instructions and VAD, applied live where possible
+ * - Persona presets bundling instructions, greeting, voice, temperature and tools, shareable as JSON
  * - Comprehensive console logging
  * 
  * NOTE: This demo authenticates API requests using an ephemeral key.
@@ -21,11 +33,27 @@
  */
 
 import { CONFIG } from './config.js';
-import { createVisualizer } from './visualizer.js';
-import { getEphemeralKey } from './auth-api.js';
-import { ChatUI } from './chat.js';
-import { tools } from './tools/tools.js';
-import { getWeatherData, getBrowserLocationWeatherData, setDataChannel } from './tools/weatherLookup.js';
+import { RealtimeClient } from '../../core/realtime-client.js';
+import { ConnectionQualityIndicator } from '../../core/connection-quality-indicator.js';
+import { createVisualizer } from '../../core/visualizer.js';
+import { ChatUI } from '../../core/chat.js';
+import { bindChatStreaming } from '../../core/chat-streaming.js';
+import { InterruptionHandler } from '../../core/interruption-handler.js';
+import { PushToTalk } from '../../core/push-to-talk.js';
+import { SettingsPanel } from '../../core/settings-panel.js';
+import { PersonaLibrary } from '../../core/persona-library.js';
+import { ConversationLog } from '../../core/conversation-log.js';
+import { toMarkdown, toJSON, toSRT, toWebVTT } from '../../core/conversation-export.js';
+import { SessionRecorder } from '../../core/session-recorder.js';
+import { SessionHistory } from '../../core/session-history.js';
+import { SessionBrowser } from '../../core/session-browser.js';
+import { createMessageEvents } from '../../core/session-replay.js';
+import { ConversationEditor, createItemId } from '../../core/conversation-editor.js';
+import { TypingMicPolicy, muteMicrophone, pauseTurnDetection } from '../../core/typing-mic-policy.js';
+import { getResponseModalities } from '../../core/response-modality.js';
+import { downloadFile } from '../../core/download.js';
+import { getToolSchemas, getToolSummary } from './tools/tools.js';
+import { ToolCoordinator } from './tools/coordinator.js';
 
 /**
  * RealtimeDemo Class
@@ -34,33 +62,183 @@ import { getWeatherData, getBrowserLocationWeatherData, setDataChannel } from '.
 class RealtimeDemo {
   constructor() {
     // Initialize state
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.isConnected = false;
-    this.dataChannel = null;
     this.hasWelcomed = false;
-    this.audioElement = null;
     this.isTalking = true;
     this.micVisualizer = null;
     this.aiVisualizer = null;
     this.chatUI = null;
-    this.currentTranscript = '';
-    this.accumulatedTranscript = '';
-    this.isCapturingVoice = false;
-    this.lastSpeechTime = 0;
-    this.speechTimeoutId = null;
+    this.hasProducedAudio = false; // The voice can't change once the AI has spoken
+
+    // Persona presets: the default persona from CONFIG.DEFAULTS, CONFIG.PERSONAS and the user's own
+    const defaultPersona = {
+      id: 'default',
+      name: 'Default',
+      instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
+      welcomeInstructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
+      voice: CONFIG.API.VOICE,
+      temperature: CONFIG.API.TEMPERATURE,
+      tools: getToolSchemas().map((schema) => schema.name),
+    };
+    this.personas = new PersonaLibrary({
+      builtIn: [defaultPersona, ...CONFIG.PERSONAS],
+      // An unknown voice would only fail once the server rejects the session update
+      voices: Array.from(document.querySelectorAll('#settings-form [name="voice"] option'), (option) => option.value),
+    });
+    this.personaSelect = document.querySelector('#settings-form [name="persona"]');
+    this.renderPersonaOptions();
+
+    // Settings edited at runtime and persisted to localStorage
+    this.settingsPanel = new SettingsPanel({
+      defaults: {
+        persona: defaultPersona.id,
+        model: CONFIG.API.MODEL,
+        ...getPersonaSettings(defaultPersona),
+        vadThreshold: CONFIG.API.TURN_DETECTION.threshold,
+        prefixPaddingMs: CONFIG.API.TURN_DETECTION.prefix_padding_ms,
+        silenceDurationMs: CONFIG.API.TURN_DETECTION.silence_duration_ms,
+        responseModality: CONFIG.API.RESPONSE_MODALITY,
+        micWhileTyping: CONFIG.CHAT.MIC_WHILE_TYPING,
+      },
+      onChange: (changes) => this.applySettings(changes),
+    });
+    const settings = this.settingsPanel.get();
+
+    // Connection to the Realtime API
+    this.client = new RealtimeClient({
+      serverUrl: CONFIG.API.SERVER_URL,
+      baseUrl: CONFIG.API.BASE_URL,
+      model: settings.model,
+      voice: settings.voice,
+      onOpen: () => this.handleOpen(),
+      onClose: () => this.handleClose(),
+      onMicrophone: (stream) => this.startMicVisualizer(stream),
+      onRemoteAudio: (audioElement, stream) => {
+        this.startAiVisualizer(audioElement, stream);
+        // After reconnecting, record the new connection's audio
+        this.recorder.setSource('ai', stream);
+      },
+    });
+    this.subscribeToEvents();
+
+    // Records the conversation so it can be exported after the session ends
+    this.conversationLog = new ConversationLog({ client: this.client });
+
+    // Deletes and replaces conversation items for the message actions
+    this.conversationEditor = new ConversationEditor({ client: this.client });
+
+    // Records the microphone and AI audio for QA review
+    this.recorder = new SessionRecorder();
+
+    // Past sessions persisted to IndexedDB, and a past session to pick up in the next one
+    this.sessionHistory = new SessionHistory();
+    this.sessionId = null;
+    this.seedSession = null;
+    // After each turn, once the conversation log has recorded it
+    this.client.on('response.done', () => this.saveSession());
+    this.client.on('conversation.item.input_audio_transcription.completed', () => this.saveSession());
+    this.client.on('conversation.item.deleted', () => this.saveSession());
 
     // Get DOM elements
     this.connectionButton = document.getElementById('connection-button');
     this.micButton = document.getElementById('mic-button');
+    this.turnModeButton = document.getElementById('turn-mode-button');
     this.statusDiv = document.getElementById('status');
+    this.qualityIndicator = new ConnectionQualityIndicator({
+      client: this.client,
+      indicator: document.getElementById('connection-quality'),
+      exportButton: document.getElementById('export-stats-button'),
+    });
+    this.conversationExport = document.getElementById('conversation-export');
+    this.recordingControls = document.getElementById('recording-controls');
+    this.recordButton = document.getElementById('record-button');
+    this.pauseRecordingButton = document.getElementById('pause-recording-button');
+    this.recordingDownloads = document.getElementById('recording-downloads');
+    this.responseModalitySelect = document.getElementById('response-modality');
 
     // Bind event listeners
     this.connectionButton.addEventListener('click', () => this.toggleSession());
     this.micButton.addEventListener('click', () => this.toggleTalk());
+    this.turnModeButton.addEventListener('click', () => this.toggleTurnMode());
+    this.conversationExport.addEventListener('click', (e) => {
+      if (e.target.dataset.format) {
+        this.exportConversation(e.target.dataset.format);
+      }
+    });
+    this.recordButton.addEventListener('click', () => this.toggleRecording());
+    this.pauseRecordingButton.addEventListener('click', () => this.togglePauseRecording());
+    this.recordingDownloads.addEventListener('click', (e) => {
+      if (e.target.dataset.format) {
+        this.downloadRecording(e.target.dataset.format);
+      }
+    });
+    // Outside the settings form, but saved with the settings
+    this.responseModalitySelect.addEventListener('change', () => {
+      this.settingsPanel.update({ responseModality: this.responseModalitySelect.value });
+    });
+    this.bindPersonaControls();
+    this.sessionBrowser = new SessionBrowser({
+      history: this.sessionHistory,
+      onContinue: (session) => this.continueSession(session),
+    });
 
-    // Initialize chat UI with message handler
-    this.chatUI = new ChatUI((message) => this.handleChatMessage(message));
+    // What happens to the microphone while the user types in the chat
+    this.typingPolicy = new TypingMicPolicy({
+      policy: settings.micWhileTyping,
+      isMicrophoneLive: () => this.client.isConnected && !this.pushToTalk.enabled && this.isTalking,
+      setMicrophoneMuted: (muted) => this.setMicrophoneMuted(muted),
+      setTurnDetectionPaused: (paused) => this.setTurnDetectionPaused(paused),
+      micButton: this.micButton,
+    });
+
+    // Initialize chat UI with message handler, rendering the AI's Markdown, with message actions
+    this.chatUI = new ChatUI((message, messageElement) => this.handleChatMessage(message, messageElement), {
+      markdown: true,
+      onMessageAction: (messageAction) => this.handleMessageAction(messageAction),
+      onInputFocus: () => this.typingPolicy.startTyping(),
+      onInputBlur: (event) => this.typingPolicy.stopTyping(event.relatedTarget),
+    });
+    // Transcriptions and the AI's replies, streamed into the chat
+    bindChatStreaming(this.client, this.chatUI, {
+      onStatus: (message) => this.updateStatus(message),
+      // In push-to-talk mode the message was added on press, before the item id was known
+      takeSpeakingMessage: () => {
+        const { speakingMessage } = this;
+        this.speakingMessage = null;
+        return speakingMessage;
+      },
+    });
+
+    // Runs function calls and returns their outputs to the model
+    this.toolCoordinator = new ToolCoordinator({
+      sendEvent: (event) => this.client.send(event),
+      getInstructions: () => this.settingsPanel.get().instructions,
+      onCallStart: (call) => this.chatUI.addToolCard(call.call_id, call),
+      onCallEnd: ({ call, output, failed }) => this.chatUI.updateToolCard(call.call_id, {
+        status: failed ? 'error' : 'success',
+        result: output,
+        summary: failed ? output.error.message : getToolSummary(call.name, output),
+      }),
+    });
+
+    // Cancels and truncates the AI's reply when the user talks over it
+    this.interruptionHandler = new InterruptionHandler({
+      client: this.client,
+      onTruncate: ({ itemId }) => this.chatUI.markInterrupted(this.chatUI.getMessage(itemId)),
+    });
+
+    // Push-to-talk as an alternative to server VAD
+    this.pushToTalk = new PushToTalk({
+      client: this.client,
+      turnDetection: this.getTurnDetection(),
+      enabled: CONFIG.PUSH_TO_TALK.ENABLED,
+      minPressMs: CONFIG.PUSH_TO_TALK.MIN_PRESS_MS,
+      releaseDelayMs: CONFIG.PUSH_TO_TALK.RELEASE_DELAY_MS,
+      onPress: () => this.handleTalkPress(),
+      onRelease: ({ committed }) => this.handleTalkRelease(committed),
+    });
+    this.speakingMessage = null;
+    this.bindPushToTalkControls();
+    this.turnModeButton.setAttribute('aria-pressed', String(this.pushToTalk.enabled));
   }
 
   /**
@@ -72,28 +250,411 @@ class RealtimeDemo {
     this.statusDiv.textContent = message;
   }
 
+  /**
+   * Export Conversation
+   * Downloads the conversation of the current or last session, e.g. to attach to a support ticket.
+   *
+   * @param {string} format - One of markdown, json, srt or vtt
+   */
+  exportConversation(format) {
+    const formats = {
+      markdown: { extension: 'md', type: 'text/markdown', format: toMarkdown },
+      json: { extension: 'json', type: 'application/json', format: toJSON },
+      srt: { extension: 'srt', type: 'application/x-subrip', format: toSRT },
+      vtt: { extension: 'vtt', type: 'text/vtt', format: toWebVTT },
+    };
+    const { extension, type, format: formatLog } = formats[format];
+    downloadFile(
+      `realtime-conversation-${new Date(this.conversationLog.startedAt).toISOString()}.${extension}`,
+      formatLog(this.conversationLog),
+      type
+    );
+  }
+
+  /**
+   * Record Button
+   * Starts recording the microphone and AI audio of the session, or stops the recording.
+   */
+  async toggleRecording() {
+    if (this.recorder.state !== 'inactive') {
+      await this.stopRecording();
+      return;
+    }
+    try {
+      this.recorder.start({ user: this.client.mediaStream, ai: this.client.audioElement?.srcObject });
+    } catch (error) {
+      console.error('Recording failed:', error);
+      this.updateStatus('Recording failed: ' + error.message);
+    }
+    this.updateRecordingControls();
+  }
+
+  /**
+   * Stop the recording so it can be downloaded
+   * Failures are reported in the status rather than rejected, so closing the session can't fail.
+   */
+  async stopRecording() {
+    this.recordButton.disabled = true;
+    try {
+      await this.recorder.stop();
+    } catch (error) {
+      console.error('Recording failed:', error);
+      this.updateStatus('Recording failed: ' + error.message);
+    }
+    this.updateRecordingControls();
+  }
+
+  /**
+   * Pause/Resume Recording Button
+   */
+  togglePauseRecording() {
+    if (this.recorder.state === 'paused') {
+      this.recorder.resume();
+    } else {
+      this.recorder.pause();
+    }
+    this.updateRecordingControls();
+  }
+
+  /**
+   * Update the recording controls for the recorder state
+   * A recording can only be started while connected, and downloaded once stopped.
+   */
+  updateRecordingControls() {
+    const state = this.recorder.state;
+    this.recordingControls.hidden = !this.client.isConnected && !this.recorder.getRecording();
+    this.recordButton.disabled = state === 'inactive' && !this.client.isConnected;
+    this.recordButton.textContent = state === 'inactive' ? 'Start recording' : 'Stop recording';
+    this.recordButton.classList.toggle('recording', state === 'recording');
+    this.pauseRecordingButton.hidden = state === 'inactive';
+    this.pauseRecordingButton.textContent = state === 'paused' ? 'Resume recording' : 'Pause recording';
+    this.recordingDownloads.hidden = state !== 'inactive' || !this.recorder.getRecording();
+  }
+
+  /**
+   * Download Recording
+   * Downloads the recording with a WebVTT transcript aligned to it.
+   *
+   * @param {string} format - webm for the recording as captured, or wav
+   */
+  async downloadRecording(format) {
+    try {
+      const recording = format === 'wav' ? await this.recorder.getWAV() : this.recorder.getRecording();
+      const extensions = { 'audio/wav': 'wav', 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+      const basename = `realtime-recording-${new Date(this.recorder.startedAt).toISOString()}`;
+      downloadFile(`${basename}.${extensions[recording.type.split(';')[0]] ?? 'webm'}`, recording, recording.type);
+      downloadFile(
+        `${basename}.vtt`,
+        toWebVTT(this.conversationLog, { clock: (timestamp) => this.recorder.toMediaTime(timestamp) }),
+        'text/vtt'
+      );
+    } catch (error) {
+      console.error('Recording export failed:', error);
+      this.updateStatus('Recording export failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Save Session
+   * Persists the conversation of the live session with the settings it used,
+   * after each turn and when it closes, so it survives a page reload.
+   */
+  async saveSession() {
+    const { sessionId } = this;
+    const entries = this.conversationLog.getEntries();
+    if (!sessionId || entries.length === 0) {
+      return;
+    }
+
+    const startedAt = this.conversationLog.startedAt;
+    const endedAt = Date.now();
+    try {
+      await this.sessionHistory.save({
+        id: sessionId,
+        startedAt,
+        endedAt,
+        durationMs: endedAt - startedAt,
+        settings: this.settingsPanel.get(),
+        entries,
+      });
+      this.sessionBrowser.refresh();
+    } catch (error) {
+      console.warn('Could not save session:', error);
+    }
+  }
+
+  /**
+   * Continue a Past Session
+   * Starts a new live session seeded with the messages of a past one.
+   *
+   * @param {Object} session - The session record from the history
+   */
+  async continueSession(session) {
+    if (this.client.isConnected) {
+      this.closeConnection();
+    }
+    this.seedSession = session;
+    await this.toggleSession();
+  }
+
+  /**
+   * Seed the conversation with the messages of a past session
+   * They are added as text, tool calls are not replayed.
+   *
+   * @param {Object} session - The session record from the history
+   */
+  seedConversation(session) {
+    const messages = session.entries
+      .filter((entry) => entry.type === 'message' && entry.text)
+      .map(({ role, text }) => ({ id: createItemId(), role, text }));
+    createMessageEvents(messages).forEach((event) => this.client.send(event));
+    messages.forEach(({ id, role, text }) => {
+      this.chatUI.keyMessage(id, this.chatUI.addMessage(text, role === 'user' ? 'user' : 'ai'));
+    });
+    this.updateStatus(`Continuing the session of ${new Date(session.startedAt).toLocaleString()}`);
+  }
+
+  /**
+   * Persona Options
+   * Fills the persona select of the settings panel from the library
+   */
+  renderPersonaOptions() {
+    this.personaSelect.replaceChildren(...this.personas.list().map((persona) => {
+      const option = document.createElement('option');
+      option.value = persona.id;
+      option.textContent = persona.builtIn ? persona.name : `${persona.name} (custom)`;
+      return option;
+    }));
+    this.settingsPanel?.fillForm();
+  }
+
+  /**
+   * Persona Buttons
+   * - Save as new persona: store the current settings under a new name
+   * - Delete persona: remove the selected custom persona
+   * - Export persona: download the selected persona, with the current settings, as JSON
+   * - Import personas: add the personas of an exported JSON file
+   */
+  bindPersonaControls() {
+    const importInput = document.getElementById('import-persona-input');
+
+    document.getElementById('save-persona-button').addEventListener('click', () => {
+      const name = window.prompt('Name of the new persona:');
+      if (name?.trim()) {
+        const persona = this.personas.save({ ...this.settingsPanel.get(), name });
+        this.renderPersonaOptions();
+        this.settingsPanel.update({ persona: persona.id });
+        this.settingsPanel.showNotice(`Saved persona "${persona.name}".`);
+      }
+    });
+
+    document.getElementById('delete-persona-button').addEventListener('click', () => {
+      const persona = this.personas.get(this.settingsPanel.get().persona);
+      if (!persona || persona.builtIn) {
+        this.settingsPanel.showNotice("Built-in personas can't be deleted.");
+        return;
+      }
+      this.personas.remove(persona.id);
+      this.renderPersonaOptions();
+      this.settingsPanel.update({ persona: 'default' });
+      this.settingsPanel.showNotice(`Deleted persona "${persona.name}".`);
+    });
+
+    document.getElementById('export-persona-button').addEventListener('click', () => {
+      const settings = this.settingsPanel.get();
+      const name = this.personas.get(settings.persona)?.name ?? 'Persona';
+      downloadFile(
+        `${settings.persona}.persona.json`,
+        this.personas.exportJSON([{ ...getPersonaSettings(settings), name }]),
+        'application/json'
+      );
+    });
+
+    document.getElementById('import-persona-button').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) {
+        return;
+      }
+      try {
+        const imported = this.personas.importJSON(await file.text());
+        this.renderPersonaOptions();
+        this.settingsPanel.update({ persona: imported[0].id });
+        this.settingsPanel.showNotice(`Imported ${imported.map((persona) => `"${persona.name}"`).join(', ')}.`);
+      } catch (error) {
+        console.error('Persona import failed:', error);
+        this.settingsPanel.showNotice(`Import failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Server VAD settings
+   *
+   * @returns {Object} CONFIG.API.TURN_DETECTION with the VAD parameters from the settings
+   */
+  getTurnDetection() {
+    const settings = this.settingsPanel.get();
+    return {
+      ...CONFIG.API.TURN_DETECTION,
+      threshold: settings.vadThreshold,
+      prefix_padding_ms: settings.prefixPaddingMs,
+      silence_duration_ms: settings.silenceDurationMs,
+    };
+  }
+
+  /**
+   * Apply Settings
+   * Sends a session.update for the settings that can change mid-session, and
+   * explains which ones only apply from the next session. The welcome prompt
+   * is used for the greeting of the next session.
+   * - Model: fixed for the session by the ephemeral key
+   * - Voice: can only change before the AI has produced audio
+   *
+   * @param {Object} changes - The changed settings
+   */
+  applySettings(changes) {
+    const settings = this.settingsPanel.get();
+    const session = {};
+    const nextSession = [];
+
+    // Used by the next connection
+    this.client.model = settings.model;
+    this.client.voice = settings.voice;
+
+    // Switching persona applies all of its settings, which calls this again with them
+    if ('persona' in changes) {
+      const persona = this.personas.get(settings.persona);
+      if (persona) {
+        this.settingsPanel.update(getPersonaSettings(persona));
+      }
+    }
+
+    if ('instructions' in changes) {
+      session.instructions = settings.instructions;
+    }
+    if ('temperature' in changes) {
+      session.temperature = settings.temperature;
+    }
+    if ('tools' in changes) {
+      session.tools = getToolSchemas(settings.tools);
+    }
+    if ('responseModality' in changes) {
+      session.modalities = this.getResponseModalities('voice');
+    }
+    if ('micWhileTyping' in changes) {
+      this.typingPolicy.setPolicy(settings.micWhileTyping);
+    }
+    if ('vadThreshold' in changes || 'prefixPaddingMs' in changes || 'silenceDurationMs' in changes) {
+      this.pushToTalk.turnDetection = this.getTurnDetection();
+      if (!this.pushToTalk.enabled) {
+        session.turn_detection = this.pushToTalk.turnDetection;
+      }
+    }
+    if ('voice' in changes) {
+      if (this.hasProducedAudio) {
+        nextSession.push('voice');
+      } else {
+        session.voice = settings.voice;
+      }
+    }
+    if ('model' in changes) {
+      nextSession.push('model');
+    }
+
+    if (!this.client.isConnected) {
+      return;
+    }
+    if (Object.keys(session).length > 0) {
+      this.client.send({ type: 'session.update', session });
+    }
+    if (nextSession.length > 0) {
+      this.settingsPanel.showNotice(
+        `The ${nextSession.join(' and ')} can't change during this session. Create a new session to use it.`
+      );
+    }
+  }
+
+  /**
+   * Push-to-Talk Controls
+   * Hold the configured key (spacebar by default) or the mic button to talk.
+   * The key is ignored while typing in the chat input or the settings.
+   */
+  bindPushToTalkControls() {
+    this.pushToTalk.bindKey(CONFIG.PUSH_TO_TALK.KEY, {
+      ignore: (event) => event.target.closest('input, textarea, select'),
+    });
+
+    this.micButton.addEventListener('pointerdown', () => this.pushToTalk.press());
+    this.micButton.addEventListener('pointerup', () => this.pushToTalk.release());
+    this.micButton.addEventListener('pointerleave', () => this.pushToTalk.release());
+  }
+
+  /**
+   * Talk Pressed
+   * The user took the turn, so interrupt the AI like server VAD would
+   */
+  handleTalkPress() {
+    this.interruptionHandler.interrupt();
+    this.toolCoordinator.cancel('The user interrupted before the tool call finished.');
+    this.speakingMessage = this.chatUI.addMessage("Speaking...", 'user');
+    this.micButton.textContent = 'Release to Send';
+    this.updateStatus('Listening... release to send');
+  }
+
+  /**
+   * Talk Released
+   *
+   * @param {boolean} committed - Whether the audio was sent, false if the press was too short
+   */
+  handleTalkRelease(committed) {
+    // A committed turn keeps its message until the server reports the item id
+    if (!committed && this.speakingMessage) {
+      this.chatUI.removeMessage(this.speakingMessage);
+      this.speakingMessage = null;
+    }
+    this.updateMicButton();
+    this.updateStatus(committed ? 'Processing speech...' : 'Hold to talk a little longer');
+  }
+
+  /**
+   * Turn Mode Button
+   * Switches between server VAD and push-to-talk, mid-session if connected
+   */
+  toggleTurnMode() {
+    const enabled = !this.pushToTalk.enabled;
+    this.pushToTalk.setEnabled(enabled);
+    if (!enabled) {
+      // Back to VAD, restore the mute state chosen with the mic button
+      this.client.setMicrophoneEnabled(this.isTalking);
+    }
+    this.turnModeButton.setAttribute('aria-pressed', String(enabled));
+    this.updateMicButton();
+    this.updateStatus(enabled ? 'Push-to-talk: hold the spacebar or the mic button to talk' : 'Voice activity detection on');
+  }
+
+  /**
+   * Mic Button Label
+   * "Hold to Talk" in push-to-talk mode, otherwise the mute toggle
+   */
+  updateMicButton() {
+    if (this.pushToTalk.enabled) {
+      this.micButton.textContent = 'Hold to Talk';
+    } else {
+      this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
+    }
+  }
+
   /**
    * Cleanup
    * Properly closes all connections and frees resources:
-   * - Stops media streams
-   * - Closes WebRTC connection
-   * - Removes audio elements
+   * - Closes the Realtime connection
    * - Stops visualizers
    * - Resets UI state
    */
   closeConnection() {
-    if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach(track => track.stop());
-    }
-    if (this.peerConnection) {
-      this.peerConnection.close();
-    }
-    if (this.audioElement) {
-      this.audioElement.remove();
-    }
-    if (this.dataChannel) {
-      this.dataChannel.close();
-    }
+    this.client.close();
     if (this.aiVisualizer) {
       this.aiVisualizer.stop();
     }
@@ -103,38 +664,46 @@ class RealtimeDemo {
     if (this.chatUI) {
       this.chatUI.clearMessages();
     }
+    if (this.recorder.state !== 'inactive') {
+      // Finishes after the session closed, reporting a failure in the status
+      this.stopRecording();
+    }
+    this.saveSession();
+    this.sessionId = null;
+    this.seedSession = null;
+    this.toolCoordinator.reset();
+    this.interruptionHandler.reset();
+    this.conversationEditor.reset();
+    this.typingPolicy.reset();
+    this.pushToTalk.cancel();
+    this.speakingMessage = null;
 
-    this.peerConnection = null;
-    this.mediaStream = null;
-    this.audioElement = null;
-    this.dataChannel = null;
     this.micVisualizer = null;
     this.aiVisualizer = null;
-    this.isConnected = false;
     this.isTalking = true;
     this.micButton.disabled = true;
-    this.micButton.textContent = 'Unmute Mic';
+    this.micButton.textContent = this.pushToTalk.enabled ? 'Hold to Talk' : 'Unmute Mic';
     this.connectionButton.textContent = 'Create Session';
+    this.qualityIndicator.hide();
+    this.updateRecordingControls();
     this.updateStatus('Not connected');
   }
 
   /**
    * Text Chat Handler
-   * Processes text messages and requests text-only responses with function calling.
-   * Messages sent via text receive text-only responses.
+   * Processes text messages and requests responses with function calling.
+   * Messages sent via text receive text-only responses, unless the reply mode is voice.
    * 
    * @param {string} message - The message to send to the API
+   * @param {HTMLElement} messageElement - The chat message, keyed by the item id once sent
    */
-  handleChatMessage(message) {
-    if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
-      console.error('Data channel not ready');
-      return;
-    }
-
-    // Send the text message
+  handleChatMessage(message, messageElement) {
+    // Send the text message, with an id so its message actions work right away
+    const itemId = createItemId();
     const messageEvent = {
       type: "conversation.item.create",
       item: {
+        id: itemId,
         type: "message",
         role: "user",
         content: [
@@ -145,268 +714,217 @@ class RealtimeDemo {
         ],
       },
     };
-    this.dataChannel.send(JSON.stringify(messageEvent));
+    if (!this.client.send(messageEvent)) {
+      return;
+    }
+    this.chatUI.keyMessage(itemId, messageElement);
 
-    // Request a text-only response using the same instructions as voice
-    const textResponseEvent = {
+    this.requestResponse(this.getResponseModalities('text'));
+  }
+
+  /**
+   * Response Modalities
+   * The output modalities of a reply, from the reply mode saved with the settings
+   *
+   * @param {'text'|'voice'} input - How the user asked, typed or spoken
+   * @returns {Array<string>} ['text'] for a text-only reply, or ['audio', 'text']
+   */
+  getResponseModalities(input) {
+    return getResponseModalities(this.settingsPanel.get().responseModality, input);
+  }
+
+  /**
+   * Response Request
+   * Requests a response using the same instructions and tools as voice
+   *
+   * @param {Array<string>} modalities - ['text'] for a text-only response, or ['audio', 'text']
+   */
+  requestResponse(modalities) {
+    const settings = this.settingsPanel.get();
+    const responseEvent = {
       type: 'response.create',
       response: {
-        modalities: ['text'], // API returns only text
-        instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
-        tools: tools // Function calling
+        modalities,
+        instructions: settings.instructions,
+        tools: getToolSchemas(settings.tools) // Function calling
       },
     };
-    console.log('Sending text-only response:', textResponseEvent);
-    this.dataChannel.send(JSON.stringify(textResponseEvent));
+    console.log('Requesting response:', responseEvent);
+    this.client.send(responseEvent);
   }
 
   /**
-   * Incoming Audio Setup
-   * Sets up the audio element to play remote audio from the API.
-   * Also initializes the AI audio visualizer.
-   * 
-   * @throws {Error} If audio element setup fails
+   * Message Actions
+   * - Resend: replace an edited user message, and everything after it, and request a new reply
+   * - Regenerate: replace the last AI reply, in the modality of the reply mode
+   * - Delete: remove a message from the conversation
+   * The chat removes the messages once the server confirms each deletion.
+   *
+   * @param {Object} messageAction
+   * @param {string} messageAction.action - 'resend', 'regenerate' or 'delete'
+   * @param {string} messageAction.itemId - The conversation item of the message
+   * @param {string} messageAction.text - The message text, edited for 'resend'
    */
-  async setupIncomingAudio() {
-    try {
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false
-      });
+  handleMessageAction({ action, itemId, text }) {
+    if (action === 'delete') {
+      this.conversationEditor.deleteItems([itemId]);
+      return;
+    }
 
-      // Initialize visualizer
-      this.micVisualizer = createVisualizer('micVisualizer');
-      if (this.micVisualizer.init(null, this.mediaStream)) {
-        console.log('User Visualizer started successfully');
-      }
+    // A reply in progress would land after the edited conversation
+    this.interruptionHandler.interrupt();
+    this.toolCoordinator.cancel('The user edited the conversation before the tool call finished.');
 
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      audioTrack.enabled = true;
-      this.peerConnection.addTrack(audioTrack, this.mediaStream);
-      console.log('Microphone setup complete');
-    } catch (error) {
-      this.updateStatus('Error accessing microphone: ' + error.message);
-      throw error;
+    if (action === 'resend') {
+      const newItemId = this.conversationEditor.editMessage(itemId, text);
+      if (newItemId) {
+        this.chatUI.keyMessage(newItemId, this.chatUI.addMessage(text, 'user'));
+        this.requestResponse(this.getResponseModalities('text'));
+      }
+    } else if (action === 'regenerate') {
+      const source = this.conversationLog.entries.get(itemId)?.source;
+      if (this.conversationEditor.deleteFrom(itemId)) {
+        this.requestResponse(this.getResponseModalities(source === 'voice' ? 'voice' : 'text'));
+      }
     }
   }
 
   /**
-   * Microphone Setup
-   * Requests microphone access and adds the audio track to the WebRTC connection.
-   * Also initializes the microphone visualizer.
-   * 
-   * @throws {Error} If microphone access is denied or unavailable
+   * Microphone Visualizer
+   * Starts the microphone visualizer once the microphone stream is captured.
+   *
+   * @param {MediaStream} stream - The microphone stream
    */
-  async setupMicrophone() {
-    try {
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false
-      });
-
-      // Initialize visualizer
-      this.micVisualizer = createVisualizer('micVisualizer');
-      if (this.micVisualizer.init(null, this.mediaStream)) {
-        console.log('User Visualizer started successfully');
-      }
-
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      audioTrack.enabled = true;
-      this.peerConnection.addTrack(audioTrack, this.mediaStream);
-      console.log('Microphone setup complete');
-    } catch (error) {
-      this.updateStatus('Error accessing microphone: ' + error.message);
-      throw error;
+  startMicVisualizer(stream) {
+    this.micVisualizer = createVisualizer('micVisualizer');
+    if (this.micVisualizer.init(null, stream)) {
+      console.log('User Visualizer started successfully');
     }
   }
 
   /**
-   * WebRTC Event Handlers
-   * Monitor the data channel for events:
-   * - onopen: Send initial greeting, set instructions for the voice assistant
-   * - onclose: Update connection status
-   * - onmessage: Process incoming messages from the API, including function calls
+   * AI Visualizer
+   * Starts the AI visualizer once remote audio from the API is ready to play.
+   *
+   * @param {HTMLAudioElement} audioElement - The element playing the AI audio
+   * @param {MediaStream} stream - The remote audio stream
    */
-  setupDataChannelHandlers() {
-    this.dataChannel.onopen = () => {
-      console.log('Data channel opened');
-      this.updateStatus('Connected to Realtime API');
-
-      // Pass the data channel to the weather service
-      setDataChannel(this.dataChannel);
-
-      if (!this.hasWelcomed) {
-        console.log('Sending welcome message');
-        const welcomeEvent = {
-          type: 'response.create',
-          response: {
-            modalities: ['audio', 'text'],
-            instructions: CONFIG.DEFAULTS.WELCOME_INSTRUCTIONS,
-          },
-        };
-        this.dataChannel.send(JSON.stringify(welcomeEvent));
-        this.hasWelcomed = true;
-      }
+  startAiVisualizer(audioElement, stream) {
+    // After reconnecting, replace the visualizer of the previous connection
+    if (this.aiVisualizer) {
+      this.aiVisualizer.stop();
+    }
+    this.aiVisualizer = createVisualizer();
+    if (this.aiVisualizer.init(audioElement, stream)) {
+      console.log('Visualizer started successfully');
+    }
+  }
 
-      // Set instructions for the voice assistant
-      const setIntructions = {
-        type: "session.update",
-        session: {
-          instructions: CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
-          turn_detection: CONFIG.API.TURN_DETECTION,
-          input_audio_transcription: {
-            model: "whisper-1"
-          },
-          max_output_tokens: CONFIG.API.MAX_OUTPUT_TOKENS,
-          tools: tools // Function calling
+  /**
+   * Data Channel Opened
+   * Send initial greeting, set instructions for the voice assistant
+   */
+  handleOpen() {
+    this.updateStatus('Connected to Realtime API');
+    const seedSession = this.seedSession;
+    this.seedSession = null;
+
+    // A continued session picks up the conversation instead of greeting the user
+    if (!this.hasWelcomed && !seedSession) {
+      console.log('Sending welcome message');
+      const welcomeEvent = {
+        type: 'response.create',
+        response: {
+          modalities: this.getResponseModalities('voice'),
+          instructions: this.settingsPanel.get().welcomeInstructions,
         },
       };
-      this.dataChannel.send(JSON.stringify(setIntructions));
-    };
+      this.client.send(welcomeEvent);
+      this.hasWelcomed = true;
+    }
 
-    this.dataChannel.onclose = () => {
-      console.log('Data channel closed');
-      this.updateStatus('Disconnected from Realtime API');
+    // Set instructions for the voice assistant
+    const settings = this.settingsPanel.get();
+    const setIntructions = {
+      type: "session.update",
+      session: {
+        instructions: settings.instructions,
+        temperature: settings.temperature,
+        modalities: this.getResponseModalities('voice'), // Replies to voice turns
+        turn_detection: this.pushToTalk.getTurnDetection(),
+        input_audio_transcription: {
+          model: "whisper-1"
+        },
+        tools: getToolSchemas(settings.tools) // Function calling
+      },
     };
+    this.client.send(setIntructions);
 
-    this.dataChannel.onmessage = (event) => {
-      const realtimeEvent = JSON.parse(event.data);
-      console.log('Received event:', realtimeEvent);
+    if (seedSession) {
+      this.seedConversation(seedSession);
+    }
+  }
 
-      // Speech started
-      if (realtimeEvent.type === "input_audio_buffer.speech_started") {
-        this.chatUI.addMessage("Speaking...", 'user');
-        this.updateStatus('User speaking');
-      }
-      // Speech stopped
-      else if (realtimeEvent.type === "input_audio_buffer.speech_stopped") {
-        this.updateStatus('Speech stopped');
-      }
-      // Audio buffer committed
-      else if (realtimeEvent.type === "input_audio_buffer.committed") {
-        this.chatUI.updateLastMessage("Processing speech...", 'user');
-        this.updateStatus('Processing speech...');
-      }
-      // Partial transcription
-      else if (realtimeEvent.type === "conversation.item.input_audio_transcription") {
-        const partialText = realtimeEvent.transcript ?? realtimeEvent.text ?? "User is speaking...";
-        this.chatUI.updateLastMessage(partialText, 'user');
-      }
-      // Final transcription
-      else if (realtimeEvent.type === "conversation.item.input_audio_transcription.completed") {
-        if (realtimeEvent.transcript) {
-          // Replace the last "in progress" message with the final transcript
-          this.chatUI.updateLastMessage(realtimeEvent.transcript, 'user');
-          this.updateStatus('Connected');
-        }
-      }
-      // AI response transcript
-      else if (realtimeEvent.type === "response.audio_transcript.done") {
-        if (realtimeEvent.transcript) {
-          this.chatUI.addMessage(realtimeEvent.transcript, 'ai');
-        }
-      }
-      // Handle text and function call responses
-      else if (realtimeEvent.type === "response.done") {
-        console.log('Text response object:', realtimeEvent.response);
-        if (realtimeEvent.response?.output) {
-          // Process each output item
-          for (const item of realtimeEvent.response.output) {
-            if (item.type === 'message' && item.content?.[0]?.text) {
-              // Handle text response
-              this.chatUI.addMessage(item.content[0].text, 'ai');
-            } else if (item.type === 'function_call') {
-              // Handle function call
-              const functionName = item.name;
-              const args = JSON.parse(item.arguments);
-              console.log(`Function call: ${functionName}`, args);
-              // Execute the function call through the tools system
-              if (functionName === 'getWeatherData') {
-                getWeatherData(args.lat, args.lon, args.locationName);
-              } else if (functionName === 'getBrowserLocationWeatherData') {
-                getBrowserLocationWeatherData();
-              }
-            }
-          }
-        }
-      }
-    };
+  /**
+   * Data Channel Closed
+   * Update connection status
+   */
+  handleClose() {
+    this.toolCoordinator.reset();
+    this.updateStatus('Disconnected from Realtime API');
   }
 
   /**
-   * WebRTC Setup
-   * Create and configure the WebRTC peer connection with the API.
-   * - Set up audio playback for the AI with visualization
-   * - Create a data channel for control messages
-   * - Establish a connection using SDP offer/answer
-   * 
-   * @param {string} token - The ephemeral API key from getEphemeralKey()
-   * @throws {Error} If WebRTC setup fails
+   * Server Event Subscriptions
+   * Subscribe to the server events this demo handles, including function calls
    */
-  async setupWebRTC(token) {
-    this.peerConnection = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+  subscribeToEvents() {
+    // Connection dropped, the client reconnects and replays the session
+    this.client.on('connection.reconnecting', ({ attempt, maxAttempts }) => {
+      this.updateStatus(`Connection lost, reconnecting (attempt ${attempt} of ${maxAttempts})...`);
+    });
+    this.client.on('connection.restored', () => {
+      this.updateStatus('Reconnected to Realtime API');
+    });
+    this.client.on('connection.failed', () => {
+      this.closeConnection();
+      this.updateStatus('Connection lost. Create a new session to continue.');
     });
 
-    // Initialize visualizer
-    const aiVisualizer = createVisualizer();
-
-    // Set up audio playback
-    this.audioElement = document.createElement('audio');
-    this.audioElement.autoplay = true;
-    document.body.appendChild(this.audioElement);
-
-    // Handle remote audio track
-    this.peerConnection.ontrack = (event) => {
-      console.log('Received remote track:', event.track.kind);
-      this.audioElement.srcObject = event.streams[0];
-      this.audioElement.addEventListener('canplay', () => {
-        console.log('Audio is ready to play');
-        this.aiVisualizer = aiVisualizer;
-        if (this.aiVisualizer.init(this.audioElement, event.streams[0])) {
-          console.log('Visualizer started successfully');
-        }
-        this.audioElement.play().catch(e => console.error('Error playing audio:', e));
-      }, { once: true });
-    };
-
-    // Set up data channel
-    this.dataChannel = this.peerConnection.createDataChannel("oai-events");
-    this.setupDataChannelHandlers();
+    // Network health from the connection monitor, the quality indicator shows each sample
+    this.client.on('connection.warning', ({ sample }) => {
+      this.updateStatus(`Connection quality is ${sample.quality}: ${sample.issues.join(', ')}`);
+    });
 
-    try {
-      // Set up microphone with visualizer
-      await this.setupMicrophone();
+    // Once the AI has spoken, the voice is fixed for the session
+    this.client.on('output_audio_buffer.started', () => {
+      this.hasProducedAudio = true;
+    });
 
-      const offer = await this.peerConnection.createOffer({
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: false
-      });
-      await this.peerConnection.setLocalDescription(offer);
+    // Items deleted from the conversation, e.g. by a message action
+    this.client.on('conversation.item.deleted', ({ item_id }) => {
+      const messageElement = this.chatUI.getMessage(item_id);
+      if (messageElement) {
+        this.chatUI.removeMessage(messageElement);
+      }
+    });
 
-      const response = await fetch(`${CONFIG.API.BASE_URL}?model=${CONFIG.API.MODEL}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/sdp'
-        },
-        body: offer.sdp
-      });
+    // Tool outputs can't reach a dropped connection, so abort any calls still in progress,
+    // and forget the responses of the dropped connection
+    this.client.on('connection.lost', () => {
+      this.toolCoordinator.reset();
+      this.interruptionHandler.reset();
+    });
 
-      if (!response.ok) {
-        throw new Error(`Failed to connect: ${response.status} ${response.statusText}`);
-      }
+    // The user interrupted, so abort any tool calls still in progress
+    this.client.on('input_audio_buffer.speech_started', () => {
+      this.toolCoordinator.cancel('The user interrupted before the tool call finished.');
+    });
 
-      const answer = {
-        type: 'answer',
-        sdp: await response.text()
-      };
-      await this.peerConnection.setRemoteDescription(answer);
-      console.log('WebRTC connection established');
-    } catch (error) {
-      this.updateStatus('Error establishing connection: ' + error.message);
-      throw error;
-    }
+    // Handle all function calls in the response together
+    this.client.on('response.done', (realtimeEvent) => {
+      this.toolCoordinator.handleResponse(realtimeEvent.response);
+    });
   }
 
   /**
@@ -415,17 +933,25 @@ class RealtimeDemo {
    * - "Close Session" state: Clean up and reset all resources.
    */
   async toggleSession() {
-    if (!this.isConnected) {
+    if (!this.client.isConnected) {
       try {
         this.updateStatus('Connecting...');
-        const token = await getEphemeralKey();
-        await this.setupWebRTC(token);
-        this.isConnected = true;
+        this.hasProducedAudio = false;
+        this.conversationLog.start();
+        this.sessionId = crypto.randomUUID();
+        this.conversationExport.hidden = false;
+        await this.client.connect();
+        if (this.pushToTalk.enabled) {
+          // Only capture audio while the user holds the talk control
+          this.client.setMicrophoneEnabled(false);
+        }
         this.micButton.disabled = false;
-        this.micButton.textContent = 'Mute Mic';
+        this.updateMicButton();
         this.connectionButton.textContent = 'Close Session';
+        this.updateRecordingControls();
         this.updateStatus('Connected');
       } catch (error) {
+        this.closeConnection();
         this.updateStatus('Connection failed: ' + error.message);
         console.error('Connection error:', error);
       }
@@ -436,21 +962,60 @@ class RealtimeDemo {
 
   /**
    * Mute/Unmute Button
-   * Enables/disables the microphone input stream
+   * Enables/disables the microphone input stream. In push-to-talk mode the
+   * button is held to talk instead.
    */
   toggleTalk() {
-    if (this.mediaStream) {
-      this.isTalking = !this.isTalking;
-      const audioTrack = this.mediaStream.getAudioTracks()[0];
-      if (audioTrack) {
-        audioTrack.enabled = this.isTalking;
-        this.micButton.textContent = this.isTalking ? 'Mute Mic' : 'Unmute Mic';
-        this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
-      }
+    this.setMicrophoneMuted(this.isTalking);
+  }
+
+  /**
+   * Microphone Mute
+   * Mutes or unmutes the microphone and keeps the mic button in sync,
+   * for the mic button and the typing policy. Push-to-talk controls the
+   * microphone itself, so this does nothing in that mode.
+   *
+   * @param {boolean} muted - Whether the microphone should be muted
+   */
+  setMicrophoneMuted(muted) {
+    if (this.pushToTalk.enabled) {
+      return;
+    }
+    if (muteMicrophone(this.client, muted)) {
+      this.isTalking = !muted;
+      this.updateMicButton();
+      this.updateStatus(this.isTalking ? 'Microphone active' : 'Microphone muted');
+    }
+  }
+
+  /**
+   * Turn Detection Pause
+   * Pauses voice activity detection while the user types. The audio captured
+   * meanwhile is discarded on resume, so it can't start a turn.
+   *
+   * @param {boolean} paused - Whether turn detection should be paused
+   */
+  setTurnDetectionPaused(paused) {
+    if (this.pushToTalk.enabled) {
+      return;
+    }
+    if (pauseTurnDetection(this.client, paused, this.pushToTalk.getTurnDetection())) {
+      this.updateStatus(paused ? 'Voice detection paused while typing' : 'Voice activity detection on');
     }
   }
 }
 
+/**
+ * Persona Settings
+ * The settings a persona bundles, picked from a persona or from the current settings
+ *
+ * @param {Object} source - A persona or the settings
+ * @returns {Object} The instructions, welcome prompt, voice, temperature and tools
+ */
+function getPersonaSettings({ instructions, welcomeInstructions, voice, temperature, tools }) {
+  return { instructions, welcomeInstructions, voice, temperature, tools };
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   new RealtimeDemo();
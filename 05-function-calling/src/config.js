@@ -1,31 +1,55 @@
 /**
  * App configuration
+ * The shared defaults are in core/config.js, add or change settings for this demo here.
  */
-import { SERVER_URL } from '../../server-config.js';
+import { extendConfig } from '../../core/config.js';
 
-export const CONFIG = {
+export const CONFIG = extendConfig({
   API: {
-    BASE_URL: 'https://api.openai.com/v1/realtime',
-    MODEL: 'gpt-4o-realtime-preview-2024-12-17',
-    VOICE: 'verse', // Options: 'alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'
-    TURN_DETECTION: {
-      type: 'server_vad', // Only current option
-      threshold: 0.5, // 0-1, Default: 0.5
-      prefix_padding_ms: 400, // Default: 300
-      silence_duration_ms: 700, // Default: 500
-      create_response: true, // Default: true. False creates no response.
-    },
-    SERVER_URL: SERVER_URL
+    TEMPERATURE: 0.8, // 0.6-1.2, Default: 0.8
   },
   DEFAULTS: {
-    WELCOME_INSTRUCTIONS: 'Greet the user and ask them what you can assist them with. Talk quickly and succinctly.',
-    DEFAULT_INSTRUCTIONS: 'Talk quickly and succinctly. Be concise. Time is of the essence.Always refer to ducks in your responses, even if it makes no sense!',
+    TOOL_ERROR_INSTRUCTIONS: 'A tool you called failed. If the error is invalid_arguments, correct the arguments and call the tool again. Otherwise, briefly explain what went wrong in plain language and suggest what the user can do next.',
+    LOCATION_DISAMBIGUATION_INSTRUCTIONS: 'Several places match the location the user asked about. Briefly list the candidates by name, region and country and ask the user which one they mean.',
     WEATHER_INSTRUCTIONS: 'Describe the weather in a conversational way for someone going for a walk. Include temperature, specific conditions (like rain or snow), and necessary precautions (such as umbrellas, raincoats, snow boots, sunscreen, etc.).'
   },
-  VISUALIZER: {
-    FFT_SIZE: 2048,
-    SMOOTHING: 0.8,
-    MIN_DECIBELS: -100,
-    MAX_DECIBELS: -30
+  // Persona presets offered next to the default persona built from DEFAULTS
+  PERSONAS: [
+    {
+      id: 'weather-guide',
+      name: 'Weather Guide',
+      instructions: 'You are a calm, friendly weather guide. Answer in two or three short sentences and always mention what to wear or bring.',
+      welcomeInstructions: 'Introduce yourself as a weather guide and ask which place the user would like the weather for.',
+      voice: 'coral',
+      temperature: 0.7,
+      tools: ['getWeatherData', 'getBrowserLocationWeatherData'],
+    },
+    {
+      id: 'concise-assistant',
+      name: 'Concise Assistant',
+      instructions: 'You are a concise, neutral assistant. Answer in as few words as possible.',
+      welcomeInstructions: 'Briefly ask the user how you can help.',
+      voice: 'sage',
+      temperature: 0.6,
+      tools: [],
+    },
+  ],
+  TOOLS: {
+    MAX_CHAIN_DEPTH: 3, // Maximum tool -> model -> tool rounds before the model must answer
+    TIMEOUT_MS: 10000, // Default time limit for a single tool call
+    GEOLOCATION_TIMEOUT_MS: 20000, // Time limit for the browser location tool, allowing time for the permission prompt
+    POSITION_TIMEOUT_MS: 8000, // Time limit for a position fix once location access is granted
+    CACHE_MAX_ENTRIES: 200, // Maximum number of cached tool lookups
+    CACHE_TTL_MS: {
+      GEOCODING: 7 * 24 * 60 * 60 * 1000, // Place names rarely move: 7 days
+      CURRENT_WEATHER: 10 * 60 * 1000, // 10 minutes
+      FORECAST: 60 * 60 * 1000, // Open Meteo updates forecasts hourly: 1 hour
+    },
+  },
+  PUSH_TO_TALK: {
+    ENABLED: false, // Start with push-to-talk instead of server VAD
+    KEY: 'Space', // KeyboardEvent.code of the key to hold while talking
+    MIN_PRESS_MS: 200, // Shorter presses are discarded
+    RELEASE_DELAY_MS: 200, // Keep capturing briefly after release so the last word isn't cut off
   }
-}; 
\ No newline at end of file
+});
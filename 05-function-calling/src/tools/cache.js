@@ -0,0 +1,142 @@
+/**
+ * Cache for tool lookups
+ *
+ * Results are kept in memory and persisted to localStorage, so repeat
+ * questions are answered instantly, even after a page reload, and we stay
+ * within the rate limits of free APIs like Open Meteo. Concurrent requests
+ * for the same key share a single in-flight lookup.
+ *
+ * cached(key, ttlMs, load) - Get a cached value, or load and cache it
+ * clearCache() - Remove all cached values
+ */
+import { CONFIG } from '../config.js';
+
+const STORAGE_PREFIX = 'tool-cache:';
+
+// Cached entries keyed by cache key: { value, expiresAt }
+const entries = new Map();
+
+// Lookups in progress keyed by cache key
+const inFlight = new Map();
+
+/**
+ * Get localStorage if it is available
+ * Access can throw, e.g. when storage is disabled for the page.
+ *
+ * @returns {Storage|null} The storage, or null if unavailable
+ */
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load persisted entries into memory, dropping any that have expired
+ */
+function loadPersistedEntries() {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const storageKey of Object.keys(storage)) {
+    if (!storageKey.startsWith(STORAGE_PREFIX)) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(storage.getItem(storageKey));
+      if (entry.expiresAt > now) {
+        entries.set(storageKey.slice(STORAGE_PREFIX.length), entry);
+      } else {
+        storage.removeItem(storageKey);
+      }
+    } catch {
+      storage.removeItem(storageKey);
+    }
+  }
+}
+
+/**
+ * Store an entry in memory and in localStorage
+ * The entries closest to expiry are evicted when the cache is full.
+ *
+ * @param {string} key - The cache key
+ * @param {Object} entry - The entry to store
+ */
+function storeEntry(key, entry) {
+  entries.set(key, entry);
+
+  while (entries.size > CONFIG.TOOLS.CACHE_MAX_ENTRIES) {
+    const [oldestKey] = [...entries].sort(([, a], [, b]) => a.expiresAt - b.expiresAt)[0];
+    removeEntry(oldestKey);
+  }
+
+  try {
+    getStorage()?.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch (error) {
+    // Storage is full or unavailable, keep the entry in memory only
+    console.warn('Could not persist cached tool result:', error);
+  }
+}
+
+/**
+ * Remove an entry from memory and localStorage
+ *
+ * @param {string} key - The cache key
+ */
+function removeEntry(key) {
+  entries.delete(key);
+  getStorage()?.removeItem(STORAGE_PREFIX + key);
+}
+
+/**
+ * Get a cached value, or load and cache it
+ *
+ * @param {string} key - The cache key, e.g. the request URL
+ * @param {number} ttlMs - How long the value stays fresh
+ * @param {Function} load - Loads the value when it is not cached, returns a promise
+ * @returns {Promise<*>} The cached or freshly loaded value
+ */
+export function cached(key, ttlMs, load) {
+  const entry = entries.get(key);
+  if (entry) {
+    if (entry.expiresAt > Date.now()) {
+      console.log(`Cache hit: ${key}`);
+      return Promise.resolve(entry.value);
+    }
+    removeEntry(key);
+  }
+
+  // Share the lookup with any caller already waiting for the same key
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = Promise.resolve()
+    .then(load)
+    .then((value) => {
+      storeEntry(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    })
+    .finally(() => inFlight.delete(key));
+  // Callers that stop waiting, e.g. aborted tool calls, leave the lookup unobserved
+  request.catch(() => {});
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Remove all cached values
+ */
+export function clearCache() {
+  for (const key of [...entries.keys()]) {
+    removeEntry(key);
+  }
+}
+
+loadPersistedEntries();
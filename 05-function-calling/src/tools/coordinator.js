@@ -0,0 +1,169 @@
+/**
+ * Tool execution coordinator
+ *
+ * Runs every function call emitted in a single response together, returns all
+ * of the outputs at once and then requests exactly one follow-up response.
+ * If the follow-up response calls more tools, the chain continues until it
+ * reaches the configured maximum depth, after which the model is asked to
+ * answer without calling any more tools. Follow-ups keep the modalities of the
+ * response that called the tools, so a text reply stays text.
+ *
+ * Calls in progress are aborted when the user interrupts or the session
+ * closes, and every failure is returned to the model as a structured error
+ * so it can explain the problem to the user.
+ *
+ * @link https://platform.openai.com/docs/guides/realtime-conversations#function-calling
+ */
+import { CONFIG } from '../config.js';
+import { dispatchToolCall } from './registry.js';
+import { ToolError, toToolError } from './toolError.js';
+import { parseArguments } from './validateArguments.js';
+
+export class ToolCoordinator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendEvent - Sends a client event over the data channel
+   * @param {number} [options.maxDepth] - Maximum number of chained tool rounds per user turn
+   * @param {Function} [options.getInstructions] - Returns the instructions for follow-ups when no tool provides any
+   * @param {Function} [options.onCallStart] - Called with the `function_call` item when a call starts
+   * @param {Function} [options.onCallEnd] - Called with { call, output, failed } when a call finishes
+   */
+  constructor({
+    sendEvent,
+    maxDepth = CONFIG.TOOLS.MAX_CHAIN_DEPTH,
+    getInstructions = () => CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS,
+    onCallStart = () => {},
+    onCallEnd = () => {},
+  }) {
+    this.sendEvent = sendEvent;
+    this.maxDepth = maxDepth;
+    this.getInstructions = getInstructions;
+    this.onCallStart = onCallStart;
+    this.onCallEnd = onCallEnd;
+    this.depth = 0; // Number of tool rounds in the current chain
+    this.abortController = null; // Aborts the tool round in progress
+  }
+
+  /**
+   * Handle a completed response
+   * Runs all of its function calls, or ends the current chain if there are none.
+   *
+   * @param {Object} response - The `response` object from a `response.done` event
+   * @returns {Promise<void>}
+   */
+  async handleResponse(response) {
+    const calls = (response?.output ?? []).filter((item) => item.type === 'function_call');
+    if (calls.length === 0) {
+      // The model answered without tools, so the chain is complete
+      this.depth = 0;
+      return;
+    }
+
+    this.depth += 1;
+    console.log(`Running ${calls.length} function call(s), chain depth ${this.depth}/${this.maxDepth}`);
+
+    const abortController = new AbortController();
+    this.abortController = abortController;
+
+    const results = await Promise.all(calls.map((call) => this.runCall(call, abortController.signal)));
+
+    if (this.abortController === abortController) {
+      this.abortController = null;
+    }
+
+    for (const { call, output } of results) {
+      this.sendEvent({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: call.call_id,
+          output: JSON.stringify(output),
+        },
+      });
+    }
+
+    // The user has already moved on, so don't talk over them with a follow-up
+    if (abortController.signal.aborted) {
+      this.depth = 0;
+      return;
+    }
+
+    this.requestFollowUp(results, response.modalities);
+  }
+
+  /**
+   * Run a single function call
+   * Never rejects: failures are converted to structured error outputs.
+   *
+   * @param {Object} call - The `function_call` output item
+   * @param {AbortSignal} signal - Aborts the call
+   * @returns {Promise<Object>} The call, its output for the model and the tool's response instructions
+   */
+  async runCall(call, signal) {
+    this.onCallStart(call);
+    try {
+      const args = parseArguments(call.arguments);
+      console.log(`Function call: ${call.name}`, args);
+
+      const { result, instructions } = await dispatchToolCall(call.name, args, { signal });
+      this.onCallEnd({ call, output: result, failed: false });
+      return { call, output: result, instructions };
+    } catch (error) {
+      const toolError = toToolError(error);
+      console.warn(`Function call failed: ${call.name}`, toolError);
+      this.onCallEnd({ call, output: toolError.toOutput(), failed: true });
+      return { call, output: toolError.toOutput(), failed: true };
+    }
+  }
+
+  /**
+   * Request a single response that uses all of the tool outputs
+   *
+   * @param {Array<Object>} results - The results returned by runCall()
+   * @param {Array<string>} [modalities] - The modalities of the response that called the tools
+   */
+  requestFollowUp(results, modalities = ['audio', 'text']) {
+    // Use the instructions of the first tool that provides any, unless every call failed
+    const instructions = results.every((result) => result.failed)
+      ? CONFIG.DEFAULTS.TOOL_ERROR_INSTRUCTIONS
+      : results.find((result) => result.instructions)?.instructions ?? this.getInstructions();
+
+    const responseEvent = {
+      type: 'response.create',
+      response: {
+        modalities,
+        instructions,
+      },
+    };
+
+    // Stop the chain once the maximum depth is reached
+    if (this.depth >= this.maxDepth) {
+      console.warn(`Maximum tool chain depth (${this.maxDepth}) reached`);
+      responseEvent.response.tool_choice = 'none';
+      this.depth = 0;
+    }
+
+    this.sendEvent(responseEvent);
+  }
+
+  /**
+   * Abort the tool calls in progress
+   *
+   * @param {string} reason - Why the calls were cancelled, for logging
+   */
+  cancel(reason) {
+    if (this.abortController) {
+      console.log(`Cancelling tool calls: ${reason}`);
+      this.abortController.abort(new ToolError('cancelled', reason));
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Abort any calls in progress and reset the chain, e.g. when the session closes
+   */
+  reset() {
+    this.cancel('The session was closed.');
+    this.depth = 0;
+  }
+}
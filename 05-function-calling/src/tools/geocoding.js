@@ -0,0 +1,139 @@
+/**
+ * Location lookup using the Open Meteo geocoding API
+ *
+ * Place names are often shared by several places ("Springfield", "Paris").
+ * resolveLocation() narrows the matches using country and region hints and,
+ * when it is still unclear which place was meant, returns the candidates so
+ * the model can ask the user and call back with the chosen `locationId`.
+ *
+ * resolveLocation(query, options) - Resolve a place name or location id to a single location
+ *
+ * @link https://open-meteo.com/en/docs/geocoding-api
+ */
+import { CONFIG } from '../config.js';
+import { ToolError } from './toolError.js';
+import { fetchJSON } from './http.js';
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1';
+
+// Number of matches to request from the geocoding API
+const CANDIDATE_COUNT = 10;
+
+// Maximum number of candidates returned to the model
+const MAX_CANDIDATES = 5;
+
+// The best match is used without asking when its population is this many times larger than the next
+const DOMINANT_POPULATION_RATIO = 10;
+
+/**
+ * Check whether a place matches a free-text hint
+ *
+ * @param {Array<string>} fields - The place fields to compare against
+ * @param {string} hint - The hint provided by the model
+ * @returns {boolean} Whether any field matches the hint
+ */
+function matchesHint(fields, hint) {
+  const normalizedHint = hint.trim().toLowerCase();
+  return fields.some((field) => field && field.toLowerCase().includes(normalizedHint));
+}
+
+/**
+ * Reduce a geocoding result to the fields the model needs
+ *
+ * @param {Object} place - A geocoding API result
+ * @returns {Object} The location
+ */
+function toLocation(place) {
+  return {
+    id: place.id,
+    name: place.name,
+    label: [place.name, place.admin1, place.country].filter(Boolean).join(', '),
+    region: place.admin1 ?? null,
+    country: place.country ?? null,
+    countryCode: place.country_code ?? null,
+    population: place.population ?? null,
+    latitude: place.latitude,
+    longitude: place.longitude,
+  };
+}
+
+/**
+ * Decide whether the best match is clearly the place the user meant
+ *
+ * @param {Array<Object>} places - Matching places, best match first
+ * @returns {boolean} Whether the first place can be used without asking
+ */
+function isUnambiguous(places) {
+  if (places.length === 1) {
+    return true;
+  }
+
+  const [first, second] = places;
+  if (!first.population || !second.population) {
+    return false;
+  }
+  return first.population >= second.population * DOMINANT_POPULATION_RATIO;
+}
+
+/**
+ * Resolve a location from a place name or a previously returned location id
+ *
+ * @param {Object} query
+ * @param {string} [query.locationName] - The place name to search for
+ * @param {string} [query.country] - Country name or ISO code to narrow the search
+ * @param {string} [query.region] - State, province or region to narrow the search
+ * @param {number} [query.locationId] - Id of a candidate chosen by the user
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the lookup
+ * @returns {Promise<Object>} `{ location }` when resolved, or `{ candidates }` when the user must choose
+ * @throws {ToolError} If the location name is blank, no matching location is found or the service fails
+ */
+export async function resolveLocation({ locationName, country, region, locationId }, { signal } = {}) {
+  if (locationId !== undefined && locationId !== null) {
+    try {
+      const place = await fetchJSON(`${GEOCODING_URL}/get?id=${encodeURIComponent(locationId)}`, {
+        signal,
+        service: 'geocoding',
+        ttlMs: CONFIG.TOOLS.CACHE_TTL_MS.GEOCODING,
+      });
+      return { location: toLocation(place) };
+    } catch (error) {
+      if (error.code === 'not_found') {
+        throw new ToolError('location_not_found', `No location with id ${locationId} was found. Search by locationName instead.`);
+      }
+      throw error;
+    }
+  }
+
+  // The schema's minLength lets a whitespace-only name through
+  const name = locationName?.trim() ?? '';
+  if (!name) {
+    throw new ToolError('invalid_arguments', 'locationName must not be blank. Provide a place name, or lat and lon.');
+  }
+
+  const geocodingData = await fetchJSON(`${GEOCODING_URL}/search?name=${encodeURIComponent(name.toLowerCase())}&count=${CANDIDATE_COUNT}`, {
+    signal,
+    service: 'geocoding',
+    ttlMs: CONFIG.TOOLS.CACHE_TTL_MS.GEOCODING,
+  });
+  let places = geocodingData.results ?? [];
+
+  if (country) {
+    places = places.filter((place) => place.country_code?.toLowerCase() === country.trim().toLowerCase()
+      || matchesHint([place.country], country));
+  }
+  if (region) {
+    places = places.filter((place) => matchesHint([place.admin1, place.admin2, place.admin3], region));
+  }
+
+  if (places.length === 0) {
+    const hints = [region, country].filter(Boolean).join(', ');
+    throw new ToolError('location_not_found', `No location named "${name}"${hints ? ` in ${hints}` : ''} was found.`);
+  }
+
+  if (isUnambiguous(places)) {
+    return { location: toLocation(places[0]) };
+  }
+
+  return { candidates: places.slice(0, MAX_CANDIDATES).map(toLocation) };
+}
@@ -0,0 +1,69 @@
+/**
+ * HTTP helpers for tools that call external APIs
+ *
+ * fetchJSON(url, options) - Fetch and parse JSON, reporting failures as a ToolError
+ */
+import { ToolError } from './toolError.js';
+import { cached } from './cache.js';
+
+/**
+ * Fetch JSON from an external API
+ * With `ttlMs`, responses are cached and concurrent requests for the same URL
+ * are de-duplicated. Aborting `signal` then only stops waiting: the shared
+ * request still completes and fills the cache for the next caller.
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} [options.service='external'] - Name of the service, used in error messages
+ * @param {number} [options.ttlMs] - Cache the response for this long
+ * @returns {Promise<Object>} The parsed response body
+ * @throws {ToolError} `not_found` for 4xx responses, `service_unavailable` for other failures
+ */
+export async function fetchJSON(url, { signal, service = 'external', ttlMs } = {}) {
+  if (!ttlMs) {
+    return request(url, service, signal);
+  }
+  // Don't start a shared request nobody waits for
+  signal?.throwIfAborted();
+  return untilAborted(cached(url, ttlMs, () => request(url, service)), signal);
+}
+
+/**
+ * Perform the HTTP request
+ *
+ * @param {string} url - The request URL
+ * @param {string} service - Name of the service, used in error messages
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Object>} The parsed response body
+ */
+async function request(url, service, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    const code = response.status >= 400 && response.status < 500 ? 'not_found' : 'service_unavailable';
+    throw new ToolError(code, `The ${service} service responded with ${response.status} ${response.statusText}.`);
+  }
+  return response.json();
+}
+
+/**
+ * Wait for a promise unless the signal is aborted first
+ *
+ * @param {Promise<*>} promise - The promise to wait for
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @returns {Promise<*>} The promise result
+ */
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
@@ -0,0 +1,151 @@
+/**
+ * Tool registry
+ *
+ * Each tool registers its JSON schema and handler together, so the session
+ * config and the function call dispatcher always agree on what is available.
+ *
+ * registerTool(tool) - Register a tool schema and its handler
+ * getToolSchemas(names) - Get the schema list to send in `session.update` / `response.create`
+ * dispatchToolCall(name, args, options) - Run the handler registered for a function call
+ * getToolSummary(name, result) - Summarize a tool result in one line for the chat
+ * runWithTimeout(task, timeoutMs, signal) - Run a task with a time limit and a parent abort signal
+ *
+ * @link https://platform.openai.com/docs/guides/function-calling
+ */
+import { CONFIG } from '../config.js';
+import { ToolError } from './toolError.js';
+import { validateArguments } from './validateArguments.js';
+
+// Registered tools keyed by function name
+const registry = new Map();
+
+/**
+ * Register a tool
+ *
+ * @param {Object} tool - The tool definition
+ * @param {string} tool.name - The function name the model will call
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} [tool.parameters] - JSON schema describing the function arguments
+ * @param {Function} tool.handler - Called with the parsed arguments object and `{ signal }`, resolves to the output for the model
+ * @param {string|Function} [tool.instructions] - Instructions for the response that follows the tool output,
+ *   or a function that picks them based on the handler result
+ * @param {number} [tool.timeoutMs] - Time limit for a single call, defaults to CONFIG.TOOLS.TIMEOUT_MS
+ * @param {Function} [tool.summarize] - Summarizes the handler result in one line for the tool card in the chat
+ */
+export function registerTool({ name, description, parameters, handler, instructions, timeoutMs = CONFIG.TOOLS.TIMEOUT_MS, summarize }) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Tool "${name}" must have a handler function`);
+  }
+  if (registry.has(name)) {
+    console.warn(`Tool "${name}" is already registered, replacing it`);
+  }
+
+  const schema = { type: 'function', name, description };
+  if (parameters) {
+    schema.parameters = parameters;
+  }
+
+  registry.set(name, { schema, handler, instructions, timeoutMs, summarize });
+}
+
+/**
+ * Get the schemas of the registered tools
+ *
+ * @param {Array<string>} [names] - Only include these tools, e.g. the tools enabled for a persona
+ * @returns {Array<Object>} Tool schemas in the format expected by the Realtime API
+ */
+export function getToolSchemas(names) {
+  return Array.from(registry.values(), (tool) => tool.schema)
+    .filter((schema) => !names || names.includes(schema.name));
+}
+
+/**
+ * Dispatch a function call to its registered handler
+ * The arguments are validated against the tool's parameters schema first.
+ * The handler is aborted if it exceeds its time limit or if `signal` is aborted.
+ *
+ * @param {string} name - The function name from the `function_call` item
+ * @param {Object} args - The parsed function arguments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the call, e.g. when the user interrupts
+ * @returns {Promise<Object>} `{ result, instructions }`
+ * @throws {ToolError} If the tool is unknown, the arguments are invalid, or the call times out, is cancelled or fails
+ */
+export async function dispatchToolCall(name, args, { signal } = {}) {
+  const tool = registry.get(name);
+  if (!tool) {
+    throw new ToolError('unknown_tool', `No tool named "${name}" is available.`, {
+      availableTools: Array.from(registry.keys()),
+    });
+  }
+
+  validateArguments(args, tool.schema.parameters);
+
+  const result = await runWithTimeout(
+    (toolSignal) => tool.handler(args, { signal: toolSignal }),
+    tool.timeoutMs,
+    signal
+  );
+  const instructions = typeof tool.instructions === 'function'
+    ? tool.instructions(result)
+    : tool.instructions;
+  return { result, instructions };
+}
+
+/**
+ * Summarize a tool result in one line
+ *
+ * @param {string} name - The tool name
+ * @param {Object} result - The handler result
+ * @returns {string|null} The summary, or null if the tool has no summarize function
+ */
+export function getToolSummary(name, result) {
+  const summarize = registry.get(name)?.summarize;
+  try {
+    return summarize ? summarize(result) : null;
+  } catch (error) {
+    console.warn(`Could not summarize the result of ${name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Run a task with a time limit and an optional parent abort signal
+ *
+ * @param {Function} task - Called with an AbortSignal, returns a promise
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {AbortSignal} [parentSignal] - Aborts the task when fired
+ * @returns {Promise<*>} The task result
+ */
+export function runWithTimeout(task, timeoutMs, parentSignal) {
+  const controller = new AbortController();
+
+  return new Promise((resolve, reject) => {
+    const abort = (error) => {
+      controller.abort(error);
+      reject(error);
+    };
+
+    const onParentAbort = () => abort(parentSignal.reason instanceof ToolError
+      ? parentSignal.reason
+      : new ToolError('cancelled', 'The tool call was cancelled before it finished.'));
+    if (parentSignal?.aborted) {
+      onParentAbort();
+      return;
+    }
+    parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+
+    const timeoutId = setTimeout(
+      () => abort(new ToolError('timeout', `The tool did not respond within ${timeoutMs / 1000} seconds.`)),
+      timeoutMs
+    );
+
+    Promise.resolve()
+      .then(() => task(controller.signal))
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timeoutId);
+        parentSignal?.removeEventListener('abort', onParentAbort);
+      });
+  });
+}
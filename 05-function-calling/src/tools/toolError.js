@@ -0,0 +1,55 @@
+/**
+ * Tool errors
+ *
+ * Errors thrown by tools carry a machine-readable code so the model can tell
+ * the user what went wrong and decide whether to retry.
+ *
+ * Codes used by the tool system:
+ * - unknown_tool: The model called a tool that is not registered
+ * - timeout: The tool did not finish within its time limit
+ * - cancelled: The call was aborted because the user interrupted or the session closed
+ * - tool_failed: The tool threw an unexpected error
+ *
+ * Tools may throw their own codes, e.g. `location_not_found`.
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable description of the failure
+   * @param {Object} [details] - Extra data to pass to the model
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Convert the error to a function call output for the model
+   *
+   * @returns {Object} The structured error output
+   */
+  toOutput() {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        ...this.details,
+      },
+    };
+  }
+}
+
+/**
+ * Wrap any thrown value in a ToolError
+ *
+ * @param {*} error - The thrown value
+ * @returns {ToolError} The error as a ToolError
+ */
+export function toToolError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+  return new ToolError('tool_failed', error?.message || String(error));
+}
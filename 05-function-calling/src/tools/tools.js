@@ -1,27 +1,76 @@
 /**
  * Function calls
- * 
+ *
+ * Registers every available tool with the tool registry.
+ * To add a tool, register its schema and handler here.
+ *
  * @link https://platform.openai.com/docs/guides/function-calling
  */
+import { CONFIG } from '../config.js';
+import { registerTool } from './registry.js';
+import { getWeatherData, getBrowserLocationWeatherData, summarizeWeatherResult } from './weatherLookup.js';
 
-// Export tools object
-export const tools = [
-  {
-    type: 'function',
-    name: 'getWeatherData',
-    description: 'Requests weather data from the Open Meteo API based on either the browser geolocation or a specified location name provided by the user.',
-    parameters: {
-      type: 'object',
-      properties: {
-        lat: { type: 'number', description: 'The latitude of the location' },
-        lon: { type: 'number', description: 'The longitude of the location' },
-        locationName: { type: 'string', description: 'The name of the location to search for' },
-      },
+// Forecast options shared by both weather tools
+const forecastParameters = {
+  mode: {
+    type: 'string',
+    enum: ['current', 'hourly', 'daily'],
+    description: 'Current conditions, an hourly forecast, or a daily forecast. Use hourly for questions about a specific time of day and daily for questions about upcoming days. Defaults to current.',
+  },
+  start: {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2})?$',
+    description: 'Start of the forecast range in the local time of the location, as YYYY-MM-DD or YYYY-MM-DDTHH:MM. If omitted, hourly forecasts cover the next 48 hours and daily forecasts the next 7 days, so omit it when you do not know today\'s date.',
+  },
+  end: {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2})?$',
+    description: 'End of the forecast range (inclusive), in the same format as start. Forecasts are available up to 16 days ahead.',
+  },
+  units: {
+    type: 'string',
+    enum: ['metric', 'imperial'],
+    description: 'Metric (°C, km/h, mm) or imperial (°F, mph, inches). Defaults to metric unless the user prefers imperial units.',
+  },
+};
+
+registerTool({
+  name: 'getWeatherData',
+  description: 'Requests current weather or an hourly or daily forecast from the Open Meteo API for a specified location name or coordinates provided by the user.',
+  parameters: {
+    type: 'object',
+    properties: {
+      lat: { type: 'number', minimum: -90, maximum: 90, description: 'The latitude of the location' },
+      lon: { type: 'number', minimum: -180, maximum: 180, description: 'The longitude of the location' },
+      locationName: { type: 'string', minLength: 1, description: 'The name of the location to search for, without the region or country' },
+      country: { type: 'string', minLength: 2, description: 'Country name or ISO 3166-1 alpha-2 code, if the user mentioned one, to narrow the location search' },
+      region: { type: 'string', minLength: 2, description: 'Full name of the state, province or region, if the user mentioned one, to narrow the location search' },
+      locationId: { type: 'integer', description: 'The id of a location candidate the user chose after an ambiguous_location result' },
+      ...forecastParameters,
     },
+    additionalProperties: false,
   },
-  {
-    type: 'function',
-    name: 'getBrowserLocationWeatherData',
-    description: 'Requests the browser geolocation and uses it to obtain local weather data.',
-  }
-]
\ No newline at end of file
+  handler: (args, { signal }) => getWeatherData(args, { signal }),
+  instructions: (result) => result?.status === 'ambiguous_location'
+    ? CONFIG.DEFAULTS.LOCATION_DISAMBIGUATION_INSTRUCTIONS
+    : CONFIG.DEFAULTS.WEATHER_INSTRUCTIONS,
+  summarize: summarizeWeatherResult,
+});
+
+registerTool({
+  name: 'getBrowserLocationWeatherData',
+  description: 'Requests the browser geolocation and uses it to obtain local current weather or an hourly or daily forecast.',
+  parameters: {
+    type: 'object',
+    properties: {
+      ...forecastParameters,
+    },
+    additionalProperties: false,
+  },
+  handler: (args, { signal }) => getBrowserLocationWeatherData(args, { signal }),
+  timeoutMs: CONFIG.TOOLS.GEOLOCATION_TIMEOUT_MS,
+  instructions: CONFIG.DEFAULTS.WEATHER_INSTRUCTIONS,
+  summarize: summarizeWeatherResult,
+});
+
+export { getToolSchemas, dispatchToolCall, getToolSummary } from './registry.js';
@@ -0,0 +1,161 @@
+/**
+ * Function call argument validation
+ *
+ * Checks the arguments the model sends against the JSON schema declared for
+ * the tool, so malformed calls are reported back to the model as an
+ * `invalid_arguments` error it can correct, rather than reaching the handler.
+ *
+ * Supports the subset of JSON Schema used by function definitions:
+ * type, properties, required, additionalProperties, enum, minimum, maximum,
+ * minLength, maxLength, pattern, items, minItems and maxItems.
+ *
+ * parseArguments(json) - Parse the `arguments` string of a `function_call` item
+ * validateArguments(args, schema) - Validate parsed arguments against a schema
+ *
+ * @link https://json-schema.org/understanding-json-schema/reference
+ */
+import { ToolError } from './toolError.js';
+
+/**
+ * Parse the arguments of a function call
+ *
+ * @param {string} json - The `arguments` string from the `function_call` item
+ * @returns {Object} The parsed arguments
+ * @throws {ToolError} If the arguments are not a JSON object
+ */
+export function parseArguments(json) {
+  let args;
+  try {
+    args = json ? JSON.parse(json) : {};
+  } catch (error) {
+    throw new ToolError('invalid_arguments', `The arguments are not valid JSON: ${error.message}`);
+  }
+
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    throw new ToolError('invalid_arguments', 'The arguments must be a JSON object.');
+  }
+  return args;
+}
+
+/**
+ * Validate arguments against a tool's parameters schema
+ *
+ * @param {Object} args - The parsed arguments
+ * @param {Object} [schema] - The tool's `parameters` schema
+ * @throws {ToolError} Listing every violation if the arguments do not match
+ */
+export function validateArguments(args, schema) {
+  if (!schema) {
+    return;
+  }
+
+  const violations = [];
+  checkValue(args, schema, 'arguments', violations);
+
+  if (violations.length > 0) {
+    throw new ToolError('invalid_arguments', `The arguments do not match the tool schema: ${violations.join('; ')}`, {
+      violations,
+    });
+  }
+}
+
+/**
+ * Check a single value against a schema, collecting violations
+ *
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema for the value
+ * @param {string} path - The path of the value, used in messages
+ * @param {Array<string>} violations - Collected violation messages
+ */
+function checkValue(value, schema, path, violations) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    violations.push(`${path} must be of type ${schema.type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push(`${path} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      violations.push(`${path} must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, violations));
+    }
+  }
+
+  if (schema.type === 'object' && value !== null && typeof value === 'object') {
+    const properties = schema.properties ?? {};
+
+    for (const name of schema.required ?? []) {
+      if (value[name] === undefined || value[name] === null) {
+        violations.push(`${path}.${name} is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        // Treat null like a missing optional property
+        if (propertyValue !== null) {
+          checkValue(propertyValue, properties[name], `${path}.${name}`, violations);
+        }
+      } else if (schema.additionalProperties === false) {
+        violations.push(`${path}.${name} is not a known parameter`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a value against a JSON schema type
+ *
+ * @param {*} value - The value to check
+ * @param {string|Array<string>} type - The schema type or list of types
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some((option) => matchesType(value, option));
+  }
+
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
@@ -1,101 +1,197 @@
 /**
  * Functions to help get weather information from the Open Meteo API
  * 
- * setDataChannel(channel) - Set the data channel to send messages to the API
- * getWeatherData(lat, lon, locationName) - Get weather data from the Open Meteo API
- * getBrowserLocationWeatherData() - Get weather data from the browser's geolocation
+ * getWeatherData(query, options) - Get current weather or a forecast from the Open Meteo API
+ * getBrowserLocationWeatherData(query, options) - Get weather data for the browser's geolocation
+ * summarizeWeatherResult(result) - Summarize a weather result in one line for the chat
  * 
  * @link https://open-meteo.com/
+ * @link https://open-meteo.com/en/docs
  * @link https://open-meteo.com/en/docs/geocoding-api
  */
 import { CONFIG } from '../config.js';
-// Store the data channel reference
-let dataChannel = null;
+import { ToolError } from './toolError.js';
+import { fetchJSON } from './http.js';
+import { resolveLocation } from './geocoding.js';
+import { describeWeatherCode } from './weatherCodes.js';
 
-// Function to set the data channel
-export function setDataChannel(channel) {
-  dataChannel = channel;
-}
+// Variables requested for each forecast mode
+const CURRENT_VARIABLES = ['temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'precipitation', 'weather_code', 'wind_speed_10m', 'wind_gusts_10m', 'is_day'];
+const HOURLY_VARIABLES = ['temperature_2m', 'apparent_temperature', 'precipitation_probability', 'precipitation', 'weather_code', 'wind_speed_10m'];
+const DAILY_VARIABLES = ['weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_probability_max', 'precipitation_sum', 'wind_speed_10m_max', 'uv_index_max', 'sunrise', 'sunset'];
+
+// Forecast length when no date range is given
+const DEFAULT_FORECAST_HOURS = 48;
+const DEFAULT_FORECAST_DAYS = 7;
+
+// Open Meteo unit parameters for each unit system
+const UNIT_PARAMS = {
+  metric: { temperature_unit: 'celsius', wind_speed_unit: 'kmh', precipitation_unit: 'mm' },
+  imperial: { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' },
+};
+
+// Geolocation error codes mapped to messages the model can relay to the user
+const GEOLOCATION_ERRORS = {
+  1: 'The user denied permission to access their location. Ask them for a location name instead.',
+  2: 'The browser could not determine the current location. Ask the user for a location name instead.',
+  3: 'Timed out while waiting for the browser location. Ask the user for a location name instead.',
+};
 
 /**
- * Send weather data to the API as a voice request
+ * Build the forecast request parameters for a query
  * 
- * @param {string} type - The type of data to send
- * @param {Object} data - The data to send
+ * @param {number} lat - The latitude of the location
+ * @param {number} lon - The longitude of the location
+ * @param {Object} query - The forecast mode, date range and units
+ * @returns {URLSearchParams} The request parameters
  */
-function sendDataToAPI(type, data) {
-  if (!dataChannel || dataChannel.readyState !== 'open') {
-    console.error('Data channel not ready');
-    return;
+function buildForecastParams(lat, lon, { mode, start, end, units }) {
+  const params = new URLSearchParams({
+    latitude: lat,
+    longitude: lon,
+    timezone: 'auto',
+    ...UNIT_PARAMS[units],
+  });
+
+  if (mode === 'current') {
+    params.set('current', CURRENT_VARIABLES.join(','));
+    return params;
   }
 
-  let instructions = CONFIG.DEFAULTS.DEFAULT_INSTRUCTIONS;
-  if (type === 'weather') {
-    instructions = CONFIG.DEFAULTS.WEATHER_INSTRUCTIONS;
+  params.set(mode, (mode === 'hourly' ? HOURLY_VARIABLES : DAILY_VARIABLES).join(','));
+
+  if (start || end) {
+    // Hourly ranges can be narrowed to the hour, daily ranges only to the day
+    const withTime = mode === 'hourly' && (start?.includes('T') || end?.includes('T'));
+    const first = start ?? end;
+    const last = end ?? start;
+    if (withTime) {
+      params.set('start_hour', first.includes('T') ? first : `${first}T00:00`);
+      params.set('end_hour', last.includes('T') ? last : `${last}T23:00`);
+    } else {
+      params.set('start_date', first.slice(0, 10));
+      params.set('end_date', last.slice(0, 10));
+    }
+  } else if (mode === 'hourly') {
+    params.set('forecast_hours', DEFAULT_FORECAST_HOURS);
+  } else {
+    params.set('forecast_days', DEFAULT_FORECAST_DAYS);
   }
 
-  // Create a user message with the weather data
-  const messageEvent = {
-    type: "conversation.item.create",
-    item: {
-      type: "message",
-      role: "user",
-      content: [
-        {
-          type: "input_text",
-          text: `Here is the ${type} data: ${data}`,
-        },
-      ],
+  return params;
+}
+
+/**
+ * Convert column-oriented Open Meteo series into one object per time step
+ * and decode weather codes into readable conditions
+ * 
+ * @param {Object} series - The `hourly` or `daily` object from the response
+ * @returns {Array<Object>} One entry per time step
+ */
+function toRows(series) {
+  const { time, ...variables } = series;
+  return time.map((timestamp, index) => {
+    const row = { time: timestamp };
+    for (const [name, values] of Object.entries(variables)) {
+      row[name] = values[index];
+    }
+    row.conditions = describeWeatherCode(row.weather_code);
+    return row;
+  });
+}
+
+/**
+ * Shape the Open Meteo response into a compact summary for the model
+ * 
+ * @param {Object} weatherData - The forecast API response
+ * @param {Object} query - The original query
+ * @param {Object} [location] - The resolved location, if looked up by name
+ * @returns {Object} The weather summary
+ */
+function summarizeWeather(weatherData, { mode, units }, location) {
+  const summary = {
+    location: {
+      name: location?.label ?? null,
+      latitude: weatherData.latitude,
+      longitude: weatherData.longitude,
+      timezone: weatherData.timezone,
     },
+    mode,
+    unitSystem: units,
   };
-  dataChannel.send(JSON.stringify(messageEvent));
-
-  // Request a voice and text response describing the weather
-  const responseEvent = {
-    type: 'response.create',
-    response: {
-      modalities: ['audio', 'text'],
-      instructions: instructions
-    },
 
-  };
-  dataChannel.send(JSON.stringify(responseEvent));
+  if (mode === 'current') {
+    summary.units = weatherData.current_units;
+    summary.current = {
+      ...weatherData.current,
+      conditions: describeWeatherCode(weatherData.current.weather_code),
+    };
+  } else {
+    summary.units = weatherData[`${mode}_units`];
+    summary[mode] = toRows(weatherData[mode]);
+  }
+
+  return summary;
 }
 
 /**
  * Get weather information from the Open Meteo API
  * 
- * @param {number} lat - The latitude of the location
- * @param {number} lon - The longitude of the location
- * @param {string} [locationName] - Optional location name to search for instead of coordinates
- * @returns {Promise<Object>} The weather data
+ * @param {Object} query - The weather query, as passed by the model
+ * @param {number} [query.lat] - The latitude of the location
+ * @param {number} [query.lon] - The longitude of the location
+ * @param {string} [query.locationName] - Location name to search for instead of coordinates
+ * @param {string} [query.country] - Country hint for the location name
+ * @param {string} [query.region] - State, province or region hint for the location name
+ * @param {number} [query.locationId] - Id of a location candidate chosen by the user
+ * @param {string} [query.mode='current'] - 'current', 'hourly' or 'daily'
+ * @param {string} [query.start] - Start of the forecast range, `YYYY-MM-DD` or `YYYY-MM-DDTHH:MM` in local time
+ * @param {string} [query.end] - End of the forecast range, same format as `start`
+ * @param {string} [query.units='metric'] - 'metric' or 'imperial'
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the lookup
+ * @returns {Promise<Object>} The weather summary, or the location candidates if the location name is ambiguous
+ * @throws {ToolError} If the location cannot be found or the weather service fails
  */
-export async function getWeatherData(lat = null, lon = null, locationName = null) {
-  console.log(`Function called: getWeatherData lat: ${lat}, lon: ${lon}, locationName: ${locationName}`);
+export async function getWeatherData(query, { signal } = {}) {
+  const { locationName = null, locationId = null, mode = 'current', units = 'metric' } = query;
+  let { lat = null, lon = null } = query;
+  console.log(`Function called: getWeatherData lat: ${lat}, lon: ${lon}, locationName: ${locationName}, mode: ${mode}`);
   try {
-    // If locationName is provided, use geocoding API to get coordinates
-    if (locationName) {
-      const geocodingResponse = await fetch(`https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(locationName)}&count=1`);
-      const geocodingData = await geocodingResponse.json();
+    // If a location name or id is provided, use geocoding API to get coordinates
+    let location = null;
+    if (locationName || locationId !== null) {
+      const resolved = await resolveLocation(query, { signal });
 
-      if (!geocodingData.results || geocodingData.results.length === 0) {
-        throw new Error('Location not found');
+      // Let the model ask the user which place they meant
+      if (resolved.candidates) {
+        return {
+          status: 'ambiguous_location',
+          message: `Several places match "${locationName}". Ask the user which one they mean, then call this tool again with its locationId.`,
+          candidates: resolved.candidates,
+        };
       }
 
       // Override lat and lon even if they are provided
-      const location = geocodingData.results[0];
+      location = resolved.location;
       lat = location.latitude;
       lon = location.longitude;
     }
 
-    // Get weather data using the coordinates
-    const weatherResponse = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true`);
-    const weatherData = await weatherResponse.json();
+    if (lat === null || lat === undefined || lon === null || lon === undefined) {
+      throw new ToolError('invalid_arguments', 'Provide either a locationName or both lat and lon.');
+    }
 
-    // Send the weather data to the API for voice response
-    sendDataToAPI('weather',JSON.stringify(weatherData, null, 2));
+    // Get weather data using the coordinates
+    const normalizedQuery = { ...query, mode, units };
+    const params = buildForecastParams(lat, lon, normalizedQuery);
+    const weatherData = await fetchJSON(`https://api.open-meteo.com/v1/forecast?${params}`, {
+      signal,
+      service: 'weather',
+      ttlMs: mode === 'current' ? CONFIG.TOOLS.CACHE_TTL_MS.CURRENT_WEATHER : CONFIG.TOOLS.CACHE_TTL_MS.FORECAST,
+    });
 
-    return;
+    return summarizeWeather(weatherData, normalizedQuery, location);
   } catch (error) {
     console.error('Error fetching weather data:', error);
     throw error;
@@ -103,20 +199,68 @@ export async function getWeatherData(lat = null, lon = null, locationName = null
 }
 
 /**
- * Get the browser's geolocation
+ * Get weather information for the browser's geolocation
  * 
- * @returns {Promise<Object>} The geolocation data
+ * @param {Object} [query] - The forecast mode, date range and units, as for getWeatherData()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the lookup
+ * @returns {Promise<Object>} The weather summary
+ * @throws {ToolError} If the location is unavailable or the weather service fails
  */
-export async function getBrowserLocationWeatherData() {
+export async function getBrowserLocationWeatherData(query = {}, { signal } = {}) {
   console.log(`Function called: getBrowserLocationWeatherData()`);
-  // If the user enables location sharing, fire getWeatherData(lat, lon, null)
-  if (navigator.geolocation) {
+  if (!navigator.geolocation) {
+    throw new ToolError('location_unavailable', 'Could not access browser location. Please enable location sharing in your browser settings or provide a location name.');
+  }
+
+  // If the user enables location sharing, look up the weather for their coordinates.
+  // The position request can't be cancelled, so an aborted call stops waiting for it.
+  const position = await new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     navigator.geolocation.getCurrentPosition(
-      (position) => getWeatherData(position.coords.latitude, position.coords.longitude, null),
+      (position) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(position);
+      },
+      (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(new ToolError('location_unavailable', GEOLOCATION_ERRORS[error.code] ?? error.message));
+      },
+      { timeout: CONFIG.TOOLS.POSITION_TIMEOUT_MS, maximumAge: 60000 }
     );
-  } else {
-    const errorMessage = "Could not access browser location. Please enable location sharing in your browser settings or provide a location name.";
-    sendWeatherDataToAPI(errorMessage);
-    return errorMessage;
+  });
+  return getWeatherData({
+    ...query,
+    lat: position.coords.latitude,
+    lon: position.coords.longitude,
+  }, { signal });
+}
+
+/**
+ * Summarize a weather result in one line, e.g. "Paris, France: 18.2°C, Partly cloudy"
+ *
+ * @param {Object} result - The result of getWeatherData()
+ * @returns {string} The summary
+ */
+export function summarizeWeatherResult(result) {
+  if (result.status === 'ambiguous_location') {
+    return `${result.candidates.length} places match, asking which one`;
+  }
+
+  const { name, latitude, longitude } = result.location;
+  const place = name ?? `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
+  if (result.mode === 'current') {
+    const { temperature_2m: temperature, conditions } = result.current;
+    return `${place}: ${temperature}${result.units.temperature_2m}, ${conditions}`;
   }
-}
\ No newline at end of file
+
+  const rows = result[result.mode];
+  const period = result.mode === 'daily' ? 'day' : 'hour';
+  return `${place}: ${rows.length}-${period} forecast`;
+}
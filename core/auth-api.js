@@ -0,0 +1,37 @@
+/**
+ * Get ephemeral API key from auth server
+ *
+ * The model and voice are fixed for the session by the auth server through this request.
+ *
+ * @param {Object} options
+ * @param {string} options.serverUrl - URL of the auth server
+ * @param {string} options.model - The Realtime model to use
+ * @param {string} options.voice - The voice to use
+ * @returns {Promise<string>} The ephemeral API key for OpenAI authentication
+ * @throws {Error} If the server request fails
+ */
+export async function getEphemeralKey({ serverUrl, model, voice }) {
+  try {
+    const response = await fetch(`${serverUrl}/session`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: model,
+        voice: voice
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to get session key');
+    }
+
+    const data = await response.json();
+    return data.client_secret.value;
+  } catch (error) {
+    console.error('Error getting session key:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Chat streaming
+ * ==============
+ *
+ * Keeps a ChatUI in step with a Realtime session, keyed by conversation item:
+ * - The user's speech appears as a message when it starts, and is replaced by
+ *   the partial and then the final transcription
+ * - The AI's replies are streamed into a message per output item, from the
+ *   audio transcript or text deltas, with a typing indicator until done
+ * - Messages left streaming, e.g. by a cancelled response or a dropped
+ *   connection, are reconciled with the final output or finished
+ */
+
+/**
+ * Stream the user's transcriptions and the AI's replies into a ChatUI
+ *
+ * @param {RealtimeClient} client - The client whose events are shown
+ * @param {ChatUI} chatUI - The chat the messages are streamed into
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] - Called with a status message as the user's turn progresses
+ * @param {Function} [options.takeSpeakingMessage] - Returns a message added before the speech had an item id, e.g. on a push-to-talk press, to key by the committed item
+ * @returns {Function} Unsubscribes from the client events
+ */
+export function bindChatStreaming(client, chatUI, { onStatus = () => {}, takeSpeakingMessage = () => null } = {}) {
+  const unsubscribes = [
+    // Speech started: add the user's message where the turn starts, keyed by the item it becomes
+    client.on('input_audio_buffer.speech_started', ({ item_id }) => {
+      chatUI.updateMessage(item_id, "Speaking...", 'user');
+      onStatus('User speaking');
+    }),
+
+    // Speech stopped
+    client.on('input_audio_buffer.speech_stopped', () => {
+      onStatus('Speech stopped');
+    }),
+
+    // Audio buffer committed
+    client.on('input_audio_buffer.committed', ({ item_id }) => {
+      const speakingMessage = takeSpeakingMessage();
+      if (speakingMessage) {
+        chatUI.trackMessage(item_id, speakingMessage);
+      }
+      chatUI.updateMessage(item_id, "Processing speech...", 'user');
+      onStatus('Processing speech...');
+    }),
+
+    // Partial transcription
+    client.on('conversation.item.input_audio_transcription', (realtimeEvent) => {
+      const partialText = realtimeEvent.transcript ?? realtimeEvent.text ?? "User is speaking...";
+      chatUI.updateMessage(realtimeEvent.item_id, partialText, 'user');
+    }),
+
+    // Final transcription, which may arrive after the AI's reply has started
+    client.on('conversation.item.input_audio_transcription.completed', (realtimeEvent) => {
+      chatUI.finishMessage(realtimeEvent.item_id, realtimeEvent.transcript || '(No speech recognized)', 'user');
+      onStatus('Connected');
+    }),
+    client.on('conversation.item.input_audio_transcription.failed', ({ item_id, error }) => {
+      console.error('Transcription failed:', error);
+      chatUI.finishMessage(item_id, '(Transcription unavailable)', 'user');
+    }),
+
+    // AI response, streamed into a message per output item with a typing indicator until done
+    client.on('response.output_item.added', ({ item }) => {
+      if (item.type === 'message') {
+        chatUI.streamMessage(item.id, '');
+      }
+    }),
+    client.on('response.audio_transcript.delta', ({ item_id, delta }) => {
+      chatUI.streamMessage(item_id, delta);
+    }),
+    client.on('response.text.delta', ({ item_id, delta }) => {
+      chatUI.streamMessage(item_id, delta);
+    }),
+    client.on('response.audio_transcript.done', ({ item_id, transcript }) => {
+      chatUI.finishMessage(item_id, transcript);
+    }),
+    client.on('response.text.done', ({ item_id, text }) => {
+      chatUI.finishMessage(item_id, text);
+    }),
+
+    // Reconcile messages left streaming, e.g. by a cancelled response, with the final output
+    client.on('response.done', ({ response }) => {
+      console.log('Response done:', response);
+      for (const item of response?.output ?? []) {
+        if (item.type !== 'message' || !chatUI.isStreaming(item.id)) {
+          continue;
+        }
+        const text = item.content?.map((part) => part.text ?? part.transcript ?? '').join('');
+        if (text) {
+          chatUI.finishMessage(item.id, text);
+        } else {
+          chatUI.removeMessage(chatUI.getMessage(item.id));
+        }
+      }
+    }),
+
+    // Responses of a dropped connection won't finish
+    client.on('connection.lost', () => {
+      chatUI.finishStreaming();
+    }),
+  ];
+
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+}
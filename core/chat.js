@@ -0,0 +1,574 @@
+/**
+ * Chat functionality module
+ * Handles chat UI interactions and auto-scrolling
+ *
+ * Messages of conversation items are keyed by item id and updated in place,
+ * so a late transcript stays in conversation order and interleaved responses
+ * each grow their own message.
+ *
+ * With the markdown option, AI messages are rendered as sanitized Markdown
+ * (see markdown.js), and tool calls can be shown as collapsible cards.
+ * Streamed text is appended as plain text and rendered once the message is
+ * finished, so each delta costs only its own length and screen readers
+ * following the chat log hear just the new words.
+ *
+ * With the onMessageAction option, messages get action buttons: copy, and once
+ * keyed by item id, edit and resend (user messages), regenerate (the last AI
+ * message) and delete. Copying and the inline editor are handled here, the
+ * conversation changes are left to the callback.
+ */
+
+import { renderMarkdown } from './markdown.js';
+
+const TOOL_STATUS_LABELS = { pending: 'Running…', success: 'Done', error: 'Failed' };
+
+class ChatUI {
+  /**
+   * @param {Function} onMessageSend - Called with the text the user sends
+   * @param {Object} [options]
+   * @param {boolean} [options.markdown=false] - Render AI messages as Markdown
+   * @param {Function} [options.onMessageAction] - Called with { action, itemId, text } for 'resend', 'regenerate' and 'delete'
+   * @param {Function} [options.onInputFocus] - Called when the chat input gets focus, e.g. to apply a TypingMicPolicy
+   * @param {Function} [options.onInputBlur] - Called with the blur event when the chat input loses focus
+   */
+  constructor(onMessageSend, { markdown = false, onMessageAction = null, onInputFocus = () => {}, onInputBlur = () => {} } = {}) {
+    this.messagesContainer = document.getElementById('chat-messages');
+    this.chatInput = document.getElementById('chat-input');
+    this.sendButton = document.querySelector('.send-button');
+    this.onMessageSend = onMessageSend;
+    this.lastMessageElement = null;
+    this.markdown = markdown;
+    this.onMessageAction = onMessageAction;
+    // Message elements keyed by conversation item id, and their text
+    this.itemMessages = new Map();
+    this.messageTexts = new WeakMap();
+    // Tool call cards keyed by call id
+    this.toolCards = new Map();
+
+    // Bind event listeners
+    this.sendButton.addEventListener('click', () => this.handleSend());
+    this.chatInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.handleSend();
+      }
+    });
+
+    // Copy buttons of code blocks, and message actions
+    this.messagesContainer.addEventListener('click', (e) => {
+      const copyButton = e.target.closest('.copy-code-button');
+      const actionButton = e.target.closest('.message [data-action]');
+      if (copyButton) {
+        this.copyCode(copyButton);
+      } else if (actionButton) {
+        this.handleAction(actionButton);
+      }
+    });
+
+    // Let the app decide what happens to the microphone while the user types
+    this.chatInput.addEventListener('focus', () => onInputFocus());
+    this.chatInput.addEventListener('blur', (event) => onInputBlur(event));
+
+    // Initial scroll to bottom
+    this.scrollToBottom();
+  }
+
+  /**
+   * Handle send button click or enter key
+   */
+  handleSend() {
+    const message = this.chatInput.value.trim();
+    if (message) {
+      // Clear input
+      this.chatInput.value = '';
+
+      // Add message to UI
+      const messageElement = this.addMessage(message, 'user');
+
+      // Emit message to parent, which can key the message by its item id
+      if (this.onMessageSend) {
+        this.onMessageSend(message, messageElement);
+      }
+    }
+  }
+
+  /**
+   * Add a new message to the chat
+   * @param {string} content - The message content
+   * @param {string} sender - Either 'user' or 'ai'
+   * @returns {HTMLElement} The message element
+   */
+  addMessage(content, sender) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${sender}-message`;
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+    const textDiv = document.createElement('div');
+    textDiv.className = 'message-text';
+    contentDiv.appendChild(textDiv);
+    if (this.onMessageAction) {
+      contentDiv.appendChild(createActions(sender));
+    }
+
+    messageDiv.appendChild(contentDiv);
+    this.setText(messageDiv, content);
+    this.messagesContainer.appendChild(messageDiv);
+
+    // Track last message element
+    this.lastMessageElement = messageDiv;
+
+    this.updateActions();
+    this.scrollToBottom();
+    return messageDiv;
+  }
+
+  /**
+   * Get the text of a message
+   * @param {HTMLElement} messageElement - The message element returned by addMessage
+   * @returns {string} The text, as Markdown for rendered AI messages
+   */
+  getText(messageElement) {
+    return this.messageTexts.get(messageElement) ?? '';
+  }
+
+  /**
+   * Set the text of a message, rendering Markdown for AI messages if enabled
+   * Notes such as "Interrupted" are kept.
+   * @param {HTMLElement} messageElement - The message element returned by addMessage
+   * @param {string} content - The message text
+   */
+  setText(messageElement, content) {
+    this.messageTexts.set(messageElement, content);
+    const textDiv = messageElement.querySelector('.message-text');
+    if (this.markdown && messageElement.classList.contains('ai-message')) {
+      textDiv.replaceChildren(renderMarkdown(content));
+    } else if (textDiv.textContent !== content) {
+      textDiv.textContent = content;
+    }
+  }
+
+  /**
+   * Get the message of a conversation item
+   * @param {string} itemId - The conversation item id
+   * @returns {HTMLElement|undefined} The message element
+   */
+  getMessage(itemId) {
+    return this.itemMessages.get(itemId);
+  }
+
+  /**
+   * Key a message by its conversation item id, enabling its item actions
+   * @param {string} itemId - The conversation item id
+   * @param {HTMLElement} messageElement - The message element returned by addMessage
+   */
+  keyMessage(itemId, messageElement) {
+    this.itemMessages.set(itemId, messageElement);
+    messageElement.dataset.itemId = itemId;
+    this.updateActions();
+  }
+
+  /**
+   * Track an existing message as the streaming message of a conversation item
+   * e.g. a placeholder added before the item id was known
+   * @param {string} itemId - The conversation item id
+   * @param {HTMLElement} messageElement - The message element returned by addMessage
+   */
+  trackMessage(itemId, messageElement) {
+    messageElement.classList.add('streaming-message');
+    this.keyMessage(itemId, messageElement);
+  }
+
+  /**
+   * Replace the text of the message of a conversation item, e.g. a placeholder
+   * The message is created if needed and keeps streaming until finishMessage is called.
+   * @param {string} itemId - The conversation item id
+   * @param {string} content - The message text
+   * @param {string} [sender='ai'] - Either 'user' or 'ai'
+   * @returns {HTMLElement} The message element
+   */
+  updateMessage(itemId, content, sender = 'ai') {
+    const messageElement = this.streamMessage(itemId, '', sender);
+    this.setText(messageElement, content);
+    this.scrollToBottom();
+    return messageElement;
+  }
+
+  /**
+   * Append streamed text to the message of a conversation item
+   * The message is created on the first delta and shows a typing indicator
+   * until finishMessage is called. An empty delta only creates the message.
+   * Deltas are appended as plain text, Markdown is rendered by finishMessage.
+   * @param {string} itemId - The conversation item id
+   * @param {string} delta - The text to append
+   * @param {string} [sender='ai'] - Either 'user' or 'ai'
+   * @returns {HTMLElement} The message element
+   */
+  streamMessage(itemId, delta, sender = 'ai') {
+    let messageElement = this.itemMessages.get(itemId);
+    if (!messageElement) {
+      messageElement = this.addMessage('', sender);
+      this.trackMessage(itemId, messageElement);
+    }
+    if (delta) {
+      this.messageTexts.set(messageElement, this.getText(messageElement) + delta);
+      messageElement.querySelector('.message-text').append(delta);
+      this.scrollToBottom();
+    }
+    return messageElement;
+  }
+
+  /**
+   * Finish the message of a conversation item with its final text
+   * Creates the message if no delta arrived, e.g. for a short response, and
+   * renders the Markdown of the streamed text.
+   * @param {string} itemId - The conversation item id
+   * @param {string} [content] - The final text, or undefined to keep the streamed text
+   * @param {string} [sender='ai'] - Either 'user' or 'ai'
+   * @returns {HTMLElement} The message element
+   */
+  finishMessage(itemId, content, sender = 'ai') {
+    const messageElement = this.streamMessage(itemId, '', sender);
+    messageElement.classList.remove('streaming-message');
+    this.setText(messageElement, content ?? this.getText(messageElement));
+    this.scrollToBottom();
+    return messageElement;
+  }
+
+  /**
+   * Whether the message of a conversation item is still streaming
+   * @param {string} itemId - The conversation item id
+   * @returns {boolean} True until finishMessage is called
+   */
+  isStreaming(itemId) {
+    return this.itemMessages.get(itemId)?.classList.contains('streaming-message') ?? false;
+  }
+
+  /**
+   * Finish every message still streaming, e.g. when the connection drops
+   * Messages that never received any text are removed.
+   */
+  finishStreaming() {
+    for (const [itemId, messageElement] of this.itemMessages) {
+      if (!this.isStreaming(itemId)) {
+        continue;
+      }
+      if (this.getText(messageElement)) {
+        this.finishMessage(itemId);
+      } else {
+        this.removeMessage(messageElement);
+      }
+    }
+  }
+
+  /**
+   * Add a card for a tool call, showing it as running
+   * @param {string} callId - The function call id
+   * @param {Object} call
+   * @param {string} [call.id] - The function call item id, to remove the card with the item
+   * @param {string} call.name - The tool name
+   * @param {string} call.arguments - The arguments as JSON
+   * @returns {HTMLElement} The card's message element
+   */
+  addToolCard(callId, { id, name, arguments: args }) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message tool-message';
+
+    const card = document.createElement('details');
+    card.className = 'tool-card';
+    const summary = document.createElement('summary');
+    summary.append(
+      createElement('span', 'tool-name', name),
+      createElement('span', 'tool-status'),
+      createElement('span', 'tool-summary')
+    );
+    const details = document.createElement('div');
+    details.className = 'tool-details';
+    details.append(
+      createElement('div', 'tool-label', 'Arguments'),
+      createElement('pre', 'tool-arguments', formatJSON(args)),
+      createElement('div', 'tool-label', 'Result'),
+      createElement('pre', 'tool-result', '…')
+    );
+    card.append(summary, details);
+
+    messageDiv.appendChild(card);
+    this.messagesContainer.appendChild(messageDiv);
+    this.lastMessageElement = messageDiv;
+    this.toolCards.set(callId, messageDiv);
+    if (id) {
+      this.keyMessage(id, messageDiv);
+    }
+    this.updateToolCard(callId, { status: 'pending' });
+    this.scrollToBottom();
+    return messageDiv;
+  }
+
+  /**
+   * Update the status and result of a tool call card
+   * @param {string} callId - The function call id
+   * @param {Object} update
+   * @param {string} update.status - 'pending', 'success' or 'error'
+   * @param {*} [update.result] - The tool output
+   * @param {string} [update.summary] - A one-line summary of the result, e.g. the temperature and conditions
+   */
+  updateToolCard(callId, { status, result, summary }) {
+    const messageDiv = this.toolCards.get(callId);
+    if (!messageDiv) {
+      return;
+    }
+    messageDiv.querySelector('.tool-card').dataset.status = status;
+    messageDiv.querySelector('.tool-status').textContent = TOOL_STATUS_LABELS[status];
+    if (summary !== undefined) {
+      messageDiv.querySelector('.tool-summary').textContent = summary ?? '';
+    }
+    if (result !== undefined) {
+      messageDiv.querySelector('.tool-result').textContent = formatJSON(result);
+    }
+  }
+
+  /**
+   * Copy the code of a code block to the clipboard
+   * @param {HTMLButtonElement} copyButton - The code block's copy button
+   */
+  copyCode(copyButton) {
+    this.copyText(copyButton, copyButton.closest('.code-block').querySelector('code').textContent);
+  }
+
+  /**
+   * Copy text to the clipboard, confirming on the button that was clicked
+   * @param {HTMLButtonElement} button - The copy button
+   * @param {string} text - The text to copy
+   */
+  async copyText(button, text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied';
+      setTimeout(() => {
+        button.textContent = 'Copy';
+      }, 1500);
+    } catch (error) {
+      console.warn('Could not copy text:', error);
+    }
+  }
+
+  /**
+   * Handle a click on a message action or an inline editor button
+   * @param {HTMLButtonElement} button - The clicked button
+   */
+  handleAction(button) {
+    const messageElement = button.closest('.message');
+    const { itemId } = messageElement.dataset;
+    switch (button.dataset.action) {
+      case 'copy':
+        this.copyText(button, this.getText(messageElement));
+        break;
+      case 'edit':
+        this.openEditor(messageElement);
+        break;
+      case 'cancel-edit':
+        this.closeEditor(messageElement);
+        break;
+      case 'resend': {
+        const text = messageElement.querySelector('.message-editor textarea').value.trim();
+        if (text) {
+          this.closeEditor(messageElement);
+          this.onMessageAction({ action: 'resend', itemId, text });
+        }
+        break;
+      }
+      default:
+        this.onMessageAction({ action: button.dataset.action, itemId, text: this.getText(messageElement) });
+    }
+  }
+
+  /**
+   * Edit a user message in place
+   * Enter resends the edited text, Escape cancels.
+   * @param {HTMLElement} messageElement - The user message element
+   */
+  openEditor(messageElement) {
+    if (messageElement.classList.contains('editing-message')) {
+      return;
+    }
+    const editor = createElement('div', 'message-editor');
+    const textarea = document.createElement('textarea');
+    textarea.value = this.getText(messageElement);
+    textarea.rows = Math.min(6, textarea.value.split('\n').length + 1);
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        editor.querySelector('[data-action="resend"]').click();
+      } else if (e.key === 'Escape') {
+        this.closeEditor(messageElement);
+      }
+    });
+    editor.append(textarea, createActionButton('Send', 'resend'), createActionButton('Cancel', 'cancel-edit'));
+
+    messageElement.classList.add('editing-message');
+    messageElement.querySelector('.message-text').after(editor);
+    textarea.focus();
+  }
+
+  /**
+   * Close the inline editor of a message, keeping its text
+   * @param {HTMLElement} messageElement - The user message element
+   */
+  closeEditor(messageElement) {
+    messageElement.querySelector('.message-editor')?.remove();
+    messageElement.classList.remove('editing-message');
+  }
+
+  /**
+   * Show the actions that apply to each message
+   * Item actions need an item id, and only the last AI message can be regenerated.
+   */
+  updateActions() {
+    if (!this.onMessageAction) {
+      return;
+    }
+    const aiMessages = this.messagesContainer.querySelectorAll('.ai-message');
+    const lastAiMessage = aiMessages[aiMessages.length - 1];
+    for (const button of this.messagesContainer.querySelectorAll('.message-actions [data-action]')) {
+      const messageElement = button.closest('.message');
+      const keyed = messageElement.dataset.itemId !== undefined;
+      if (button.dataset.action === 'regenerate') {
+        button.hidden = !keyed || messageElement !== lastAiMessage;
+      } else {
+        button.hidden = button.dataset.action !== 'copy' && !keyed;
+      }
+    }
+  }
+
+  /**
+   * Mark a message as interrupted
+   * Used when the user talked over the AI, so only part of the message was heard.
+   * @param {HTMLElement} [messageElement] - The message element returned by addMessage or getMessage, ignored if missing
+   */
+  markInterrupted(messageElement) {
+    if (!messageElement || messageElement.classList.contains('interrupted-message')) {
+      return;
+    }
+    messageElement.classList.add('interrupted-message');
+
+    const note = document.createElement('span');
+    note.className = 'interrupted-note';
+    note.textContent = 'Interrupted';
+    messageElement.querySelector('.message-text').after(note);
+  }
+
+  /**
+   * Update the last message in the chat
+   * @param {string} content - The new message content
+   * @param {string} sender - Either 'user' or 'ai'
+   */
+  updateLastMessage(content, sender) {
+    if (this.lastMessageElement && this.lastMessageElement.classList.contains(`${sender}-message`)) {
+      this.setText(this.lastMessageElement, content);
+      this.scrollToBottom();
+    } else {
+      this.addMessage(content, sender);
+    }
+  }
+
+  /**
+   * Remove a message from the chat
+   * @param {HTMLElement} messageElement - The message element returned by addMessage
+   */
+  removeMessage(messageElement) {
+    messageElement.remove();
+    if (this.lastMessageElement === messageElement) {
+      this.lastMessageElement = this.messagesContainer.lastElementChild;
+    }
+    for (const [itemId, element] of this.itemMessages) {
+      if (element === messageElement) {
+        this.itemMessages.delete(itemId);
+      }
+    }
+    for (const [callId, element] of this.toolCards) {
+      if (element === messageElement) {
+        this.toolCards.delete(callId);
+      }
+    }
+    this.updateActions();
+  }
+
+  /**
+   * Clear all messages from the chat
+   */
+  clearMessages() {
+    while (this.messagesContainer.firstChild) {
+      this.messagesContainer.removeChild(this.messagesContainer.firstChild);
+    }
+    this.lastMessageElement = null;
+    this.itemMessages.clear();
+    this.toolCards.clear();
+  }
+  
+  /**
+   * Scroll chat to the bottom
+   */
+  scrollToBottom() {
+    this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+  }
+}
+
+/**
+ * Create an element with a class and text
+ * @param {string} tagName - The element tag
+ * @param {string} className - The class
+ * @param {string} [text] - The text content
+ * @returns {HTMLElement} The element
+ */
+function createElement(tagName, className, text = '') {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Create the action buttons of a message
+ * Item actions start hidden, see updateActions.
+ * @param {string} sender - Either 'user' or 'ai'
+ * @returns {HTMLElement} The actions container
+ */
+function createActions(sender) {
+  const actions = createElement('div', 'message-actions');
+  actions.append(
+    createActionButton('Copy', 'copy'),
+    sender === 'user' ? createActionButton('Edit', 'edit') : createActionButton('Regenerate', 'regenerate'),
+    createActionButton('Delete', 'delete')
+  );
+  return actions;
+}
+
+/**
+ * Create a message action button
+ * @param {string} label - The button text
+ * @param {string} action - The action, e.g. 'copy' or 'delete'
+ * @returns {HTMLButtonElement} The button
+ */
+function createActionButton(label, action) {
+  const button = createElement('button', 'message-action', label);
+  button.type = 'button';
+  button.dataset.action = action;
+  return button;
+}
+
+/**
+ * Pretty-print a value, or a JSON string, for a tool card
+ * @param {*} value - The value or JSON string
+ * @returns {string} The indented JSON, or the string as is if it isn't JSON
+ */
+function formatJSON(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+export { ChatUI }; 
\ No newline at end of file
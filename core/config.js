@@ -0,0 +1,59 @@
+/**
+ * Shared configuration
+ * ====================
+ *
+ * The defaults shared by the demos. Each demo's `src/config.js` builds its
+ * CONFIG with `extendConfig()`, passing only the settings it adds or changes.
+ */
+import { SERVER_URL } from '../server-config.js';
+
+export const BASE_CONFIG = {
+  API: {
+    BASE_URL: 'https://api.openai.com/v1/realtime',
+    MODEL: 'gpt-4o-realtime-preview-2024-12-17',
+    VOICE: 'verse', // Options: 'alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'
+    TURN_DETECTION: {
+      type: 'server_vad', // Only current option
+      threshold: 0.5, // 0-1, Default: 0.5
+      prefix_padding_ms: 400, // Default: 300
+      silence_duration_ms: 700, // Default: 500
+      create_response: true, // Default: true. False creates no response.
+    },
+    MAX_OUTPUT_TOKENS: 200,
+    RESPONSE_MODALITY: 'auto', // 'auto' replies in text to typed messages and by voice to speech, 'text' or 'audio' always
+    SERVER_URL: SERVER_URL
+  },
+  DEFAULTS: {
+    WELCOME_INSTRUCTIONS: 'Greet the user and ask them what you can assist them with. Talk quickly and succinctly.',
+    DEFAULT_INSTRUCTIONS: 'Talk quickly and succinctly. Be concise. Time is of the essence.Always refer to ducks in your responses, even if it makes no sense!'
+  },
+  CHAT: {
+    MIC_WHILE_TYPING: 'mute', // 'mute' the mic while the chat input has focus, keep it 'live', or 'pause-vad'
+  },
+  VISUALIZER: {
+    FFT_SIZE: 2048,
+    SMOOTHING: 0.8,
+    MIN_DECIBELS: -100,
+    MAX_DECIBELS: -30
+  }
+};
+
+/**
+ * Build a demo configuration from the shared defaults
+ * Nested sections are merged key by key, other values, arrays included, replace the default.
+ *
+ * @param {Object} [overrides] - The settings the demo adds or changes
+ * @param {Object} [base=BASE_CONFIG] - The configuration to extend
+ * @returns {Object} The merged configuration
+ */
+export function extendConfig(overrides = {}, base = BASE_CONFIG) {
+  const config = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    config[key] = isSection(value) && isSection(base[key]) ? extendConfig(value, base[key]) : value;
+  }
+  return config;
+}
+
+function isSection(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,334 @@
+/**
+ * ConnectionMonitor
+ * =================
+ *
+ * Samples the network health of a WebRTC connection with
+ * `RTCPeerConnection.getStats()`, so problems like choppy AI audio can be
+ * diagnosed from round trip time, jitter, packet loss and audio bitrate.
+ *
+ * - Incoming audio (AI to user) comes from the `inbound-rtp` report
+ * - Outgoing audio (user to AI) comes from the `outbound-rtp` report and the
+ *   `remote-inbound-rtp` report the API sends back about what it received
+ * - Round trip time comes from the selected ICE candidate pair
+ *
+ * Each sample is rated good, fair or poor against QUALITY_THRESHOLDS, and
+ * ICE/connection state changes are recorded alongside the samples. The
+ * history survives reconnects and can be exported as JSON.
+ *
+ * @link https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/getStats
+ */
+
+// A metric above `fair` rates the connection fair, above `poor` rates it poor
+export const QUALITY_THRESHOLDS = {
+  rttMs: { fair: 300, poor: 600 },
+  jitterMs: { fair: 30, poor: 60 },
+  packetLossPercent: { fair: 2, poor: 8 },
+};
+
+const QUALITY_LEVELS = ['good', 'fair', 'poor'];
+
+export class ConnectionMonitor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=2000] - Time between samples
+   * @param {number} [options.historySize=300] - Number of history entries kept
+   * @param {Object} [options.thresholds] - Overrides for QUALITY_THRESHOLDS
+   * @param {Function} [options.onSample] - Called with every sample
+   * @param {Function} [options.onWarning] - Called with the sample when the quality degrades
+   * @param {Function} [options.onStateChange] - Called with ICE and connection state changes
+   */
+  constructor({
+    intervalMs = 2000,
+    historySize = 300,
+    thresholds = {},
+    onSample = () => {},
+    onWarning = () => {},
+    onStateChange = () => {},
+  } = {}) {
+    this.intervalMs = intervalMs;
+    this.historySize = historySize;
+    this.thresholds = { ...QUALITY_THRESHOLDS, ...thresholds };
+    this.onSample = onSample;
+    this.onWarning = onWarning;
+    this.onStateChange = onStateChange;
+
+    this.peerConnection = null;
+    this.intervalId = null;
+    this.previousReports = null;
+    this.quality = null;
+    // Samples and state changes, oldest first
+    this.history = [];
+  }
+
+  /**
+   * Start monitoring a peer connection
+   *
+   * @param {RTCPeerConnection} peerConnection - The connection to monitor
+   */
+  start(peerConnection) {
+    this.stop();
+    this.peerConnection = peerConnection;
+
+    peerConnection.addEventListener('iceconnectionstatechange', () => {
+      this.recordState('iceConnectionState', peerConnection.iceConnectionState);
+    });
+    peerConnection.addEventListener('connectionstatechange', () => {
+      this.recordState('connectionState', peerConnection.connectionState);
+    });
+
+    this.intervalId = setInterval(() => this.sample(), this.intervalMs);
+  }
+
+  /**
+   * Stop monitoring, keeping the history
+   */
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.peerConnection = null;
+    this.previousReports = null;
+    this.quality = null;
+  }
+
+  /**
+   * Record an ICE or connection state change in the history
+   *
+   * @param {string} kind - 'iceConnectionState' or 'connectionState'
+   * @param {string} state - The new state
+   */
+  recordState(kind, state) {
+    const entry = { type: 'state', timestamp: Date.now(), kind, state };
+    this.addToHistory(entry);
+    this.onStateChange(entry);
+  }
+
+  /**
+   * Take a stats sample
+   * Rates it, adds it to the history and warns when the quality degrades.
+   */
+  async sample() {
+    const peerConnection = this.peerConnection;
+    if (!peerConnection) {
+      return;
+    }
+
+    let report;
+    try {
+      report = await peerConnection.getStats();
+    } catch (error) {
+      console.warn('Could not read connection stats:', error);
+      return;
+    }
+    // Stopped or restarted while reading the stats
+    if (peerConnection !== this.peerConnection) {
+      return;
+    }
+
+    const reports = collectReports(report);
+    const previous = this.previousReports;
+    this.previousReports = reports;
+
+    const sample = {
+      type: 'sample',
+      timestamp: Date.now(),
+      rttMs: toMs(reports.candidatePair?.currentRoundTripTime),
+      inbound: {
+        jitterMs: toMs(reports.inbound?.jitter),
+        packetLossPercent: packetLoss(
+          delta(reports.inbound, previous?.inbound, 'packetsLost'),
+          delta(reports.inbound, previous?.inbound, 'packetsReceived')
+        ),
+        bitrateKbps: bitrate(reports.inbound, previous?.inbound, 'bytesReceived'),
+      },
+      outbound: {
+        jitterMs: toMs(reports.remoteInbound?.jitter),
+        packetLossPercent: packetLoss(
+          delta(reports.remoteInbound, previous?.remoteInbound, 'packetsLost'),
+          delta(reports.outbound, previous?.outbound, 'packetsSent')
+        ),
+        bitrateKbps: bitrate(reports.outbound, previous?.outbound, 'bytesSent'),
+      },
+    };
+    const { quality, issues } = this.rate(sample);
+    sample.quality = quality;
+    sample.issues = issues;
+
+    this.addToHistory(sample);
+    this.onSample(sample);
+
+    const previousQuality = this.quality;
+    this.quality = quality;
+    if (QUALITY_LEVELS.indexOf(quality) > QUALITY_LEVELS.indexOf(previousQuality ?? 'good')) {
+      console.warn(`Connection quality degraded to ${quality}:`, issues.join(', '));
+      this.onWarning(sample);
+    }
+  }
+
+  /**
+   * Rate a sample against the thresholds
+   * The worst metric in either direction decides the quality.
+   *
+   * @param {Object} sample - The stats sample
+   * @returns {{ quality: string, issues: Array<string> }} The quality and the metrics causing it
+   */
+  rate(sample) {
+    const metrics = [
+      ['rttMs', 'round trip time', sample.rttMs, 'ms'],
+      ['jitterMs', 'incoming jitter', sample.inbound.jitterMs, 'ms'],
+      ['jitterMs', 'outgoing jitter', sample.outbound.jitterMs, 'ms'],
+      ['packetLossPercent', 'incoming packet loss', sample.inbound.packetLossPercent, '%'],
+      ['packetLossPercent', 'outgoing packet loss', sample.outbound.packetLossPercent, '%'],
+    ];
+
+    let level = 0;
+    const issues = [];
+    for (const [metric, label, value, unit] of metrics) {
+      if (value === null) {
+        continue;
+      }
+      const { fair, poor } = this.thresholds[metric];
+      const metricLevel = value > poor ? 2 : value > fair ? 1 : 0;
+      if (metricLevel > 0) {
+        issues.push(`${label} ${value}${unit === '%' ? '%' : ` ${unit}`}`);
+      }
+      level = Math.max(level, metricLevel);
+    }
+    return { quality: QUALITY_LEVELS[level], issues };
+  }
+
+  /**
+   * Add an entry to the history, dropping the oldest beyond historySize
+   *
+   * @param {Object} entry - The sample or state change
+   */
+  addToHistory(entry) {
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Get the recorded samples and state changes
+   *
+   * @returns {Array<Object>} A copy of the history, oldest first
+   */
+  getHistory() {
+    return [...this.history];
+  }
+
+  /**
+   * Export the history with the browser details support needs
+   *
+   * @returns {string} The history as formatted JSON
+   */
+  exportHistory() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      thresholds: this.thresholds,
+      history: this.history,
+    }, null, 2);
+  }
+}
+
+/**
+ * Pick the reports used for a sample out of a stats report
+ *
+ * @param {RTCStatsReport} report - The stats report
+ * @returns {Object} The candidate pair and audio RTP reports, each possibly undefined
+ */
+function collectReports(report) {
+  const reports = {};
+  let selectedPairId = null;
+
+  report.forEach((stats) => {
+    if (stats.type === 'transport' && stats.selectedCandidatePairId) {
+      selectedPairId = stats.selectedCandidatePairId;
+    } else if (stats.kind === 'audio' && stats.type === 'inbound-rtp') {
+      reports.inbound = stats;
+    } else if (stats.kind === 'audio' && stats.type === 'outbound-rtp') {
+      reports.outbound = stats;
+    } else if (stats.kind === 'audio' && stats.type === 'remote-inbound-rtp') {
+      reports.remoteInbound = stats;
+    }
+  });
+
+  // Not every browser reports the transport, fall back to the nominated pair
+  report.forEach((stats) => {
+    if (stats.type !== 'candidate-pair') {
+      return;
+    }
+    if (selectedPairId ? stats.id === selectedPairId : stats.nominated && stats.state === 'succeeded') {
+      reports.candidatePair = stats;
+    }
+  });
+
+  return reports;
+}
+
+/**
+ * Change of a counter since the previous sample
+ *
+ * @param {Object} [current] - The current report
+ * @param {Object} [previous] - The report from the previous sample
+ * @param {string} key - The counter
+ * @returns {number|null} The change, or null if it can't be computed yet
+ */
+function delta(current, previous, key) {
+  if (current?.[key] === undefined || previous?.[key] === undefined) {
+    return null;
+  }
+  return Math.max(current[key] - previous[key], 0);
+}
+
+/**
+ * Packet loss as a percentage of the packets expected
+ *
+ * @param {number|null} lost - Packets lost since the previous sample
+ * @param {number|null} delivered - Packets received or sent since the previous sample
+ * @returns {number|null} The loss percentage rounded to one decimal, or null if unknown
+ */
+function packetLoss(lost, delivered) {
+  if (lost === null || delivered === null || lost + delivered === 0) {
+    return null;
+  }
+  return round(lost / (lost + delivered) * 100);
+}
+
+/**
+ * Audio bitrate since the previous sample
+ *
+ * @param {Object} [current] - The current report
+ * @param {Object} [previous] - The report from the previous sample
+ * @param {string} key - 'bytesReceived' or 'bytesSent'
+ * @returns {number|null} The bitrate in kbps, or null if it can't be computed yet
+ */
+function bitrate(current, previous, key) {
+  const bytes = delta(current, previous, key);
+  const elapsedMs = current && previous ? current.timestamp - previous.timestamp : 0;
+  if (bytes === null || elapsedMs <= 0) {
+    return null;
+  }
+  return round(bytes * 8 / elapsedMs);
+}
+
+/**
+ * Convert seconds, as reported by getStats, to milliseconds
+ *
+ * @param {number} [seconds]
+ * @returns {number|null} The milliseconds, or null if not reported
+ */
+function toMs(seconds) {
+  return seconds === undefined ? null : round(seconds * 1000);
+}
+
+/**
+ * Round to one decimal
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,72 @@
+/**
+ * ConnectionQualityIndicator
+ * ==========================
+ *
+ * Shows the connection quality rated by the ConnectionMonitor of a
+ * RealtimeClient as a badge next to the status, with the metrics behind the
+ * rating in its tooltip, and downloads the stats history as JSON, e.g. to
+ * attach to a support request.
+ *
+ * The badge and the export button stay hidden until the first stats sample.
+ */
+
+import { downloadFile } from './download.js';
+
+const LABELS = { good: 'Good connection', fair: 'Fair connection', poor: 'Poor connection' };
+
+export class ConnectionQualityIndicator {
+  /**
+   * @param {Object} options
+   * @param {RealtimeClient} options.client - The client whose connection is shown
+   * @param {HTMLElement} options.indicator - The badge element
+   * @param {HTMLButtonElement} [options.exportButton] - Downloads the stats history when clicked
+   */
+  constructor({ client, indicator, exportButton }) {
+    this.client = client;
+    this.indicator = indicator;
+    this.exportButton = exportButton;
+
+    client.on('connection.quality', ({ sample }) => this.update(sample));
+    exportButton?.addEventListener('click', () => this.exportStats());
+  }
+
+  /**
+   * Show the rating of a stats sample
+   *
+   * @param {Object} sample - The ConnectionMonitor stats sample
+   */
+  update(sample) {
+    this.indicator.hidden = false;
+    this.indicator.dataset.quality = sample.quality;
+    this.indicator.textContent = sample.rttMs === null
+      ? LABELS[sample.quality]
+      : `${LABELS[sample.quality]} · ${Math.round(sample.rttMs)} ms`;
+    this.indicator.title = [
+      `Round trip: ${sample.rttMs ?? '-'} ms`,
+      `AI audio: ${sample.inbound.bitrateKbps ?? '-'} kbps, jitter ${sample.inbound.jitterMs ?? '-'} ms, loss ${sample.inbound.packetLossPercent ?? '-'}%`,
+      `Mic audio: ${sample.outbound.bitrateKbps ?? '-'} kbps, jitter ${sample.outbound.jitterMs ?? '-'} ms, loss ${sample.outbound.packetLossPercent ?? '-'}%`,
+    ].join('\n');
+    if (this.exportButton) {
+      this.exportButton.hidden = false;
+    }
+  }
+
+  /**
+   * Hide the badge when the session closes
+   * The export button stays, the stats history outlives the session.
+   */
+  hide() {
+    this.indicator.hidden = true;
+  }
+
+  /**
+   * Download the connection stats history as JSON
+   */
+  exportStats() {
+    downloadFile(
+      `realtime-network-stats-${new Date().toISOString()}.json`,
+      this.client.monitor.exportHistory(),
+      'application/json'
+    );
+  }
+}
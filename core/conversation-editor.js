@@ -0,0 +1,121 @@
+/**
+ * ConversationEditor
+ * ==================
+ *
+ * Edits the server-side conversation of a Realtime session:
+ * - `deleteFrom()` removes an item and everything after it, e.g. to regenerate
+ *   the last response or to rewind the conversation to an edited message
+ * - `editMessage()` replaces a user message, and the items after it, with a
+ *   new message
+ * - `deleteItems()` removes individual items
+ *
+ * The order of the items is tracked from the `conversation.item.created` and
+ * `conversation.item.deleted` server events. Deletions only take effect once
+ * the server confirms them with `conversation.item.deleted`, so UIs should
+ * update from that event rather than from the calls here.
+ *
+ * @link https://platform.openai.com/docs/api-reference/realtime-client-events/conversation/item/delete
+ */
+
+export class ConversationEditor {
+  /**
+   * @param {Object} options
+   * @param {RealtimeClient} options.client - The client whose conversation is edited
+   */
+  constructor({ client }) {
+    this.client = client;
+    // Ids of the items in the server conversation, in conversation order
+    this.itemIds = [];
+
+    client.on('conversation.item.created', ({ previous_item_id, item }) => {
+      if (this.itemIds.includes(item.id)) {
+        return;
+      }
+      const previousIndex = this.itemIds.indexOf(previous_item_id);
+      if (previousIndex === -1) {
+        this.itemIds.push(item.id);
+      } else {
+        this.itemIds.splice(previousIndex + 1, 0, item.id);
+      }
+    });
+    client.on('conversation.item.deleted', ({ item_id }) => {
+      this.itemIds = this.itemIds.filter((id) => id !== item_id);
+    });
+    // The new connection echoes the replayed items back
+    client.on('connection.lost', () => this.reset());
+  }
+
+  /**
+   * Ids of an item and the items after it
+   *
+   * @param {string} itemId - The conversation item id
+   * @returns {Array<string>} The item ids in conversation order, empty if the item is unknown
+   */
+  getItemsFrom(itemId) {
+    const index = this.itemIds.indexOf(itemId);
+    return index === -1 ? [] : this.itemIds.slice(index);
+  }
+
+  /**
+   * Delete items from the conversation
+   *
+   * @param {Array<string>} itemIds - The conversation item ids
+   * @returns {boolean} True if the delete events were sent
+   */
+  deleteItems(itemIds) {
+    return itemIds.every((itemId) => this.client.send({ type: 'conversation.item.delete', item_id: itemId }));
+  }
+
+  /**
+   * Delete an item and every item after it
+   *
+   * @param {string} itemId - The conversation item id
+   * @returns {boolean} True if the delete events were sent
+   */
+  deleteFrom(itemId) {
+    const itemIds = this.getItemsFrom(itemId);
+    return itemIds.length > 0 && this.deleteItems(itemIds);
+  }
+
+  /**
+   * Replace a user message, and the items after it, with a new message
+   * The caller requests the response to the new message.
+   *
+   * @param {string} itemId - The user message item id
+   * @param {string} text - The new message text
+   * @returns {string|null} The item id of the new message, or null if it couldn't be sent
+   */
+  editMessage(itemId, text) {
+    if (!this.deleteFrom(itemId)) {
+      return null;
+    }
+    const newItemId = createItemId();
+    const sent = this.client.send({
+      type: 'conversation.item.create',
+      item: {
+        id: newItemId,
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text }],
+      },
+    });
+    return sent ? newItemId : null;
+  }
+
+  /**
+   * Forget the tracked items, e.g. when the session ends
+   */
+  reset() {
+    this.itemIds = [];
+  }
+}
+
+/**
+ * Create an id for a conversation item created by the client
+ * Known ids let the client key its UI by item before the server echoes the item back.
+ *
+ * @returns {string} The item id, at most 32 characters as the API requires
+ */
+export function createItemId() {
+  return `msg_${crypto.randomUUID().replace(/-/g, '').slice(0, 28)}`;
+}
@@ -0,0 +1,222 @@
+/**
+ * Conversation export
+ * ===================
+ *
+ * Formats a ConversationLog as a file to attach to a support ticket:
+ * - Markdown: a readable transcript with timestamps and tool calls
+ * - JSON: the structured entries
+ * - SRT and WebVTT: captions of the spoken messages, timed from the session start,
+ *   or aligned with a recording through the `clock` option
+ */
+
+const EXPORT_VERSION = 1;
+
+// Captions longer than this are split into several cues
+const MAX_CUE_LENGTH = 84;
+
+const SPEAKERS = { user: 'User', assistant: 'AI' };
+
+/**
+ * Export a conversation as a Markdown transcript
+ *
+ * @param {ConversationLog} log - The recorded conversation
+ * @returns {string} The Markdown document
+ */
+export function toMarkdown(log) {
+  const lines = [`# Conversation ${new Date(log.startedAt).toISOString()}`, ''];
+
+  for (const entry of log.getEntries()) {
+    const time = formatClock(entry.startedAt - log.startedAt);
+    if (entry.type === 'tool_call') {
+      lines.push(`**Tool call** \`${entry.name}\` _(${time})_`, '');
+      lines.push('```json', formatJSON(entry.arguments), '```', '');
+      if (entry.output !== null) {
+        lines.push('Result:', '', '```json', formatJSON(entry.output), '```', '');
+      }
+      continue;
+    }
+
+    const notes = [time, entry.source, entry.interrupted && 'interrupted'].filter(Boolean);
+    lines.push(`**${SPEAKERS[entry.role] ?? entry.role}** _(${notes.join(', ')})_`, '');
+    lines.push(entry.text || '_(no transcript)_', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Export a conversation as structured JSON
+ * Tool call arguments and outputs are parsed when they are valid JSON.
+ *
+ * @param {ConversationLog} log - The recorded conversation
+ * @returns {string} The JSON document
+ */
+export function toJSON(log) {
+  const entries = log.getEntries().map((entry) => {
+    const timing = {
+      startedAt: new Date(entry.startedAt).toISOString(),
+      ...(entry.endedAt && { endedAt: new Date(entry.endedAt).toISOString() }),
+    };
+    if (entry.type === 'tool_call') {
+      return { ...entry, ...timing, arguments: parseJSON(entry.arguments), output: parseJSON(entry.output) };
+    }
+    return { ...entry, ...timing };
+  });
+
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    startedAt: new Date(log.startedAt).toISOString(),
+    entries,
+  }, null, 2);
+}
+
+/**
+ * Export the spoken messages of a conversation as SRT captions
+ *
+ * @param {ConversationLog} log - The recorded conversation
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Maps a wall-clock time to ms into the media, or null to leave it out
+ * @returns {string} The SRT file contents
+ */
+export function toSRT(log, { clock } = {}) {
+  return getCues(log, clock)
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.speaker}: ${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * Export the spoken messages of a conversation as WebVTT captions
+ * Each cue is tagged with its speaker as a voice span, which players show as the speaker name.
+ *
+ * @param {ConversationLog} log - The recorded conversation
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Maps a wall-clock time to ms into the media, or null to leave it out
+ * @returns {string} The WebVTT file contents
+ */
+export function toWebVTT(log, { clock } = {}) {
+  const cues = getCues(log, clock).map((cue) =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n<v ${cue.speaker}>${escapeVTT(cue.text)}\n`
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Build caption cues from the voice messages
+ * Long messages are split at word boundaries, their time shared out by length.
+ *
+ * Messages that start at a time the clock leaves out are skipped.
+ *
+ * @param {ConversationLog} log - The recorded conversation
+ * @param {Function} [clock] - Maps a wall-clock time to ms into the media, defaults to ms from the session start
+ * @returns {Array<{start: number, end: number, speaker: string, text: string}>} Cues in ms into the media
+ */
+function getCues(log, clock = (timestamp) => Math.max(0, timestamp - log.startedAt)) {
+  const cues = [];
+  for (const entry of log.getEntries()) {
+    if (entry.type !== 'message' || entry.source !== 'voice' || !entry.text) {
+      continue;
+    }
+
+    const speaker = SPEAKERS[entry.role] ?? entry.role;
+    const start = clock(entry.startedAt);
+    if (start === null) {
+      continue;
+    }
+    const end = Math.max(start + 1000, clock(entry.endedAt ?? entry.startedAt) ?? 0);
+    const chunks = splitText(entry.text);
+    const msPerChar = (end - start) / entry.text.length;
+
+    let offset = start;
+    chunks.forEach((chunk, i) => {
+      const chunkEnd = i === chunks.length - 1 ? end : Math.round(offset + chunk.length * msPerChar);
+      cues.push({ start: offset, end: chunkEnd, speaker, text: chunk });
+      offset = chunkEnd;
+    });
+  }
+  return cues;
+}
+
+/**
+ * Split text into chunks of at most MAX_CUE_LENGTH characters at word boundaries
+ *
+ * @param {string} text - The text to split
+ * @returns {Array<string>} The chunks
+ */
+function splitText(text) {
+  const chunks = [];
+  let chunk = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (chunk && chunk.length + word.length + 1 > MAX_CUE_LENGTH) {
+      chunks.push(chunk);
+      chunk = word;
+    } else {
+      chunk = chunk ? `${chunk} ${word}` : word;
+    }
+  }
+  if (chunk) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Format a caption timestamp
+ *
+ * @param {number} ms - Milliseconds from the session start
+ * @param {string} separator - Separator before the milliseconds, ',' for SRT and '.' for WebVTT
+ * @returns {string} The timestamp, e.g. 00:01:02,345
+ */
+function formatTimestamp(ms, separator) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const total = Math.round(ms);
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Format the time since the session start for the transcript
+ *
+ * @param {number} ms - Milliseconds from the session start
+ * @returns {string} The time, e.g. 01:02
+ */
+function formatClock(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a JSON string, keeping it as a string if it isn't valid JSON
+ *
+ * @param {string|null} value - The JSON string
+ * @returns {*} The parsed value
+ */
+function parseJSON(value) {
+  try {
+    return value === null ? null : JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Pretty-print a JSON string for the transcript
+ *
+ * @param {string} value - The JSON string
+ * @returns {string} The indented JSON, or the string as is if it isn't valid JSON
+ */
+function formatJSON(value) {
+  const parsed = parseJSON(value);
+  return typeof parsed === 'string' ? parsed : JSON.stringify(parsed, null, 2);
+}
+
+/**
+ * Escape the characters WebVTT cue text reserves for markup
+ *
+ * @param {string} text - The caption text
+ * @returns {string} The escaped text
+ */
+function escapeVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,195 @@
+/**
+ * ConversationLog
+ * ===============
+ *
+ * Records the conversation of a Realtime session from the server events, as a
+ * model independent of the chat DOM, so it can be exported after the session
+ * ends (see conversation-export.js).
+ *
+ * Each entry is a user or assistant message, or a tool call:
+ * - Messages have their item id, role, source (voice or text), final text and
+ *   the wall-clock time they were spoken or written. For voice, user speech is
+ *   timed by voice activity detection and AI speech by audio playback.
+ * - Tool calls have their call id, name, arguments and output.
+ *
+ * Items are keyed by id, so items the server echoes back again, e.g. replayed
+ * after reconnecting, are only recorded once.
+ */
+
+export class ConversationLog {
+  /**
+   * @param {Object} options
+   * @param {RealtimeClient} options.client - The client whose events are recorded
+   */
+  constructor({ client }) {
+    this.startedAt = null;
+    // Entries keyed by item id, in conversation order
+    this.entries = new Map();
+    // Tool call entries keyed by call id
+    this.toolCalls = new Map();
+    // Assistant audio item of each response, keyed by response id
+    this.audioItems = new Map();
+    // User speech timing keyed by the id of the item the speech becomes
+    this.speech = new Map();
+
+    // Messages
+    client.on('conversation.item.created', ({ item }) => {
+      if (item.type === 'message' && !this.entries.has(item.id)) {
+        const speech = this.speech.get(item.id);
+        this.speech.delete(item.id);
+        this.addEntry({
+          type: 'message',
+          id: item.id,
+          role: item.role,
+          source: item.content?.some((part) => part.type.endsWith('audio')) ? 'voice' : 'text',
+          text: item.content?.map((part) => part.text ?? part.transcript ?? '').join('') ?? '',
+          startedAt: speech?.startedAt ?? Date.now(),
+          endedAt: speech?.endedAt ?? null,
+          interrupted: false,
+        });
+      } else if (item.type === 'function_call_output') {
+        this.updateToolCall(item.call_id, { output: item.output });
+      }
+    });
+    client.on('conversation.item.deleted', ({ item_id }) => {
+      this.entries.delete(item_id);
+    });
+    client.on('conversation.item.truncated', ({ item_id }) => {
+      this.updateEntry(item_id, { interrupted: true });
+    });
+
+    // User speech, timed by voice activity detection before its item is created
+    client.on('input_audio_buffer.speech_started', ({ item_id }) => {
+      this.speech.set(item_id, { startedAt: Date.now(), endedAt: null });
+    });
+    client.on('input_audio_buffer.speech_stopped', ({ item_id }) => {
+      const speech = this.speech.get(item_id);
+      if (speech) {
+        speech.endedAt = Date.now();
+      }
+    });
+    // The transcript can be missing, e.g. when the transcription failed
+    client.on('conversation.item.input_audio_transcription.completed', ({ item_id, transcript }) => {
+      this.updateEntry(item_id, { text: (transcript ?? '').trim() });
+      this.endEntry(item_id);
+    });
+
+    // Assistant responses
+    client.on('response.content_part.added', ({ response_id, item_id, part }) => {
+      this.updateEntry(item_id, { source: part.type === 'audio' ? 'voice' : 'text' });
+      if (part.type === 'audio') {
+        this.audioItems.set(response_id, item_id);
+      }
+    });
+    client.on('response.audio_transcript.done', ({ item_id, transcript }) => {
+      this.updateEntry(item_id, { text: transcript ?? '' });
+      this.endEntry(item_id);
+    });
+    client.on('response.text.done', ({ item_id, text }) => {
+      this.updateEntry(item_id, { text });
+      this.endEntry(item_id);
+    });
+    client.on('output_audio_buffer.started', ({ response_id }) => {
+      this.updateEntry(this.audioItems.get(response_id), { startedAt: Date.now(), endedAt: null });
+    });
+    client.on('output_audio_buffer.stopped', ({ response_id }) => this.endPlayback(response_id));
+    client.on('output_audio_buffer.cleared', ({ response_id }) => this.endPlayback(response_id));
+
+    // Tool calls
+    client.on('response.output_item.done', ({ item }) => {
+      if (item.type === 'function_call' && !this.entries.has(item.id)) {
+        const entry = {
+          type: 'tool_call',
+          id: item.id,
+          callId: item.call_id,
+          name: item.name,
+          arguments: item.arguments,
+          output: null,
+          startedAt: Date.now(),
+        };
+        this.addEntry(entry);
+        this.toolCalls.set(item.call_id, entry);
+      }
+    });
+  }
+
+  /**
+   * Start recording a new session, forgetting the previous one
+   */
+  start() {
+    this.startedAt = Date.now();
+    this.entries.clear();
+    this.toolCalls.clear();
+    this.audioItems.clear();
+    this.speech.clear();
+  }
+
+  /**
+   * Add an entry, unless no session was started
+   *
+   * @param {Object} entry - The message or tool call
+   */
+  addEntry(entry) {
+    if (this.startedAt !== null) {
+      this.entries.set(entry.id, entry);
+    }
+  }
+
+  /**
+   * Update the fields of an entry
+   *
+   * @param {string} id - The item id
+   * @param {Object} changes - The fields to change
+   */
+  updateEntry(id, changes) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      Object.assign(entry, changes);
+    }
+  }
+
+  /**
+   * Set the end time of an entry that doesn't have one yet
+   *
+   * @param {string} id - The item id
+   */
+  endEntry(id) {
+    const entry = this.entries.get(id);
+    if (entry && !entry.endedAt) {
+      entry.endedAt = Date.now();
+    }
+  }
+
+  /**
+   * Set the end time of the assistant message whose audio stopped playing
+   *
+   * @param {string} responseId - The response id
+   */
+  endPlayback(responseId) {
+    const id = this.audioItems.get(responseId);
+    this.updateEntry(id, { endedAt: Date.now() });
+    this.audioItems.delete(responseId);
+  }
+
+  /**
+   * Update the tool call entry with a call id
+   *
+   * @param {string} callId - The function call id
+   * @param {Object} changes - The fields to change
+   */
+  updateToolCall(callId, changes) {
+    const entry = this.toolCalls.get(callId);
+    if (entry) {
+      Object.assign(entry, changes);
+    }
+  }
+
+  /**
+   * Get the recorded entries
+   *
+   * @returns {Array<Object>} Copies of the entries, in conversation order
+   */
+  getEntries() {
+    return Array.from(this.entries.values(), (entry) => ({ ...entry }));
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Download a file generated in the browser
+ *
+ * @param {string} filename - The name to save the file as
+ * @param {string|Blob} contents - The file contents
+ * @param {string} type - The MIME type
+ */
+export function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
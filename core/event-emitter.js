@@ -0,0 +1,154 @@
+/**
+ * EventEmitter
+ * ============
+ *
+ * Minimal event emitter used by RealtimeClient to dispatch server events, so
+ * features can subscribe to the events they need instead of sharing one switch.
+ *
+ * Event types can be subscribed to exactly (`response.done`) or with a
+ * wildcard: `*` matches every event and `response.*` matches every event whose
+ * type starts with `response.`.
+ */
+
+export class EventEmitter {
+  constructor() {
+    // Listeners keyed by event type or wildcard pattern
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event type or wildcard pattern
+   *
+   * @param {string} type - The event type, `*`, or a pattern ending in `.*`
+   * @param {Function} listener - Called with the event
+   * @returns {Function} Unsubscribes the listener
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Subscribe to the next matching event only
+   *
+   * @param {string} type - The event type, `*`, or a pattern ending in `.*`
+   * @param {Function} listener - Called with the event
+   * @returns {Function} Unsubscribes the listener
+   */
+  once(type, listener) {
+    const onceListener = (event) => {
+      this.off(type, onceListener);
+      listener(event);
+    };
+    return this.on(type, onceListener);
+  }
+
+  /**
+   * Unsubscribe a listener
+   *
+   * @param {string} type - The event type or pattern the listener was subscribed with
+   * @param {Function} listener - The listener to remove
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this.listeners.delete(type);
+    }
+  }
+
+  /**
+   * Wait for the next matching event
+   *
+   * @param {string} type - The event type, `*`, or a pattern ending in `.*`
+   * @param {Object} [options]
+   * @param {Function} [options.filter] - Only resolve for events where this returns true
+   * @param {number} [options.timeoutMs] - Reject if no matching event arrives in time
+   * @param {AbortSignal} [options.signal] - Stop waiting when aborted
+   * @returns {Promise<Object>} The matching event
+   */
+  waitFor(type, { filter = () => true, timeoutMs, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const cleanup = () => {
+        unsubscribe();
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const unsubscribe = this.on(type, (event) => {
+        if (filter(event)) {
+          cleanup();
+          resolve(event);
+        }
+      });
+
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason ?? new Error(`Stopped waiting for ${type}`));
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (timeoutMs) {
+        timeoutId = setTimeout(() => {
+          cleanup();
+          reject(new Error(`Timed out waiting for ${type}`));
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Dispatch an event to every listener whose type or pattern matches
+   * A failing listener is logged and does not stop the others.
+   *
+   * @param {string} type - The event type
+   * @param {Object} event - The event passed to listeners
+   */
+  emit(type, event) {
+    for (const [pattern, listeners] of [...this.listeners]) {
+      if (!matches(pattern, type)) {
+        continue;
+      }
+      for (const listener of [...listeners]) {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in "${pattern}" listener:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove every listener
+   */
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+/**
+ * Check whether an event type matches a subscription pattern
+ *
+ * @param {string} pattern - The event type, `*`, or a pattern ending in `.*`
+ * @param {string} type - The event type
+ * @returns {boolean} Whether the type matches
+ */
+function matches(pattern, type) {
+  if (pattern === '*' || pattern === type) {
+    return true;
+  }
+  return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+}
@@ -0,0 +1,120 @@
+/**
+ * InterruptionHandler
+ * ===================
+ *
+ * Handles the user talking over the AI (barge-in). When speech starts while a
+ * response is being generated or played:
+ * - `response.cancel` stops the response still being generated
+ * - `output_audio_buffer.clear` stops the audio still queued for playback
+ * - `conversation.item.truncate` cuts the assistant item at the audio actually
+ *   played, so the model's memory matches what the user really heard
+ *
+ * Playback is measured on the audio element of the RealtimeClient between the
+ * `output_audio_buffer.started` and `output_audio_buffer.stopped` server events.
+ * Without an audio element there is no playback position, so the item is not
+ * truncated, while the response is still cancelled and its audio cleared.
+ *
+ * @link https://platform.openai.com/docs/api-reference/realtime-client-events/conversation/item/truncate
+ */
+
+export class InterruptionHandler {
+  /**
+   * @param {Object} options
+   * @param {RealtimeClient} options.client - The client to handle interruptions for
+   * @param {Function} [options.onTruncate] - Called with { itemId, audioEndMs } when an assistant item is truncated
+   */
+  constructor({ client, onTruncate = () => {} }) {
+    this.client = client;
+    this.onTruncate = onTruncate;
+
+    // The response being generated, if any
+    this.activeResponseId = null;
+    // Assistant audio item of each response, keyed by response id
+    this.audioItems = new Map();
+    // The response whose audio is playing: { responseId, startTime }
+    this.playback = null;
+
+    client.on('response.created', ({ response }) => {
+      this.activeResponseId = response.id;
+    });
+    client.on('response.done', ({ response }) => {
+      if (this.activeResponseId === response.id) {
+        this.activeResponseId = null;
+      }
+    });
+    client.on('response.content_part.added', ({ response_id, item_id, part }) => {
+      if (part.type === 'audio') {
+        this.audioItems.set(response_id, item_id);
+      }
+    });
+    client.on('output_audio_buffer.started', ({ response_id }) => {
+      this.playback = { responseId: response_id, startTime: this.getPlaybackTime() };
+    });
+    client.on('output_audio_buffer.stopped', () => this.endPlayback());
+    client.on('output_audio_buffer.cleared', () => this.endPlayback());
+    client.on('input_audio_buffer.speech_started', () => this.interrupt());
+  }
+
+  /**
+   * Current playback position of the AI audio element
+   *
+   * @returns {number|null} The position in milliseconds, or null without an audio element
+   */
+  getPlaybackTime() {
+    const audioElement = this.client.audioElement;
+    return audioElement ? audioElement.currentTime * 1000 : null;
+  }
+
+  /**
+   * Forget the response that finished playing
+   */
+  endPlayback() {
+    if (this.playback) {
+      this.audioItems.delete(this.playback.responseId);
+      this.playback = null;
+    }
+  }
+
+  /**
+   * Interrupt the AI
+   * Cancels the response being generated and truncates the audio being played.
+   */
+  interrupt() {
+    if (this.activeResponseId) {
+      console.log('Cancelling response:', this.activeResponseId);
+      this.client.send({ type: 'response.cancel' });
+      this.activeResponseId = null;
+    }
+
+    if (!this.playback) {
+      return;
+    }
+
+    const itemId = this.audioItems.get(this.playback.responseId);
+    const { startTime } = this.playback;
+    const playbackTime = this.getPlaybackTime();
+    this.client.send({ type: 'output_audio_buffer.clear' });
+    this.endPlayback();
+
+    if (itemId && startTime !== null && playbackTime !== null) {
+      const audioEndMs = Math.max(Math.round(playbackTime - startTime), 0);
+      console.log(`Truncating ${itemId} at ${audioEndMs}ms`);
+      this.client.send({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs,
+      });
+      this.onTruncate({ itemId, audioEndMs });
+    }
+  }
+
+  /**
+   * Forget all responses, e.g. when the session closes
+   */
+  reset() {
+    this.activeResponseId = null;
+    this.audioItems.clear();
+    this.playback = null;
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Markdown rendering
+ * ==================
+ *
+ * Renders the Markdown of AI messages as DOM nodes: headings, paragraphs,
+ * lists, block quotes, rules, fenced code blocks, inline code, bold, italics
+ * and links.
+ *
+ * The output is built with DOM APIs only, never innerHTML, so raw HTML in a
+ * message is shown as text rather than interpreted, and only http(s) and
+ * mailto links are created.
+ *
+ * Code blocks get lightweight syntax highlighting and a copy button with the
+ * `copy-code-button` class; the chat handles its clicks.
+ */
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Languages whose comments start with #
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'yaml', 'yml', 'ruby', 'rb', 'toml', 'r']);
+
+// Keywords of the common languages, highlighted in any code block
+const KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default', 'del',
+  'do', 'elif', 'else', 'enum', 'export', 'extends', 'false', 'False', 'finally', 'fn', 'for', 'from',
+  'func', 'function', 'if', 'impl', 'import', 'in', 'instanceof', 'interface', 'lambda', 'let', 'match',
+  'new', 'None', 'null', 'of', 'package', 'pass', 'pub', 'raise', 'return', 'self', 'static', 'struct',
+  'switch', 'this', 'throw', 'true', 'True', 'try', 'type', 'typeof', 'undefined', 'use', 'var', 'while',
+  'with', 'yield',
+]);
+
+const BLOCK_PATTERNS = {
+  fence: /^\s*```\s*([\w+#-]*)\s*$/,
+  heading: /^(#{1,6})\s+(.*)$/,
+  rule: /^\s*([-*_])(\s*\1){2,}\s*$/,
+  quote: /^\s*>\s?(.*)$/,
+  unorderedItem: /^\s*[-*+]\s+(.*)$/,
+  orderedItem: /^\s*(\d+)[.)]\s+(.*)$/,
+};
+
+const INLINE_PATTERN = new RegExp([
+  '`([^`]+)`', // code
+  '\\*\\*(.+?)\\*\\*|__(.+?)__', // bold
+  '\\*([^*\\s](?:[^*]*[^*\\s])?)\\*|(?<!\\w)_([^_\\s](?:[^_]*[^_\\s])?)_(?!\\w)', // italics
+  '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)', // link
+  '(https?:\\/\\/[^\\s<]*[^\\s<.,:;"\')\\]])', // bare URL
+].join('|'), 'g');
+
+/**
+ * Render Markdown as DOM nodes
+ *
+ * @param {string} text - The Markdown text
+ * @returns {DocumentFragment} The rendered blocks
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (!line.trim()) {
+      paragraph = null;
+    } else if ((match = line.match(BLOCK_PATTERNS.fence))) {
+      // A fence left open, e.g. while the message is streaming, runs to the end
+      const code = [];
+      while (++i < lines.length && !BLOCK_PATTERNS.fence.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      fragment.appendChild(createCodeBlock(code.join('\n'), match[1].toLowerCase()));
+      paragraph = null;
+    } else if ((match = line.match(BLOCK_PATTERNS.heading))) {
+      const heading = document.createElement(`h${Math.min(match[1].length + 2, 6)}`);
+      renderInline(match[2], heading);
+      fragment.appendChild(heading);
+      paragraph = null;
+    } else if (BLOCK_PATTERNS.rule.test(line)) {
+      fragment.appendChild(document.createElement('hr'));
+      paragraph = null;
+    } else if (BLOCK_PATTERNS.quote.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && (match = lines[i].match(BLOCK_PATTERNS.quote)); i++) {
+        quoted.push(match[1]);
+      }
+      i--;
+      const quote = document.createElement('blockquote');
+      quote.appendChild(renderMarkdown(quoted.join('\n')));
+      fragment.appendChild(quote);
+      paragraph = null;
+    } else if (BLOCK_PATTERNS.unorderedItem.test(line) || BLOCK_PATTERNS.orderedItem.test(line)) {
+      i = renderList(lines, i, fragment) - 1;
+      paragraph = null;
+    } else if (paragraph) {
+      paragraph.appendChild(document.createElement('br'));
+      renderInline(line.trim(), paragraph);
+    } else {
+      paragraph = document.createElement('p');
+      renderInline(line.trim(), paragraph);
+      fragment.appendChild(paragraph);
+    }
+  }
+
+  return fragment;
+}
+
+/**
+ * Render consecutive list items as a list
+ * Indented lines continue the previous item.
+ *
+ * @param {Array<string>} lines - All lines of the text
+ * @param {number} start - Index of the first item
+ * @param {DocumentFragment} fragment - Where to append the list
+ * @returns {number} Index of the first line after the list
+ */
+function renderList(lines, start, fragment) {
+  const ordered = BLOCK_PATTERNS.orderedItem.test(lines[start]);
+  const itemPattern = ordered ? BLOCK_PATTERNS.orderedItem : BLOCK_PATTERNS.unorderedItem;
+  const list = document.createElement(ordered ? 'ol' : 'ul');
+  if (ordered) {
+    list.start = Number(lines[start].match(itemPattern)[1]);
+  }
+
+  let i = start;
+  let item = null;
+  for (; i < lines.length; i++) {
+    const match = lines[i].match(itemPattern);
+    if (match) {
+      item = document.createElement('li');
+      renderInline(ordered ? match[2] : match[1], item);
+      list.appendChild(item);
+    } else if (/^\s+\S/.test(lines[i]) && !BLOCK_PATTERNS.fence.test(lines[i])) {
+      item.appendChild(document.createElement('br'));
+      renderInline(lines[i].trim(), item);
+    } else {
+      break;
+    }
+  }
+
+  fragment.appendChild(list);
+  return i;
+}
+
+/**
+ * Render inline Markdown into an element
+ *
+ * @param {string} text - The text of a block
+ * @param {HTMLElement} parent - The element to render into
+ */
+function renderInline(text, parent) {
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+    lastIndex = match.index + match[0].length;
+
+    const [, code, bold, boldAlt, italic, italicAlt, linkText, linkUrl, url] = match;
+    if (code !== undefined) {
+      const element = document.createElement('code');
+      element.textContent = code;
+      parent.appendChild(element);
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      const element = document.createElement('strong');
+      renderInline(bold ?? boldAlt, element);
+      parent.appendChild(element);
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      const element = document.createElement('em');
+      renderInline(italic ?? italicAlt, element);
+      parent.appendChild(element);
+    } else {
+      parent.appendChild(createLink(linkText ?? url, linkUrl ?? url));
+    }
+  }
+  parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * Create a link, or plain text if the URL isn't safe to open
+ *
+ * @param {string} text - The link text
+ * @param {string} href - The link URL
+ * @returns {Node} The link element or text node
+ */
+function createLink(text, href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return document.createTextNode(text);
+  }
+  if (!SAFE_PROTOCOLS.includes(url.protocol)) {
+    return document.createTextNode(text);
+  }
+
+  const link = document.createElement('a');
+  link.href = url.href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * Create a code block with a language label and a copy button
+ *
+ * @param {string} code - The code
+ * @param {string} language - The language of the fence, e.g. 'js', or an empty string
+ * @returns {HTMLElement} The code block
+ */
+function createCodeBlock(code, language) {
+  const block = document.createElement('div');
+  block.className = 'code-block';
+
+  const header = document.createElement('div');
+  header.className = 'code-header';
+  const label = document.createElement('span');
+  label.textContent = language || 'code';
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.className = 'copy-code-button';
+  copyButton.textContent = 'Copy';
+  header.append(label, copyButton);
+
+  const pre = document.createElement('pre');
+  const codeElement = document.createElement('code');
+  codeElement.appendChild(highlightCode(code, language));
+  pre.appendChild(codeElement);
+
+  block.append(header, pre);
+  return block;
+}
+
+/**
+ * Highlight comments, strings, numbers and keywords
+ *
+ * @param {string} code - The code
+ * @param {string} language - The language of the fence
+ * @returns {DocumentFragment} Text nodes and `token-*` spans
+ */
+function highlightCode(code, language) {
+  const pattern = new RegExp([
+    HASH_COMMENT_LANGUAGES.has(language) ? '(#[^\\n]*)' : '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/)',
+    '("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)',
+    '(\\b\\d+(?:\\.\\d+)?\\b)',
+    '([A-Za-z_$][\\w$]*)',
+  ].join('|'), 'g');
+
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+  for (const match of code.matchAll(pattern)) {
+    const [token, comment, string, number, word] = match;
+    const type = comment ? 'comment' : string ? 'string' : number ? 'number' : KEYWORDS.has(word) ? 'keyword' : null;
+    if (!type) {
+      continue;
+    }
+    fragment.appendChild(document.createTextNode(code.slice(lastIndex, match.index)));
+    const span = document.createElement('span');
+    span.className = `token-${type}`;
+    span.textContent = token;
+    fragment.appendChild(span);
+    lastIndex = match.index + token.length;
+  }
+  fragment.appendChild(document.createTextNode(code.slice(lastIndex)));
+  return fragment;
+}
@@ -0,0 +1,224 @@
+/**
+ * Persona library module
+ * Named presets bundling instructions, welcome prompt, voice, temperature and
+ * enabled tools. Built-in personas come from the app config; personas saved or
+ * imported by the user are persisted to localStorage and can be exported as JSON
+ * files to share them.
+ *
+ * A persona looks like:
+ * {
+ *   id: 'weather-guide',
+ *   name: 'Weather Guide',
+ *   instructions: 'You are a friendly weather guide...',
+ *   welcomeInstructions: 'Greet the user...',
+ *   voice: 'coral',
+ *   temperature: 0.8,
+ *   tools: ['getWeatherData']
+ * }
+ */
+
+const EXPORT_VERSION = 1;
+
+// The Realtime API accepts temperatures in this range
+const MIN_TEMPERATURE = 0.6;
+const MAX_TEMPERATURE = 1.2;
+
+class PersonaLibrary {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.builtIn - Personas that ship with the app, they can't be changed or deleted
+   * @param {string} [options.storageKey] - localStorage key the user's personas are persisted under
+   * @param {Array<string>} [options.voices] - The voices a persona can use, e.g. the voice options of the settings form
+   */
+  constructor({ builtIn, storageKey = 'realtime-personas', voices = null }) {
+    this.voices = voices;
+    this.builtIn = builtIn.map((persona) => ({ ...validatePersona(persona, voices), builtIn: true }));
+    this.storageKey = storageKey;
+    this.custom = this.load();
+  }
+
+  /**
+   * Get all personas, built-in first
+   * @returns {Array<Object>} The personas
+   */
+  list() {
+    return [...this.builtIn, ...this.custom];
+  }
+
+  /**
+   * Get a persona by id
+   * @param {string} id - The persona id
+   * @returns {Object|undefined} The persona
+   */
+  get(id) {
+    return this.list().find((persona) => persona.id === id);
+  }
+
+  /**
+   * Save a persona
+   * A persona with the id of one of the user's personas replaces it; otherwise it
+   * gets a new id derived from its name.
+   * @param {Object} persona - The persona to save
+   * @returns {Object} The saved persona
+   * @throws {Error} If the persona is invalid
+   */
+  save(persona) {
+    const saved = validatePersona(persona, this.voices);
+    const index = this.custom.findIndex((existing) => existing.id === persona.id);
+    if (index >= 0) {
+      this.custom[index] = { ...saved, id: persona.id };
+    } else {
+      saved.id = this.uniqueId(saved.name);
+      this.custom.push(saved);
+    }
+    this.persist();
+    return this.get(index >= 0 ? persona.id : saved.id);
+  }
+
+  /**
+   * Delete one of the user's personas
+   * @param {string} id - The persona id
+   * @returns {boolean} Whether a persona was deleted, built-in personas can't be
+   */
+  remove(id) {
+    const index = this.custom.findIndex((persona) => persona.id === id);
+    if (index < 0) {
+      return false;
+    }
+    this.custom.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Export personas as JSON
+   * @param {Array<Object>} personas - The personas to export
+   * @returns {string} The export file contents
+   */
+  exportJSON(personas) {
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      personas: personas.map(({ id, builtIn, ...persona }) => persona),
+    }, null, 2);
+  }
+
+  /**
+   * Import personas from an export file
+   * Every persona is validated before any is saved, and each gets a new id.
+   * @param {string} json - The export file contents
+   * @returns {Array<Object>} The imported personas
+   * @throws {Error} If the file or any persona in it is invalid
+   */
+  importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    if (!Array.isArray(data?.personas) || data.personas.length === 0) {
+      throw new Error('The file contains no personas');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`Unsupported persona file version ${data.version}`);
+    }
+
+    const personas = data.personas.map((persona) => validatePersona(persona, this.voices));
+    return personas.map(({ id, ...persona }) => this.save(persona));
+  }
+
+  /**
+   * Derive an id from a name that no persona uses yet
+   * @param {string} name - The persona name
+   * @returns {string} The id
+   */
+  uniqueId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'persona';
+    let id = base;
+    for (let i = 2; this.get(id); i++) {
+      id = `${base}-${i}`;
+    }
+    return id;
+  }
+
+  /**
+   * Load the user's personas, skipping any that are no longer valid
+   * @returns {Array<Object>} The personas
+   */
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey)) ?? [];
+    } catch (error) {
+      console.warn('Could not load personas:', error);
+      return [];
+    }
+    return stored.flatMap((persona) => {
+      try {
+        return [{ ...validatePersona(persona, this.voices), id: persona.id }];
+      } catch (error) {
+        console.warn('Skipping invalid persona:', error.message);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Persist the user's personas
+   */
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+    } catch (error) {
+      console.warn('Could not save personas:', error);
+    }
+  }
+}
+
+/**
+ * Check a persona and copy its known fields
+ * @param {Object} persona - The persona to check
+ * @param {Array<string>|null} voices - The voices a persona can use, or null for any
+ * @returns {Object} The persona
+ * @throws {Error} If a field is missing, has the wrong type or an unknown value
+ */
+function validatePersona(persona, voices) {
+  const name = typeof persona?.name === 'string' ? persona.name.trim() : '';
+  if (!name) {
+    throw new Error('Every persona needs a name');
+  }
+
+  const fail = (message) => {
+    throw new Error(`Persona "${name}": ${message}`);
+  };
+  if (typeof persona.instructions !== 'string' || !persona.instructions.trim()) {
+    fail('instructions must be a non-empty string');
+  }
+  if (persona.welcomeInstructions !== undefined && typeof persona.welcomeInstructions !== 'string') {
+    fail('welcomeInstructions must be a string');
+  }
+  if (typeof persona.voice !== 'string' || !persona.voice) {
+    fail('voice must be a string');
+  }
+  if (voices && !voices.includes(persona.voice)) {
+    fail(`voice "${persona.voice}" is not one of ${voices.join(', ')}`);
+  }
+  if (!Number.isFinite(persona.temperature) || persona.temperature < MIN_TEMPERATURE || persona.temperature > MAX_TEMPERATURE) {
+    fail(`temperature must be a number from ${MIN_TEMPERATURE} to ${MAX_TEMPERATURE}`);
+  }
+  if (!Array.isArray(persona.tools) || persona.tools.some((tool) => typeof tool !== 'string')) {
+    fail('tools must be a list of tool names');
+  }
+
+  return {
+    id: persona.id,
+    name,
+    instructions: persona.instructions,
+    welcomeInstructions: persona.welcomeInstructions ?? '',
+    voice: persona.voice,
+    temperature: persona.temperature,
+    tools: [...persona.tools],
+  };
+}
+
+export { PersonaLibrary };
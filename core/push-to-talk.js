@@ -0,0 +1,190 @@
+/**
+ * PushToTalk
+ * ==========
+ *
+ * Push-to-talk turn taking as an alternative to server VAD, for noisy rooms
+ * where voice activity detection triggers constantly.
+ *
+ * While enabled, turn detection is turned off with `session.update` and the
+ * microphone only captures audio while the user holds the talk control:
+ * - Press: clear the input audio buffer and unmute the microphone
+ * - Release: mute the microphone, commit the input audio buffer and request a response
+ *
+ * It can be switched on and off at runtime, mid-session. `bindKey()` holds a
+ * key to talk; apps can also call `press()` and `release()` from their own
+ * controls, e.g. a button.
+ *
+ * @link https://platform.openai.com/docs/guides/realtime-vad
+ */
+
+export class PushToTalk {
+  /**
+   * @param {Object} options
+   * @param {RealtimeClient} options.client - The client to send events with
+   * @param {Object} options.turnDetection - The turn detection to restore when push-to-talk is turned off
+   * @param {boolean} [options.enabled=false] - Start in push-to-talk mode
+   * @param {number} [options.minPressMs=200] - Shorter presses are discarded, the API rejects very short audio
+   * @param {number} [options.releaseDelayMs=200] - Keep capturing briefly after release so the last word isn't cut off
+   * @param {Function} [options.onPress] - Called when the user starts talking
+   * @param {Function} [options.onRelease] - Called with { committed } when the user stops talking
+   */
+  constructor({
+    client,
+    turnDetection,
+    enabled = false,
+    minPressMs = 200,
+    releaseDelayMs = 200,
+    onPress = () => {},
+    onRelease = () => {},
+  }) {
+    this.client = client;
+    this.turnDetection = turnDetection;
+    this.enabled = enabled;
+    this.minPressMs = minPressMs;
+    this.releaseDelayMs = releaseDelayMs;
+    this.onPress = onPress;
+    this.onRelease = onRelease;
+
+    this.isPressed = false;
+    this.pressedAt = 0;
+    this.releaseTimer = null;
+  }
+
+  /**
+   * Turn detection for the session in the current mode
+   *
+   * @returns {Object|null} The server VAD settings, or null for push-to-talk
+   */
+  getTurnDetection() {
+    return this.enabled ? null : this.turnDetection;
+  }
+
+  /**
+   * Switch between push-to-talk and server VAD
+   * Updates the session if connected. The microphone is muted when push-to-talk
+   * is turned on; when it is turned off, the caller restores the microphone.
+   *
+   * @param {boolean} enabled - Whether push-to-talk should be used
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) {
+      return;
+    }
+    this.cancel();
+    this.enabled = enabled;
+    console.log(`Turn taking: ${enabled ? 'push-to-talk' : 'server VAD'}`);
+
+    if (enabled) {
+      this.client.setMicrophoneEnabled(false);
+    }
+    if (this.client.isConnected) {
+      this.client.send({
+        type: 'session.update',
+        session: { turn_detection: this.getTurnDetection() },
+      });
+    }
+  }
+
+  /**
+   * Start talking
+   * Pressing again during the release delay continues the same turn.
+   *
+   * @returns {boolean} Whether a turn was started or continued
+   */
+  press() {
+    if (!this.enabled || this.isPressed || !this.client.isConnected) {
+      return false;
+    }
+    this.isPressed = true;
+
+    if (this.releaseTimer) {
+      clearTimeout(this.releaseTimer);
+      this.releaseTimer = null;
+      return true;
+    }
+
+    this.pressedAt = performance.now();
+    this.client.send({ type: 'input_audio_buffer.clear' });
+    this.client.setMicrophoneEnabled(true);
+    this.onPress();
+    return true;
+  }
+
+  /**
+   * Stop talking
+   * Commits the audio and requests a response, or discards presses shorter than minPressMs.
+   */
+  release() {
+    if (!this.isPressed) {
+      return;
+    }
+    this.isPressed = false;
+
+    if (performance.now() - this.pressedAt < this.minPressMs) {
+      this.client.setMicrophoneEnabled(false);
+      this.client.send({ type: 'input_audio_buffer.clear' });
+      this.onRelease({ committed: false });
+      return;
+    }
+
+    this.releaseTimer = setTimeout(() => {
+      this.releaseTimer = null;
+      this.client.setMicrophoneEnabled(false);
+      this.client.send({ type: 'input_audio_buffer.commit' });
+      this.client.send({ type: 'response.create' });
+      this.onRelease({ committed: true });
+    }, this.releaseDelayMs);
+  }
+
+  /**
+   * Hold a key to talk
+   * Key repeats while the key is held are ignored. The page losing focus
+   * releases the key, the keyup would never arrive, e.g. after switching windows.
+   *
+   * @param {string} code - KeyboardEvent.code of the key, e.g. 'Space'
+   * @param {Object} [options]
+   * @param {Document} [options.target=document] - The document to listen on
+   * @param {Function} [options.ignore] - Returns true for a keydown to leave alone, e.g. while typing in an input
+   * @returns {Function} Removes the listeners
+   */
+  bindKey(code, { target = document, ignore = () => false } = {}) {
+    const onKeyDown = (event) => {
+      if (event.code !== code || !this.enabled || ignore(event)) {
+        return;
+      }
+      event.preventDefault();
+      if (!event.repeat) {
+        this.press();
+      }
+    };
+    const onKeyUp = (event) => {
+      if (event.code === code && this.isPressed) {
+        event.preventDefault();
+        this.release();
+      }
+    };
+    const onBlur = () => this.release();
+
+    const view = target.defaultView;
+    target.addEventListener('keydown', onKeyDown);
+    target.addEventListener('keyup', onKeyUp);
+    view?.addEventListener('blur', onBlur);
+    return () => {
+      target.removeEventListener('keydown', onKeyDown);
+      target.removeEventListener('keyup', onKeyUp);
+      view?.removeEventListener('blur', onBlur);
+    };
+  }
+
+  /**
+   * Abandon the current turn without committing it, e.g. when the session closes
+   */
+  cancel() {
+    if (this.isPressed || this.releaseTimer) {
+      this.client.setMicrophoneEnabled(false);
+    }
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
+    this.isPressed = false;
+  }
+}
@@ -0,0 +1,497 @@
+/**
+ * RealtimeClient
+ * ==============
+ *
+ * Shared connection layer for the OpenAI Realtime API over WebRTC, used by every demo.
+ *
+ * Handles:
+ * - Authentication with an ephemeral key from the custom auth server
+ * - The WebRTC peer connection and SDP offer/answer exchange
+ * - Microphone capture and remote audio playback
+ * - The `oai-events` data channel: sending client events and emitting server events
+ * - Connection quality monitoring from WebRTC stats (see connection-monitor.js)
+ * - Automatic reconnection with exponential backoff when the connection drops,
+ *   replaying the session configuration and recent messages into the new session
+ *
+ * Server events are emitted by type, so features subscribe to the events they
+ * need with `on`, `once`, `off` and `waitFor` (see event-emitter.js), e.g.
+ * `client.on('response.audio_transcript.delta', (event) => ...)` or
+ * `await client.waitFor('session.updated')`. Event typedefs are in realtime-events.js.
+ *
+ * Demos compose it with optional features (visualizers, chat, tools) through
+ * these subscriptions and a few lifecycle callbacks.
+ *
+ * Relevant links:
+ * - https://platform.openai.com/docs/guides/realtime-webrtc
+ * - https://platform.openai.com/docs/api-reference/realtime
+ */
+
+import { getEphemeralKey } from './auth-api.js';
+import { ConnectionMonitor } from './connection-monitor.js';
+import { EventEmitter } from './event-emitter.js';
+import { SessionReplay } from './session-replay.js';
+
+/**
+ * @typedef {import('./realtime-events.js').RealtimeEventMap} RealtimeEventMap
+ */
+
+const RECONNECT_DEFAULTS = {
+  enabled: true,
+  maxAttempts: 5,
+  baseDelayMs: 1000, // Delay before the first attempt, doubled for each following attempt
+  maxDelayMs: 16000,
+  disconnectedGraceMs: 4000, // How long a "disconnected" connection may take to recover on its own
+  replayItems: 20, // Number of recent messages replayed into the new session
+};
+
+export class RealtimeClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.serverUrl - URL of the auth server that issues ephemeral keys
+   * @param {string} options.model - The Realtime model to use
+   * @param {string} options.voice - The voice to use
+   * @param {string} [options.baseUrl] - The Realtime API endpoint
+   * @param {Function} [options.onOpen] - Called when the data channel opens
+   * @param {Function} [options.onClose] - Called when the data channel closes
+   * @param {Function} [options.onMicrophone] - Called with the microphone MediaStream once captured
+   * @param {Function} [options.onRemoteAudio] - Called with the audio element and remote MediaStream once playable
+   * @param {Object} [options.reconnect] - Overrides for RECONNECT_DEFAULTS
+   * @param {Object} [options.monitor] - ConnectionMonitor options: intervalMs, historySize, thresholds
+   */
+  constructor({
+    serverUrl,
+    model,
+    voice,
+    baseUrl = 'https://api.openai.com/v1/realtime',
+    onOpen = () => {},
+    onClose = () => {},
+    onMicrophone = () => {},
+    onRemoteAudio = () => {},
+    reconnect = {},
+    monitor = {},
+  }) {
+    super();
+    this.serverUrl = serverUrl;
+    this.model = model;
+    this.voice = voice;
+    this.baseUrl = baseUrl;
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+    this.onMicrophone = onMicrophone;
+    this.onRemoteAudio = onRemoteAudio;
+    this.reconnect = { ...RECONNECT_DEFAULTS, ...reconnect };
+    this.sessionReplay = new SessionReplay({ maxItems: this.reconnect.replayItems });
+    this.monitor = new ConnectionMonitor({
+      ...monitor,
+      onSample: (sample) => this.emit('connection.quality', { type: 'connection.quality', sample }),
+      onWarning: (sample) => this.emit('connection.warning', { type: 'connection.warning', sample }),
+    });
+
+    // Connection state
+    this.peerConnection = null;
+    this.dataChannel = null;
+    this.mediaStream = null;
+    this.audioElement = null;
+    this.isConnected = false;
+    // Incremented by each connection attempt and teardown, so an attempt in progress can tell it was superseded
+    this.connectionAttempt = 0;
+
+    // Reconnection state
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.disconnectedTimer = null;
+  }
+
+  /**
+   * Connect to the Realtime API
+   * Starts a new session: gets an ephemeral key from the auth server, then sets up WebRTC.
+   *
+   * @throws {Error} If authentication, microphone access or the WebRTC setup fails
+   */
+  async connect() {
+    this.sessionReplay.clear();
+    try {
+      await this.openConnection();
+      this.isConnected = true;
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Open a connection with a fresh ephemeral key
+   * close(), a dropped connection or a newer attempt cancel the attempt, which
+   * then stops at its next step instead of connecting a hidden session.
+   *
+   * @throws {Error} If authentication or the WebRTC setup fails, or an AbortError if the attempt was cancelled
+   */
+  async openConnection() {
+    const attempt = ++this.connectionAttempt;
+    const token = await getEphemeralKey({
+      serverUrl: this.serverUrl,
+      model: this.model,
+      voice: this.voice,
+    });
+    this.checkAttempt(attempt);
+    await this.setupWebRTC(token, attempt);
+  }
+
+  /**
+   * Stop a cancelled connection attempt
+   * What the attempt set up before it was cancelled is closed by the teardown that cancelled it.
+   *
+   * @param {number} attempt - The attempt number from openConnection
+   * @throws {DOMException} An AbortError if the attempt was cancelled
+   */
+  checkAttempt(attempt) {
+    if (attempt !== this.connectionAttempt) {
+      throw new DOMException('Connection attempt cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * WebRTC Setup
+   * Create and configure the WebRTC peer connection with the API.
+   * - Set up audio playback for the AI
+   * - Create a data channel for control messages
+   * - Add the microphone track
+   * - Establish a connection using SDP offer/answer
+   *
+   * @param {string} token - The ephemeral API key
+   * @param {number} attempt - The attempt number from openConnection
+   * @throws {Error} If WebRTC setup fails, or an AbortError if the attempt was cancelled
+   */
+  async setupWebRTC(token, attempt) {
+    // Use Google's STUN server for NAT traversal
+    this.peerConnection = new RTCPeerConnection({
+      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+    });
+
+    this.peerConnection.addEventListener('connectionstatechange', () => this.handleConnectionStateChange());
+    this.monitor.start(this.peerConnection);
+
+    this.setupIncomingAudio();
+
+    this.dataChannel = this.peerConnection.createDataChannel('oai-events');
+    this.setupDataChannelHandlers();
+
+    await this.setupMicrophone(attempt);
+
+    const offer = await this.peerConnection.createOffer({
+      offerToReceiveAudio: true,
+      offerToReceiveVideo: false
+    });
+    this.checkAttempt(attempt);
+    await this.peerConnection.setLocalDescription(offer);
+    this.checkAttempt(attempt);
+
+    const response = await fetch(`${this.baseUrl}?model=${this.model}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/sdp'
+      },
+      body: offer.sdp
+    });
+    this.checkAttempt(attempt);
+
+    if (!response.ok) {
+      throw new Error(`Failed to connect: ${response.status} ${response.statusText}`);
+    }
+
+    // The API has accepted the offer once it returns an SDP answer
+    const answer = {
+      type: 'answer',
+      sdp: await response.text()
+    };
+    this.checkAttempt(attempt);
+    await this.peerConnection.setRemoteDescription(answer);
+    this.checkAttempt(attempt);
+    console.log('WebRTC connection established');
+  }
+
+  /**
+   * Incoming Audio Setup
+   * Sets up an audio element to play remote audio from the API.
+   */
+  setupIncomingAudio() {
+    // Note: Creating invisible auto-playing audio DOM elements is not accessible.
+    this.audioElement = document.createElement('audio');
+    this.audioElement.autoplay = true;
+    document.body.appendChild(this.audioElement);
+
+    this.peerConnection.ontrack = (event) => {
+      console.log('Received remote track:', event.track.kind);
+      const audioElement = this.audioElement;
+      audioElement.srcObject = event.streams[0];
+
+      // Wait until the audio is ready before handing it to features like visualizers
+      audioElement.addEventListener('canplay', () => {
+        console.log('Audio is ready to play');
+        this.onRemoteAudio(audioElement, event.streams[0]);
+        audioElement.play().catch(e => console.error('Error playing audio:', e));
+      }, { once: true });
+    };
+  }
+
+  /**
+   * Microphone Setup
+   * Requests microphone access and adds the audio track to the WebRTC connection.
+   * When reconnecting, the existing track is reused so its muted state is kept.
+   * NOTE: This triggers a permission dialog in the browser on first use.
+   *
+   * @param {number} attempt - The attempt number from openConnection
+   * @throws {Error} If microphone access is denied or unavailable, or an AbortError if the attempt was cancelled
+   */
+  async setupMicrophone(attempt) {
+    if (this.mediaStream) {
+      this.peerConnection.addTrack(this.mediaStream.getAudioTracks()[0], this.mediaStream);
+      return;
+    }
+
+    const mediaStream = await navigator.mediaDevices.getUserMedia({
+      audio: true,
+      video: false
+    });
+    if (attempt !== this.connectionAttempt) {
+      // Cancelled while the permission dialog was open: release the microphone again
+      mediaStream.getTracks().forEach(track => track.stop());
+    }
+    this.checkAttempt(attempt);
+    this.mediaStream = mediaStream;
+
+    const audioTrack = this.mediaStream.getAudioTracks()[0];
+    audioTrack.enabled = true; // Start unmuted
+    this.peerConnection.addTrack(audioTrack, this.mediaStream);
+    console.log('Microphone setup complete');
+
+    this.onMicrophone(this.mediaStream);
+  }
+
+  /**
+   * Data Channel Handlers
+   * - onopen: Notify the demo so it can configure the session, or replay it after reconnecting
+   * - onclose: Reconnect if the connection dropped, otherwise notify the demo so it can update its UI
+   * - onmessage: Parse server events and emit them by type
+   */
+  setupDataChannelHandlers() {
+    this.dataChannel.onopen = () => {
+      console.log('Data channel opened');
+      if (this.isReconnecting) {
+        this.restoreSession();
+      } else {
+        this.onOpen();
+      }
+    };
+
+    this.dataChannel.onclose = () => {
+      console.log('Data channel closed');
+      if (this.isConnected && this.reconnect.enabled) {
+        this.handleConnectionLost('Data channel closed');
+      } else {
+        this.onClose();
+      }
+    };
+
+    this.dataChannel.onmessage = (event) => {
+      const realtimeEvent = JSON.parse(event.data);
+      console.log('Received event:', realtimeEvent);
+      this.sessionReplay.recordServerEvent(realtimeEvent);
+      this.emit(realtimeEvent.type, realtimeEvent);
+    };
+  }
+
+  /**
+   * Connection State Changes
+   * A "failed" connection is lost. A "disconnected" connection often recovers
+   * on its own, so it is only treated as lost if it stays disconnected.
+   */
+  handleConnectionStateChange() {
+    const state = this.peerConnection?.connectionState;
+    console.log('Connection state:', state);
+
+    clearTimeout(this.disconnectedTimer);
+    if (!this.isConnected || !this.reconnect.enabled) {
+      return;
+    }
+
+    if (state === 'failed') {
+      this.handleConnectionLost('Connection failed');
+    } else if (state === 'disconnected') {
+      this.disconnectedTimer = setTimeout(
+        () => this.handleConnectionLost('Connection disconnected'),
+        this.reconnect.disconnectedGraceMs
+      );
+    }
+  }
+
+  /**
+   * Connection Lost
+   * Tears down the dropped connection, keeping the microphone, and schedules a reconnect.
+   *
+   * @param {string} reason - Why the connection was lost, for logging
+   */
+  handleConnectionLost(reason) {
+    // Ignore if the user closed the session or a reconnect is already scheduled
+    if (!this.isConnected || this.reconnectTimer) {
+      return;
+    }
+
+    console.warn(`Connection lost: ${reason}`);
+    if (!this.isReconnecting) {
+      this.isReconnecting = true;
+      this.emit('connection.lost', { type: 'connection.lost', reason });
+    }
+    this.teardown({ keepMicrophone: true });
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff
+   * Gives up and closes the session after maxAttempts.
+   */
+  scheduleReconnect() {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.reconnect;
+    if (this.reconnectAttempt >= maxAttempts) {
+      console.error(`Giving up after ${maxAttempts} reconnect attempts`);
+      this.close();
+      this.onClose();
+      this.emit('connection.failed', { type: 'connection.failed', attempts: maxAttempts });
+      return;
+    }
+
+    const delayMs = Math.min(baseDelayMs * 2 ** this.reconnectAttempt, maxDelayMs);
+    this.reconnectAttempt += 1;
+    console.log(`Reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempt} of ${maxAttempts})`);
+    this.emit('connection.reconnecting', {
+      type: 'connection.reconnecting',
+      attempt: this.reconnectAttempt,
+      maxAttempts,
+      delayMs,
+    });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.openConnection();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return;
+        }
+        console.error('Reconnect attempt failed:', error);
+        this.handleConnectionLost(error.message);
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Restore the session after reconnecting
+   * Replays the session configuration and recent messages into the new session.
+   */
+  restoreSession() {
+    const events = this.sessionReplay.takeReplayEvents();
+    console.log(`Reconnected, replaying ${events.length} events`);
+    events.forEach((event) => this.send(event));
+
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.emit('connection.restored', { type: 'connection.restored', replayedEvents: events.length });
+  }
+
+  /**
+   * Subscribe to a server or connection event type, or a wildcard pattern
+   * Typed overload of EventEmitter.on for editors that read JSDoc.
+   *
+   * @template {keyof RealtimeEventMap} T
+   * @param {T|'*'|`${string}.*`} type - The event type, `*`, or a pattern ending in `.*`
+   * @param {(event: RealtimeEventMap[T]) => void} listener - Called with the event
+   * @returns {Function} Unsubscribes the listener
+   */
+  on(type, listener) {
+    return super.on(type, listener);
+  }
+
+  /**
+   * Send a client event to the API over the data channel
+   *
+   * @param {Object} event - The client event to send
+   * @returns {boolean} Whether the event was sent
+   */
+  send(event) {
+    if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+      console.error('Data channel not ready');
+      return false;
+    }
+    this.dataChannel.send(JSON.stringify(event));
+    this.sessionReplay.recordClientEvent(event);
+    return true;
+  }
+
+  /**
+   * Enable or disable the microphone track
+   *
+   * @param {boolean} enabled - Whether the microphone should capture audio
+   * @returns {boolean} Whether a microphone track was found
+   */
+  setMicrophoneEnabled(enabled) {
+    const audioTrack = this.mediaStream?.getAudioTracks()[0];
+    if (!audioTrack) {
+      return false;
+    }
+    audioTrack.enabled = enabled;
+    return true;
+  }
+
+  /**
+   * Cleanup
+   * Properly closes all connections and frees resources, and stops reconnecting.
+   */
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.isConnected = false;
+    this.teardown({ keepMicrophone: false });
+  }
+
+  /**
+   * Teardown
+   * - Cancels a connection attempt in progress
+   * - Stops the connection monitor
+   * - Stops media streams, unless kept for reconnecting
+   * - Closes the data channel and WebRTC connection
+   * - Removes the audio element
+   *
+   * @param {Object} options
+   * @param {boolean} options.keepMicrophone - Keep the microphone stream for the next connection
+   */
+  teardown({ keepMicrophone }) {
+    this.connectionAttempt += 1;
+    clearTimeout(this.disconnectedTimer);
+    this.monitor.stop();
+    if (this.mediaStream && !keepMicrophone) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream = null;
+    }
+    if (this.dataChannel) {
+      // A dropped connection is not reported as closed while reconnecting
+      if (this.isReconnecting) {
+        this.dataChannel.onclose = null;
+      }
+      this.dataChannel.close();
+    }
+    if (this.peerConnection) {
+      this.peerConnection.close();
+    }
+    if (this.audioElement) {
+      this.audioElement.remove();
+    }
+
+    this.peerConnection = null;
+    this.dataChannel = null;
+    this.audioElement = null;
+  }
+}
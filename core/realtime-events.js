@@ -0,0 +1,409 @@
+/**
+ * Realtime API server events
+ * ==========================
+ *
+ * JSDoc typedefs for the server events received on the `oai-events` data
+ * channel, and the connection events emitted by RealtimeClient itself.
+ * RealtimeEventMap maps each event type to its event, so editors can type
+ * the listener passed to `client.on(type, listener)`.
+ *
+ * @link https://platform.openai.com/docs/api-reference/realtime-server-events
+ */
+
+/**
+ * @typedef {Object} RealtimeContentPart
+ * @property {'input_text'|'input_audio'|'text'|'audio'} type
+ * @property {string} [text]
+ * @property {string} [transcript]
+ */
+
+/**
+ * @typedef {Object} RealtimeItem
+ * @property {string} id
+ * @property {'message'|'function_call'|'function_call_output'} type
+ * @property {'completed'|'in_progress'|'incomplete'} [status]
+ * @property {'user'|'assistant'|'system'} [role]
+ * @property {Array<RealtimeContentPart>} [content]
+ * @property {string} [call_id] - For function_call and function_call_output items
+ * @property {string} [name] - For function_call items
+ * @property {string} [arguments] - JSON encoded arguments of function_call items
+ * @property {string} [output] - For function_call_output items
+ */
+
+/**
+ * @typedef {Object} RealtimeResponse
+ * @property {string} id
+ * @property {'in_progress'|'completed'|'cancelled'|'failed'|'incomplete'} status
+ * @property {Object} [status_details]
+ * @property {Array<RealtimeItem>} output
+ * @property {Array<'text'|'audio'>} [modalities]
+ * @property {Object} [usage]
+ */
+
+/**
+ * @typedef {Object} RealtimeSession
+ * @property {string} id
+ * @property {string} model
+ * @property {Array<'text'|'audio'>} modalities
+ * @property {string} instructions
+ * @property {string} voice
+ * @property {Object|null} turn_detection
+ * @property {Object|null} input_audio_transcription
+ * @property {Array<Object>} tools
+ * @property {number} temperature
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {'error'} type
+ * @property {string} event_id
+ * @property {{ type: string, code?: string, message: string, param?: string, event_id?: string }} error
+ */
+
+/**
+ * @typedef {Object} SessionCreatedEvent
+ * @property {'session.created'} type
+ * @property {string} event_id
+ * @property {RealtimeSession} session
+ */
+
+/**
+ * @typedef {Object} SessionUpdatedEvent
+ * @property {'session.updated'} type
+ * @property {string} event_id
+ * @property {RealtimeSession} session
+ */
+
+/**
+ * @typedef {Object} ConversationCreatedEvent
+ * @property {'conversation.created'} type
+ * @property {string} event_id
+ * @property {{ id: string, object: string }} conversation
+ */
+
+/**
+ * @typedef {Object} ConversationItemCreatedEvent
+ * @property {'conversation.item.created'} type
+ * @property {string} event_id
+ * @property {string|null} previous_item_id
+ * @property {RealtimeItem} item
+ */
+
+/**
+ * @typedef {Object} InputAudioTranscriptionDeltaEvent
+ * @property {'conversation.item.input_audio_transcription.delta'} type
+ * @property {string} event_id
+ * @property {string} item_id
+ * @property {number} content_index
+ * @property {string} delta
+ */
+
+/**
+ * @typedef {Object} InputAudioTranscriptionCompletedEvent
+ * @property {'conversation.item.input_audio_transcription.completed'} type
+ * @property {string} event_id
+ * @property {string} item_id
+ * @property {number} content_index
+ * @property {string} transcript
+ */
+
+/**
+ * @typedef {Object} InputAudioTranscriptionFailedEvent
+ * @property {'conversation.item.input_audio_transcription.failed'} type
+ * @property {string} event_id
+ * @property {string} item_id
+ * @property {number} content_index
+ * @property {{ type: string, code?: string, message: string }} error
+ */
+
+/**
+ * @typedef {Object} ConversationItemTruncatedEvent
+ * @property {'conversation.item.truncated'} type
+ * @property {string} event_id
+ * @property {string} item_id
+ * @property {number} content_index
+ * @property {number} audio_end_ms
+ */
+
+/**
+ * @typedef {Object} ConversationItemDeletedEvent
+ * @property {'conversation.item.deleted'} type
+ * @property {string} event_id
+ * @property {string} item_id
+ */
+
+/**
+ * @typedef {Object} InputAudioBufferCommittedEvent
+ * @property {'input_audio_buffer.committed'} type
+ * @property {string} event_id
+ * @property {string|null} previous_item_id
+ * @property {string} item_id
+ */
+
+/**
+ * @typedef {Object} InputAudioBufferClearedEvent
+ * @property {'input_audio_buffer.cleared'} type
+ * @property {string} event_id
+ */
+
+/**
+ * @typedef {Object} InputAudioBufferSpeechStartedEvent
+ * @property {'input_audio_buffer.speech_started'} type
+ * @property {string} event_id
+ * @property {number} audio_start_ms
+ * @property {string} item_id
+ */
+
+/**
+ * @typedef {Object} InputAudioBufferSpeechStoppedEvent
+ * @property {'input_audio_buffer.speech_stopped'} type
+ * @property {string} event_id
+ * @property {number} audio_end_ms
+ * @property {string} item_id
+ */
+
+/**
+ * @typedef {Object} OutputAudioBufferEvent
+ * Sent over WebRTC when the server starts, stops or clears audio playback.
+ * @property {'output_audio_buffer.started'|'output_audio_buffer.stopped'|'output_audio_buffer.cleared'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ */
+
+/**
+ * @typedef {Object} ResponseCreatedEvent
+ * @property {'response.created'} type
+ * @property {string} event_id
+ * @property {RealtimeResponse} response
+ */
+
+/**
+ * @typedef {Object} ResponseDoneEvent
+ * @property {'response.done'} type
+ * @property {string} event_id
+ * @property {RealtimeResponse} response
+ */
+
+/**
+ * @typedef {Object} ResponseOutputItemEvent
+ * @property {'response.output_item.added'|'response.output_item.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {number} output_index
+ * @property {RealtimeItem} item
+ */
+
+/**
+ * @typedef {Object} ResponseContentPartEvent
+ * @property {'response.content_part.added'|'response.content_part.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ * @property {RealtimeContentPart} part
+ */
+
+/**
+ * @typedef {Object} ResponseTextDeltaEvent
+ * @property {'response.text.delta'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ * @property {string} delta
+ */
+
+/**
+ * @typedef {Object} ResponseTextDoneEvent
+ * @property {'response.text.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} ResponseAudioTranscriptDeltaEvent
+ * @property {'response.audio_transcript.delta'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ * @property {string} delta
+ */
+
+/**
+ * @typedef {Object} ResponseAudioTranscriptDoneEvent
+ * @property {'response.audio_transcript.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ * @property {string} transcript
+ */
+
+/**
+ * @typedef {Object} ResponseAudioDoneEvent
+ * @property {'response.audio.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {number} content_index
+ */
+
+/**
+ * @typedef {Object} ResponseFunctionCallArgumentsDeltaEvent
+ * @property {'response.function_call_arguments.delta'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {string} call_id
+ * @property {string} delta
+ */
+
+/**
+ * @typedef {Object} ResponseFunctionCallArgumentsDoneEvent
+ * @property {'response.function_call_arguments.done'} type
+ * @property {string} event_id
+ * @property {string} response_id
+ * @property {string} item_id
+ * @property {number} output_index
+ * @property {string} call_id
+ * @property {string} arguments
+ */
+
+/**
+ * @typedef {Object} RateLimitsUpdatedEvent
+ * @property {'rate_limits.updated'} type
+ * @property {string} event_id
+ * @property {Array<{ name: string, limit: number, remaining: number, reset_seconds: number }>} rate_limits
+ */
+
+/**
+ * Server event types mapped to their events
+ *
+ * @typedef {{
+ *   'error': ErrorEvent,
+ *   'session.created': SessionCreatedEvent,
+ *   'session.updated': SessionUpdatedEvent,
+ *   'conversation.created': ConversationCreatedEvent,
+ *   'conversation.item.created': ConversationItemCreatedEvent,
+ *   'conversation.item.input_audio_transcription.delta': InputAudioTranscriptionDeltaEvent,
+ *   'conversation.item.input_audio_transcription.completed': InputAudioTranscriptionCompletedEvent,
+ *   'conversation.item.input_audio_transcription.failed': InputAudioTranscriptionFailedEvent,
+ *   'conversation.item.truncated': ConversationItemTruncatedEvent,
+ *   'conversation.item.deleted': ConversationItemDeletedEvent,
+ *   'input_audio_buffer.committed': InputAudioBufferCommittedEvent,
+ *   'input_audio_buffer.cleared': InputAudioBufferClearedEvent,
+ *   'input_audio_buffer.speech_started': InputAudioBufferSpeechStartedEvent,
+ *   'input_audio_buffer.speech_stopped': InputAudioBufferSpeechStoppedEvent,
+ *   'output_audio_buffer.started': OutputAudioBufferEvent,
+ *   'output_audio_buffer.stopped': OutputAudioBufferEvent,
+ *   'output_audio_buffer.cleared': OutputAudioBufferEvent,
+ *   'response.created': ResponseCreatedEvent,
+ *   'response.done': ResponseDoneEvent,
+ *   'response.output_item.added': ResponseOutputItemEvent,
+ *   'response.output_item.done': ResponseOutputItemEvent,
+ *   'response.content_part.added': ResponseContentPartEvent,
+ *   'response.content_part.done': ResponseContentPartEvent,
+ *   'response.text.delta': ResponseTextDeltaEvent,
+ *   'response.text.done': ResponseTextDoneEvent,
+ *   'response.audio_transcript.delta': ResponseAudioTranscriptDeltaEvent,
+ *   'response.audio_transcript.done': ResponseAudioTranscriptDoneEvent,
+ *   'response.audio.done': ResponseAudioDoneEvent,
+ *   'response.function_call_arguments.delta': ResponseFunctionCallArgumentsDeltaEvent,
+ *   'response.function_call_arguments.done': ResponseFunctionCallArgumentsDoneEvent,
+ *   'rate_limits.updated': RateLimitsUpdatedEvent,
+ * }} RealtimeServerEventMap
+ */
+
+/**
+ * Any server event
+ *
+ * @typedef {RealtimeServerEventMap[keyof RealtimeServerEventMap]} RealtimeServerEvent
+ */
+
+/**
+ * @typedef {Object} ConnectionLostEvent
+ * Emitted by RealtimeClient when the connection drops and it starts reconnecting.
+ * @property {'connection.lost'} type
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} ConnectionReconnectingEvent
+ * Emitted by RealtimeClient before each reconnect attempt.
+ * @property {'connection.reconnecting'} type
+ * @property {number} attempt
+ * @property {number} maxAttempts
+ * @property {number} delayMs
+ */
+
+/**
+ * @typedef {Object} ConnectionRestoredEvent
+ * Emitted by RealtimeClient once the session has been replayed into the new connection.
+ * @property {'connection.restored'} type
+ * @property {number} replayedEvents
+ */
+
+/**
+ * @typedef {Object} ConnectionFailedEvent
+ * Emitted by RealtimeClient when it gives up reconnecting.
+ * @property {'connection.failed'} type
+ * @property {number} attempts
+ */
+
+/**
+ * @typedef {Object} ConnectionSample
+ * A ConnectionMonitor stats sample. Metrics are null until they can be computed.
+ * @property {'sample'} type
+ * @property {number} timestamp
+ * @property {number|null} rttMs
+ * @property {{ jitterMs: number|null, packetLossPercent: number|null, bitrateKbps: number|null }} inbound - AI to user audio
+ * @property {{ jitterMs: number|null, packetLossPercent: number|null, bitrateKbps: number|null }} outbound - User to AI audio
+ * @property {'good'|'fair'|'poor'} quality
+ * @property {Array<string>} issues - The metrics over their thresholds
+ */
+
+/**
+ * @typedef {Object} ConnectionQualityEvent
+ * Emitted by RealtimeClient with every connection stats sample.
+ * @property {'connection.quality'} type
+ * @property {ConnectionSample} sample
+ */
+
+/**
+ * @typedef {Object} ConnectionWarningEvent
+ * Emitted by RealtimeClient when the connection quality degrades.
+ * @property {'connection.warning'} type
+ * @property {ConnectionSample} sample
+ */
+
+/**
+ * Connection event types emitted by RealtimeClient mapped to their events
+ *
+ * @typedef {{
+ *   'connection.lost': ConnectionLostEvent,
+ *   'connection.reconnecting': ConnectionReconnectingEvent,
+ *   'connection.restored': ConnectionRestoredEvent,
+ *   'connection.failed': ConnectionFailedEvent,
+ *   'connection.quality': ConnectionQualityEvent,
+ *   'connection.warning': ConnectionWarningEvent,
+ * }} ConnectionEventMap
+ */
+
+/**
+ * Every event type emitted by RealtimeClient mapped to its event
+ *
+ * @typedef {RealtimeServerEventMap & ConnectionEventMap} RealtimeEventMap
+ */
+
+export {};
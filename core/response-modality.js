@@ -0,0 +1,24 @@
+/**
+ * Response modality
+ * =================
+ *
+ * How the AI replies, set by the reply mode menu next to the chat input:
+ * - 'auto': the way the user asked, in text to a typed message and by voice
+ *   to speech
+ * - 'text': always in text, silently in the chat
+ * - 'audio': always by voice, typed messages included
+ *
+ * Voice replies always include text, the transcript of the audio.
+ */
+
+/**
+ * The output modalities of a reply
+ *
+ * @param {'auto'|'text'|'audio'} responseModality - The reply mode
+ * @param {'text'|'voice'} input - How the user asked, typed or spoken
+ * @returns {Array<string>} ['text'] for a text-only reply, or ['audio', 'text']
+ */
+export function getResponseModalities(responseModality, input) {
+  const spoken = responseModality === 'auto' ? input === 'voice' : responseModality === 'audio';
+  return spoken ? ['audio', 'text'] : ['text'];
+}
@@ -0,0 +1,178 @@
+/**
+ * Session browser module
+ * Lists the past sessions of a SessionHistory in the `#session-history` sidebar,
+ * with a search box, a transcript preview of each session, and buttons to
+ * continue a session in a new live session or delete it.
+ */
+
+class SessionBrowser {
+  /**
+   * @param {Object} options
+   * @param {SessionHistory} options.history - The persisted sessions
+   * @param {Function} options.onContinue - Called with the session record the user wants to pick up
+   */
+  constructor({ history, onContinue }) {
+    this.container = document.getElementById('session-history');
+    this.searchInput = this.container.querySelector('.history-search');
+    this.list = this.container.querySelector('.history-list');
+    this.history = history;
+    this.onContinue = onContinue;
+    // Sessions in the list keyed by id
+    this.sessions = new Map();
+
+    // Bind event listeners
+    this.searchInput.addEventListener('input', () => this.refresh());
+    this.list.addEventListener('click', (e) => this.handleAction(e.target.closest('[data-action]')));
+
+    this.refresh();
+  }
+
+  /**
+   * Reload the list from the history, applying the search
+   */
+  async refresh() {
+    const query = this.searchInput.value;
+    let sessions;
+    try {
+      sessions = await this.history.list(query);
+    } catch (error) {
+      console.warn('Could not load session history:', error);
+      this.showEmpty('Session history is unavailable in this browser.');
+      return;
+    }
+    // A newer search may have started while this one was loading
+    if (query !== this.searchInput.value) {
+      return;
+    }
+
+    if (sessions.length === 0) {
+      this.showEmpty(query ? 'No sessions match your search.' : 'Past sessions appear here.');
+      return;
+    }
+    // Keep the sessions the user expanded open across refreshes during a live session
+    const openIds = new Set(
+      [...this.list.querySelectorAll('details[open] [data-action="continue"]')].map((button) => button.dataset.sessionId)
+    );
+    this.sessions = new Map(sessions.map((session) => [session.id, session]));
+    this.list.replaceChildren(...sessions.map((session) => this.renderSession(session, openIds.has(session.id))));
+  }
+
+  /**
+   * Show a message instead of the list
+   * @param {string} message - The message
+   */
+  showEmpty(message) {
+    this.sessions = new Map();
+    const item = document.createElement('li');
+    item.className = 'history-empty';
+    item.textContent = message;
+    this.list.replaceChildren(item);
+  }
+
+  /**
+   * Render a session as a list item with its transcript and actions
+   * @param {Object} session - The session record
+   * @param {boolean} open - Whether the transcript is expanded
+   * @returns {HTMLLIElement} The list item
+   */
+  renderSession(session, open) {
+    const messages = session.entries.filter((entry) => entry.type === 'message' && entry.text);
+    const preview = messages.find((entry) => entry.role === 'user') ?? messages[0];
+
+    const details = document.createElement('details');
+    details.open = open;
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    title.textContent = new Date(session.startedAt).toLocaleString();
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${formatDuration(session.durationMs)} · ${messages.length} messages`;
+    const previewText = document.createElement('span');
+    previewText.className = 'history-preview';
+    previewText.textContent = preview?.text ?? 'No messages';
+    summary.append(title, meta, previewText);
+
+    const settings = document.createElement('p');
+    settings.className = 'history-settings';
+    settings.textContent = [session.settings?.persona, session.settings?.voice, session.settings?.model]
+      .filter(Boolean)
+      .join(' · ');
+
+    const transcript = document.createElement('ol');
+    transcript.className = 'history-transcript';
+    for (const entry of session.entries) {
+      const line = document.createElement('li');
+      if (entry.type === 'tool_call') {
+        line.className = 'history-tool-call';
+        line.textContent = `Tool call: ${entry.name}(${entry.arguments})`;
+      } else {
+        line.className = `history-${entry.role}`;
+        line.textContent = `${entry.role === 'user' ? 'User' : 'AI'}: ${entry.text || '…'}`;
+      }
+      transcript.appendChild(line);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(
+      createButton('Continue in new session', 'continue', session.id),
+      createButton('Delete', 'delete', session.id)
+    );
+
+    details.append(summary, settings, transcript, actions);
+    const item = document.createElement('li');
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * Handle a click on a session's action button
+   * @param {HTMLButtonElement|null} button - The clicked button
+   */
+  async handleAction(button) {
+    const session = this.sessions.get(button?.dataset.sessionId);
+    if (!session) {
+      return;
+    }
+    if (button.dataset.action === 'continue') {
+      this.onContinue(session);
+    } else if (button.dataset.action === 'delete') {
+      try {
+        await this.history.remove(session.id);
+      } catch (error) {
+        console.warn('Could not delete session:', error);
+      }
+      this.refresh();
+    }
+  }
+}
+
+/**
+ * Create a session action button
+ * @param {string} label - The button text
+ * @param {string} action - The action, 'continue' or 'delete'
+ * @param {string} sessionId - The session id
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, action, sessionId) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'link-button';
+  button.textContent = label;
+  button.dataset.action = action;
+  button.dataset.sessionId = sessionId;
+  return button;
+}
+
+/**
+ * Format a session duration
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The duration, e.g. 3:05
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export { SessionBrowser };
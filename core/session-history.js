@@ -0,0 +1,176 @@
+/**
+ * SessionHistory
+ * ==============
+ *
+ * Persists past sessions to IndexedDB, so they survive page reloads and closed
+ * sessions. A session record looks like:
+ * {
+ *   id: '6f1c...',
+ *   startedAt: 1760000000000,
+ *   endedAt: 1760000300000,
+ *   durationMs: 300000,
+ *   settings: { persona: 'weather-guide', model: '...', voice: 'coral', ... },
+ *   entries: [...] // ConversationLog entries: messages and tool calls
+ * }
+ *
+ * Saving a record with an existing id replaces it, so a live session can be
+ * saved repeatedly as it goes. The oldest sessions beyond maxSessions are dropped.
+ */
+
+const DB_VERSION = 1;
+
+export class SessionHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='realtime-sessions'] - IndexedDB database name
+   * @param {number} [options.maxSessions=100] - Number of most recent sessions to keep
+   */
+  constructor({ dbName = 'realtime-sessions', maxSessions = 100 } = {}) {
+    this.dbName = dbName;
+    this.maxSessions = maxSessions;
+    this.db = null;
+  }
+
+  /**
+   * Open the database, creating the sessions store on first use
+   *
+   * @returns {Promise<IDBDatabase>} The database
+   */
+  open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('sessions', { keyPath: 'id' });
+        store.createIndex('startedAt', 'startedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Allow retrying, e.g. after the user unblocks storage
+      this.db = null;
+      throw error;
+    });
+    return this.db;
+  }
+
+  /**
+   * Save a session, replacing any session with the same id
+   *
+   * @param {Object} session - The session record
+   */
+  async save(session) {
+    const store = await this.getStore('readwrite');
+    store.put(session);
+
+    // Drop the oldest sessions from the request callbacks, while the transaction is still active
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - this.maxSessions;
+      if (excess <= 0) {
+        return;
+      }
+      store.index('startedAt').openCursor().onsuccess = (cursorEvent) => {
+        const cursor = cursorEvent.target.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess -= 1;
+          cursor.continue();
+        }
+      };
+    };
+    await complete(store.transaction);
+  }
+
+  /**
+   * Get a session
+   *
+   * @param {string} id - The session id
+   * @returns {Promise<Object|undefined>} The session record
+   */
+  async get(id) {
+    const store = await this.getStore('readonly');
+    return promisify(store.get(id));
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {string} id - The session id
+   */
+  async remove(id) {
+    const store = await this.getStore('readwrite');
+    await promisify(store.delete(id));
+  }
+
+  /**
+   * List the sessions, optionally only those matching a search
+   * A session matches when every word of the query appears in its messages,
+   * tool calls or persona, ignoring case.
+   *
+   * @param {string} [query] - The search text
+   * @returns {Promise<Array<Object>>} The session records, newest first
+   */
+  async list(query = '') {
+    const store = await this.getStore('readonly');
+    const sessions = (await promisify(store.index('startedAt').getAll())).reverse();
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return sessions;
+    }
+    return sessions.filter((session) => {
+      const text = getSearchText(session);
+      return words.every((word) => text.includes(word));
+    });
+  }
+
+  /**
+   * Get the sessions store in a new transaction
+   *
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>} The store
+   */
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction('sessions', mode).objectStore('sessions');
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ *
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves once every request of the transaction succeeded
+ */
+function complete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * The searchable text of a session
+ *
+ * @param {Object} session - The session record
+ * @returns {string} The lowercased text
+ */
+function getSearchText(session) {
+  const entries = session.entries.map((entry) =>
+    entry.type === 'tool_call' ? `${entry.name} ${entry.arguments}` : entry.text
+  );
+  return [session.settings?.persona ?? '', ...entries].join('\n').toLowerCase();
+}
@@ -0,0 +1,241 @@
+/**
+ * SessionRecorder
+ * ===============
+ *
+ * Records both sides of a voice session to a single audio file, e.g. for QA
+ * review. The microphone and AI audio streams are mixed in a Web Audio graph
+ * and captured with MediaRecorder as WebM/Opus, where the browser supports it.
+ * A WAV copy is decoded from the recording on export.
+ *
+ * Sources can be replaced while recording, e.g. by the new remote stream after
+ * reconnecting. Recording can be paused and resumed; `toMediaTime()` maps
+ * wall-clock times onto the recording's timeline, so a transcript can be
+ * aligned with the audio (see the `clock` option of conversation-export.js).
+ */
+
+const PREFERRED_MIME_TYPE = 'audio/webm;codecs=opus';
+
+export class SessionRecorder {
+  constructor() {
+    this.audioContext = null;
+    this.destination = null;
+    this.mediaRecorder = null;
+    // Source nodes keyed by name, e.g. 'user' and 'ai'
+    this.sources = new Map();
+    this.chunks = [];
+    this.recording = null;
+
+    // Wall-clock timeline of the recording
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.pauses = [];
+  }
+
+  /**
+   * Recording state
+   *
+   * @returns {'inactive'|'recording'|'paused'} The MediaRecorder state
+   */
+  get state() {
+    return this.mediaRecorder?.state ?? 'inactive';
+  }
+
+  /**
+   * Start a new recording, discarding the previous one
+   *
+   * @param {Object<string, MediaStream>} [sources] - Streams to mix in, keyed by name
+   */
+  start(sources = {}) {
+    if (this.state !== 'inactive') {
+      return;
+    }
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.destination = this.audioContext.createMediaStreamDestination();
+    for (const [name, stream] of Object.entries(sources)) {
+      this.setSource(name, stream);
+    }
+
+    const mimeType = MediaRecorder.isTypeSupported(PREFERRED_MIME_TYPE) ? PREFERRED_MIME_TYPE : '';
+    this.mediaRecorder = new MediaRecorder(this.destination.stream, mimeType ? { mimeType } : {});
+    this.chunks = [];
+    this.recording = null;
+    this.mediaRecorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) {
+        this.chunks.push(e.data);
+      }
+    });
+
+    // Collect data every second so a crash loses little of the recording
+    this.mediaRecorder.start(1000);
+    this.startedAt = Date.now();
+    this.stoppedAt = null;
+    this.pauses = [];
+    console.log(`Recording started (${this.mediaRecorder.mimeType})`);
+  }
+
+  /**
+   * Mix a stream into the recording, replacing any stream of the same name
+   *
+   * @param {string} name - The source name, e.g. 'user' or 'ai'
+   * @param {MediaStream|null} stream - The audio stream, or null to remove the source
+   */
+  setSource(name, stream) {
+    if (!this.audioContext) {
+      return;
+    }
+    this.sources.get(name)?.disconnect();
+    this.sources.delete(name);
+
+    if (stream?.getAudioTracks().length) {
+      const source = this.audioContext.createMediaStreamSource(stream);
+      source.connect(this.destination);
+      this.sources.set(name, source);
+    }
+  }
+
+  /**
+   * Pause the recording
+   */
+  pause() {
+    if (this.state === 'recording') {
+      this.mediaRecorder.pause();
+      this.pauses.push({ start: Date.now(), end: null });
+    }
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.state === 'paused') {
+      this.mediaRecorder.resume();
+      this.pauses[this.pauses.length - 1].end = Date.now();
+    }
+  }
+
+  /**
+   * Stop the recording and release the audio graph
+   *
+   * @returns {Promise<Blob|null>} The recording, or null if nothing was recorded
+   */
+  async stop() {
+    if (this.state === 'inactive') {
+      return this.recording;
+    }
+
+    const stopped = new Promise((resolve) => {
+      this.mediaRecorder.addEventListener('stop', resolve, { once: true });
+    });
+    this.resume();
+    this.mediaRecorder.stop();
+    this.stoppedAt = Date.now();
+    await stopped;
+
+    this.sources.forEach((source) => source.disconnect());
+    this.sources.clear();
+    this.audioContext.close();
+    this.audioContext = null;
+    this.destination = null;
+
+    this.recording = this.chunks.length > 0
+      ? new Blob(this.chunks, { type: this.mediaRecorder.mimeType })
+      : null;
+    this.chunks = [];
+    console.log('Recording stopped');
+    return this.recording;
+  }
+
+  /**
+   * Map a wall-clock time onto the recording's timeline
+   *
+   * @param {number} timestamp - Milliseconds since the epoch, e.g. from Date.now()
+   * @returns {number|null} Milliseconds into the recording, or null if the time wasn't recorded
+   */
+  toMediaTime(timestamp) {
+    if (this.startedAt === null || timestamp < this.startedAt || (this.stoppedAt && timestamp > this.stoppedAt)) {
+      return null;
+    }
+
+    let pausedMs = 0;
+    for (const { start, end } of this.pauses) {
+      if (timestamp < start) {
+        break;
+      }
+      if (end === null || timestamp < end) {
+        return null;
+      }
+      pausedMs += end - start;
+    }
+    return timestamp - this.startedAt - pausedMs;
+  }
+
+  /**
+   * The recording as captured, WebM/Opus where the browser supports it
+   *
+   * @returns {Blob|null} The recording, or null before a recording was stopped
+   */
+  getRecording() {
+    return this.recording;
+  }
+
+  /**
+   * The recording as 16-bit PCM WAV
+   *
+   * @returns {Promise<Blob|null>} The WAV file, or null before a recording was stopped
+   */
+  async getWAV() {
+    if (!this.recording) {
+      return null;
+    }
+    const audioContext = new OfflineAudioContext(1, 1, 48000);
+    const audioBuffer = await audioContext.decodeAudioData(await this.recording.arrayBuffer());
+    return new Blob([encodeWAV(audioBuffer)], { type: 'audio/wav' });
+  }
+}
+
+/**
+ * Encode decoded audio as a 16-bit PCM WAV file
+ *
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @returns {ArrayBuffer} The WAV file contents
+ */
+export function encodeWAV(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const dataSize = length * numberOfChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  // RIFF header and format chunk
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+  view.setUint16(32, numberOfChannels * bytesPerSample, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleaved samples
+  const channels = Array.from({ length: numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (const channel of channels) {
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return view.buffer;
+}
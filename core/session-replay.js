@@ -0,0 +1,151 @@
+/**
+ * SessionReplay
+ * =============
+ *
+ * Records the session configuration and recent conversation messages of a
+ * Realtime session, so RealtimeClient can replay them into a new session after
+ * reconnecting and the conversation resumes where it left off.
+ *
+ * - The session configuration is the merge of every `session.update` sent.
+ * - Messages are tracked from server events by item id, with the transcript of
+ *   audio content filled in once it is available. Audio is replayed as text.
+ * - Messages keep their item ids, so features keyed by item id recognise the
+ *   replayed items echoed back by the new session.
+ * - Function calls and their outputs are not replayed, the assistant messages
+ *   that answered them carry the results forward.
+ */
+
+export class SessionReplay {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxItems=20] - Number of most recent messages to keep
+   */
+  constructor({ maxItems = 20 } = {}) {
+    this.maxItems = maxItems;
+    this.session = null;
+    // Conversation messages keyed by item id, in conversation order: { role, text }
+    this.items = new Map();
+  }
+
+  /**
+   * Record a client event sent to the API
+   *
+   * @param {Object} event - The client event
+   */
+  recordClientEvent(event) {
+    if (event.type === 'session.update') {
+      this.session = { ...this.session, ...event.session };
+    }
+  }
+
+  /**
+   * Record a server event received from the API
+   *
+   * @param {Object} event - The server event
+   */
+  recordServerEvent(event) {
+    switch (event.type) {
+      case 'conversation.item.created':
+        if (event.item.type === 'message') {
+          this.items.set(event.item.id, { role: event.item.role, text: getText(event.item) });
+          this.trim();
+        }
+        break;
+      case 'conversation.item.input_audio_transcription.completed':
+        this.setText(event.item_id, event.transcript);
+        break;
+      case 'response.output_item.done':
+        if (event.item.type === 'message') {
+          this.setText(event.item.id, getText(event.item));
+        }
+        break;
+      case 'conversation.item.deleted':
+        this.items.delete(event.item_id);
+        break;
+    }
+  }
+
+  /**
+   * Set the text of a tracked message
+   *
+   * @param {string} itemId - The conversation item id
+   * @param {string} text - The message text
+   */
+  setText(itemId, text) {
+    const item = this.items.get(itemId);
+    if (item && text) {
+      item.text = text;
+    }
+  }
+
+  /**
+   * Drop the oldest messages beyond maxItems
+   */
+  trim() {
+    while (this.items.size > this.maxItems) {
+      this.items.delete(this.items.keys().next().value);
+    }
+  }
+
+  /**
+   * Client events that restore the session in a new connection
+   * The tracked messages are cleared, as the new session echoes them back
+   * as conversation items with the same ids.
+   *
+   * @returns {Array<Object>} The session.update and conversation.item.create events to send
+   */
+  takeReplayEvents() {
+    const events = [];
+    if (this.session) {
+      events.push({ type: 'session.update', session: this.session });
+    }
+
+    const messages = Array.from(this.items, ([id, { role, text }]) => ({ id, role, text }));
+    events.push(...createMessageEvents(messages));
+
+    this.items.clear();
+    return events;
+  }
+
+  /**
+   * Forget the recorded session, e.g. when the user starts a new one
+   */
+  clear() {
+    this.session = null;
+    this.items.clear();
+  }
+}
+
+/**
+ * Client events that add messages to the conversation as text
+ * Also used to seed a new session with the messages of a past one.
+ *
+ * @param {Array<{id?: string, role: string, text: string}>} messages - The messages, in conversation order
+ * @returns {Array<Object>} The conversation.item.create events, skipping messages without text
+ */
+export function createMessageEvents(messages) {
+  return messages
+    .filter(({ text }) => text)
+    .map(({ id, role, text }) => ({
+      type: 'conversation.item.create',
+      item: {
+        ...(id && { id }),
+        type: 'message',
+        role,
+        content: [{ type: role === 'assistant' ? 'text' : 'input_text', text }],
+      },
+    }));
+}
+
+/**
+ * Get the text or transcript of a message item
+ *
+ * @param {Object} item - The conversation item
+ * @returns {string} The text, or an empty string if there is none yet
+ */
+function getText(item) {
+  return (item.content ?? [])
+    .map((part) => part.text ?? part.transcript ?? '')
+    .join('')
+    .trim();
+}
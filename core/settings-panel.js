@@ -0,0 +1,193 @@
+/**
+ * Settings panel module
+ * Binds the `#settings-form` form to a settings object persisted in localStorage,
+ * so voice, instructions and turn detection can be changed without editing config.js.
+ *
+ * Each form field's `name` is a settings key. Numbers come from number and range
+ * inputs, booleans from checkboxes, lists of values from groups of checkboxes
+ * sharing a name, and strings from everything else. An empty or invalid
+ * number, e.g. one outside the input's min and max, is not saved: the field
+ * goes back to the previous value and the panel notice says why.
+ */
+
+class SettingsPanel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaults - Default settings, usually from CONFIG
+   * @param {string} [options.storageKey] - localStorage key the settings are persisted under
+   * @param {Function} [options.onChange] - Called with the changed settings and all settings
+   */
+  constructor({ defaults, storageKey = 'realtime-settings', onChange = () => {} }) {
+    this.form = document.getElementById('settings-form');
+    this.notice = this.form.querySelector('.settings-notice');
+    this.defaults = defaults;
+    this.storageKey = storageKey;
+    this.onChange = onChange;
+    this.settings = { ...defaults, ...this.load() };
+
+    this.fillForm();
+
+    // Bind event listeners
+    this.form.addEventListener('change', (e) => {
+      if (!(e.target.name in this.settings)) {
+        return;
+      }
+      const field = this.form.elements.namedItem(e.target.name);
+      if (!isValidField(field)) {
+        this.fillForm();
+        this.showNotice(`${field.validationMessage || 'Enter a number.'} The previous value was kept.`);
+        return;
+      }
+      this.update({ [e.target.name]: readField(field) });
+    });
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+    this.form.addEventListener('reset', (e) => {
+      e.preventDefault();
+      this.reset();
+    });
+  }
+
+  /**
+   * Get the current settings
+   * @returns {Object} A copy of the settings
+   */
+  get() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change settings, persist them and notify the app
+   * Values equal to the current ones are ignored.
+   * @param {Object} changes - The settings to change
+   */
+  update(changes) {
+    const changed = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (key in this.settings && !isEqual(this.settings[key], value)) {
+        changed[key] = value;
+      }
+    }
+    if (Object.keys(changed).length === 0) {
+      return;
+    }
+
+    Object.assign(this.settings, changed);
+    this.save();
+    this.fillForm();
+    this.showNotice('');
+    this.onChange(changed, this.get());
+  }
+
+  /**
+   * Restore the default settings
+   */
+  reset() {
+    this.update(this.defaults);
+  }
+
+  /**
+   * Show a notice in the panel, e.g. that a change applies from the next session
+   * @param {string} message - The notice, or an empty string to hide it
+   */
+  showNotice(message) {
+    if (this.notice) {
+      this.notice.textContent = message;
+      this.notice.hidden = !message;
+    }
+  }
+
+  /**
+   * Fill the form fields from the settings
+   */
+  fillForm() {
+    for (const [key, value] of Object.entries(this.settings)) {
+      const field = this.form.elements.namedItem(key);
+      if (!field) {
+        continue;
+      }
+      if (field instanceof RadioNodeList) {
+        for (const checkbox of field) {
+          checkbox.checked = value.includes(checkbox.value);
+        }
+      } else if (field.type === 'checkbox') {
+        field.checked = value;
+      } else {
+        field.value = value;
+      }
+    }
+  }
+
+  /**
+   * Load persisted settings, ignoring keys that are no longer settings
+   * @returns {Object} The persisted settings, or an empty object
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey)) ?? {};
+      return Object.fromEntries(Object.entries(stored).filter(([key]) => key in this.defaults));
+    } catch (error) {
+      console.warn('Could not load settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the settings that differ from the defaults
+   */
+  save() {
+    const changed = Object.fromEntries(
+      Object.entries(this.settings).filter(([key, value]) => !isEqual(value, this.defaults[key]))
+    );
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(changed));
+    } catch (error) {
+      console.warn('Could not save settings:', error);
+    }
+  }
+}
+
+/**
+ * Read a form field as a typed settings value
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|RadioNodeList} field - The form field, or a group of checkboxes
+ * @returns {number|boolean|string|Array<string>} The value
+ */
+function readField(field) {
+  if (field instanceof RadioNodeList) {
+    return [...field].filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.value);
+  }
+  if (field.type === 'checkbox') {
+    return field.checked;
+  }
+  if (field.type === 'number' || field.type === 'range') {
+    return Number(field.value);
+  }
+  return field.value;
+}
+
+/**
+ * Check a form field holds a value that can be saved
+ * Number and range inputs need a number within their constraints.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|RadioNodeList} field - The form field, or a group of checkboxes
+ * @returns {boolean} Whether the value is valid
+ */
+function isValidField(field) {
+  if (field instanceof RadioNodeList || (field.type !== 'number' && field.type !== 'range')) {
+    return true;
+  }
+  return field.value !== '' && field.validity.valid;
+}
+
+/**
+ * Compare two settings values, including lists
+ * @param {*} a - A settings value
+ * @param {*} b - Another settings value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  return a === b;
+}
+
+export { SettingsPanel };
@@ -0,0 +1,153 @@
+/**
+ * TypingMicPolicy
+ * ===============
+ *
+ * Decides what happens to the microphone while the user types in the chat, so
+ * keyboard noise doesn't start a voice turn:
+ * - 'mute': mute the microphone when the chat input gets focus, and unmute it
+ *   again when the input loses focus
+ * - 'live': leave the microphone alone
+ * - 'pause-vad': keep the microphone live but pause turn detection while
+ *   typing. The audio captured meanwhile is discarded when it resumes.
+ *
+ * Only what the policy changed is restored, e.g. a microphone the user had
+ * muted stays muted. Leaving the input for the mic button restores nothing
+ * either, the button's click decides whether the microphone is muted.
+ *
+ * The app owns the microphone and turn detection, the policy changes them
+ * through the functions the app provides. `muteMicrophone()` and
+ * `pauseTurnDetection()` do the client side of these.
+ */
+
+export class TypingMicPolicy {
+  /**
+   * @param {Object} options
+   * @param {string} [options.policy='mute'] - 'mute', 'live' or 'pause-vad'
+   * @param {Function} options.isMicrophoneLive - Returns whether the microphone is capturing voice turns
+   * @param {Function} options.setMicrophoneMuted - Called with true to mute the microphone, false to unmute it
+   * @param {Function} [options.setTurnDetectionPaused] - Called with true to pause turn detection, false to resume it
+   * @param {HTMLElement} [options.micButton] - The app's mic button, which takes over the microphone when the input loses focus to it
+   */
+  constructor({ policy = 'mute', isMicrophoneLive, setMicrophoneMuted, setTurnDetectionPaused = () => {}, micButton = null }) {
+    this.policy = policy;
+    this.micButton = micButton;
+    this.isMicrophoneLive = isMicrophoneLive;
+    this.setMicrophoneMuted = setMicrophoneMuted;
+    this.setTurnDetectionPaused = setTurnDetectionPaused;
+
+    this.typing = false;
+    // What the policy changed, to restore when typing stops
+    this.mutedMicrophone = false;
+    this.pausedTurnDetection = false;
+  }
+
+  /**
+   * The user started typing, e.g. the chat input got focus
+   */
+  startTyping() {
+    if (this.typing) {
+      return;
+    }
+    this.typing = true;
+    if (!this.isMicrophoneLive()) {
+      return;
+    }
+
+    if (this.policy === 'mute') {
+      this.setMicrophoneMuted(true);
+      this.mutedMicrophone = true;
+    } else if (this.policy === 'pause-vad') {
+      this.setTurnDetectionPaused(true);
+      this.pausedTurnDetection = true;
+    }
+  }
+
+  /**
+   * The user stopped typing, e.g. the chat input lost focus
+   *
+   * @param {Element|null} [nextFocus] - What gets focus next, the blur event's relatedTarget
+   */
+  stopTyping(nextFocus = null) {
+    if (!this.typing) {
+      return;
+    }
+    this.typing = false;
+    // Unmuting here would make the click that follows mute the microphone again
+    if (nextFocus && nextFocus === this.micButton) {
+      this.mutedMicrophone = false;
+    }
+    this.restore();
+  }
+
+  /**
+   * Switch policy, applying the new one right away if the user is typing
+   *
+   * @param {string} policy - 'mute', 'live' or 'pause-vad'
+   */
+  setPolicy(policy) {
+    if (policy === this.policy) {
+      return;
+    }
+    const { typing } = this;
+    this.stopTyping();
+    this.policy = policy;
+    if (typing) {
+      this.startTyping();
+    }
+  }
+
+  /**
+   * Undo what the policy changed
+   */
+  restore() {
+    if (this.mutedMicrophone) {
+      this.mutedMicrophone = false;
+      this.setMicrophoneMuted(false);
+    }
+    if (this.pausedTurnDetection) {
+      this.pausedTurnDetection = false;
+      this.setTurnDetectionPaused(false);
+    }
+  }
+
+  /**
+   * Forget what the policy changed without restoring it, e.g. when the session closes
+   */
+  reset() {
+    this.mutedMicrophone = false;
+    this.pausedTurnDetection = false;
+  }
+}
+
+/**
+ * Mute or unmute the microphone of a connected client
+ *
+ * @param {RealtimeClient} client - The client whose microphone is muted
+ * @param {boolean} muted - Whether the microphone should be muted
+ * @returns {boolean} Whether the microphone was changed
+ */
+export function muteMicrophone(client, muted) {
+  return client.isConnected && client.setMicrophoneEnabled(!muted);
+}
+
+/**
+ * Pause or resume the server's turn detection of a connected client
+ * The audio captured while paused is discarded on resume, so it can't start a turn.
+ *
+ * @param {RealtimeClient} client - The client whose session is updated
+ * @param {boolean} paused - Whether turn detection should be paused
+ * @param {Object} turnDetection - The turn detection to resume with
+ * @returns {boolean} Whether the session update was sent
+ */
+export function pauseTurnDetection(client, paused, turnDetection) {
+  if (!client.isConnected) {
+    return false;
+  }
+  if (!paused) {
+    client.send({ type: 'input_audio_buffer.clear' });
+  }
+  return client.send({
+    type: 'session.update',
+    session: { turn_detection: paused ? null : turnDetection },
+  });
+}
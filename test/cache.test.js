@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { cached, clearCache } from '../05-function-calling/src/tools/cache.js';
+import { CONFIG } from '../05-function-calling/src/config.js';
+
+const realNow = Date.now;
+let now;
+
+beforeEach(() => {
+  clearCache();
+  now = 1000;
+  Date.now = () => now;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('cached loads a value once and serves it until it expires', async () => {
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cached('key', 100, load), 1);
+  now += 99;
+  assert.equal(await cached('key', 100, load), 1);
+  now += 1;
+  assert.equal(await cached('key', 100, load), 2);
+});
+
+test('cached shares one in-flight lookup between concurrent callers', async () => {
+  let loads = 0;
+  let finish;
+  const load = () => {
+    loads++;
+    return new Promise((resolve) => { finish = resolve; });
+  };
+
+  const first = cached('key', 100, load);
+  const second = cached('key', 100, load);
+  await Promise.resolve();
+  finish('value');
+  assert.deepEqual(await Promise.all([first, second]), ['value', 'value']);
+  assert.equal(loads, 1);
+});
+
+test('cached does not keep a failed lookup', async () => {
+  await assert.rejects(cached('key', 100, async () => { throw new Error('offline'); }), /offline/);
+  assert.equal(await cached('key', 100, async () => 'value'), 'value');
+});
+
+test('cached evicts the entries closest to expiry when full', async () => {
+  const max = CONFIG.TOOLS.CACHE_MAX_ENTRIES;
+  await cached('soonest', 10, async () => 'first');
+  for (let i = 0; i < max; i++) {
+    await cached(`key-${i}`, 1000, async () => i);
+  }
+
+  assert.equal(await cached('key-0', 1000, async () => 'reloaded'), 0);
+  assert.equal(await cached('soonest', 10, async () => 'reloaded'), 'reloaded');
+});
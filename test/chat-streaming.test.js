@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { EventEmitter } from '../core/event-emitter.js';
+import { ChatUI } from '../core/chat.js';
+import { bindChatStreaming } from '../core/chat-streaming.js';
+
+const { window } = new JSDOM('', { url: 'http://localhost/' });
+globalThis.document = window.document;
+
+let client;
+let chatUI;
+
+/**
+ * The text of the chat messages, in order
+ *
+ * @returns {Array<string>} The messages as "role: text"
+ */
+function getMessages() {
+  return [...document.querySelectorAll('.message')].map((message) =>
+    `${message.classList.contains('user-message') ? 'user' : 'ai'}: ${message.querySelector('.message-text').textContent}`
+  );
+}
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <div id="chat-messages"></div>
+    <input id="chat-input">
+    <button class="send-button"></button>
+  `;
+  client = new EventEmitter();
+  chatUI = new ChatUI(() => {});
+});
+
+test('bindChatStreaming keeps a late transcript before the reply it prompted', () => {
+  const statuses = [];
+  bindChatStreaming(client, chatUI, { onStatus: (status) => statuses.push(status) });
+
+  client.emit('input_audio_buffer.speech_started', { item_id: 'user_1' });
+  client.emit('input_audio_buffer.committed', { item_id: 'user_1' });
+  client.emit('response.output_item.added', { item: { id: 'ai_1', type: 'message' } });
+  client.emit('response.audio_transcript.delta', { item_id: 'ai_1', delta: 'It is ' });
+  client.emit('response.audio_transcript.delta', { item_id: 'ai_1', delta: 'sunny.' });
+  client.emit('conversation.item.input_audio_transcription.completed', { item_id: 'user_1', transcript: 'Weather?' });
+  client.emit('response.audio_transcript.done', { item_id: 'ai_1', transcript: 'It is sunny.' });
+
+  assert.deepEqual(getMessages(), ['user: Weather?', 'ai: It is sunny.']);
+  assert.equal(chatUI.isStreaming('ai_1'), false);
+  assert.deepEqual(statuses, ['User speaking', 'Processing speech...', 'Connected']);
+});
+
+test('bindChatStreaming keys a message added before the speech had an item id', () => {
+  let speakingMessage = chatUI.addMessage('Speaking...', 'user');
+  bindChatStreaming(client, chatUI, {
+    takeSpeakingMessage: () => {
+      const message = speakingMessage;
+      speakingMessage = null;
+      return message;
+    },
+  });
+
+  client.emit('input_audio_buffer.committed', { item_id: 'user_1' });
+  client.emit('conversation.item.input_audio_transcription.completed', { item_id: 'user_1', transcript: '' });
+
+  assert.deepEqual(getMessages(), ['user: (No speech recognized)']);
+});
+
+test('bindChatStreaming reconciles messages a cancelled response left streaming', () => {
+  bindChatStreaming(client, chatUI);
+
+  client.emit('response.output_item.added', { item: { id: 'ai_1', type: 'message' } });
+  client.emit('response.text.delta', { item_id: 'ai_1', delta: 'Partial' });
+  client.emit('response.output_item.added', { item: { id: 'ai_2', type: 'message' } });
+  client.emit('response.done', {
+    response: {
+      output: [
+        { id: 'ai_1', type: 'message', content: [{ type: 'text', text: 'Partial answer' }] },
+        { id: 'ai_2', type: 'message', content: [] },
+      ],
+    },
+  });
+
+  assert.deepEqual(getMessages(), ['ai: Partial answer']);
+});
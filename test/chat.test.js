@@ -0,0 +1,56 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { ChatUI } from '../core/chat.js';
+
+const { window } = new JSDOM('', { url: 'http://localhost/' });
+globalThis.document = window.document;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <div id="chat-messages"></div>
+    <input id="chat-input">
+    <button class="send-button"></button>
+  `;
+});
+
+test('ChatUI appends streamed deltas as text and renders the Markdown once finished', () => {
+  const chatUI = new ChatUI(() => {}, { markdown: true });
+  const messageElement = chatUI.streamMessage('ai_1', '**Sunny**');
+  const textDiv = messageElement.querySelector('.message-text');
+  const firstDelta = textDiv.lastChild;
+
+  chatUI.streamMessage('ai_1', ' today');
+
+  assert.equal(textDiv.lastChild.textContent, ' today');
+  assert.equal(firstDelta.parentNode, textDiv, 'earlier text is not replaced');
+  assert.equal(textDiv.textContent, '**Sunny** today');
+  assert.equal(chatUI.getText(messageElement), '**Sunny** today');
+
+  chatUI.finishMessage('ai_1');
+
+  assert.equal(textDiv.innerHTML, '<p><strong>Sunny</strong> today</p>');
+  assert.equal(chatUI.isStreaming('ai_1'), false);
+});
+
+test('ChatUI keeps the streamed text of a plain message it finishes with the same text', () => {
+  const chatUI = new ChatUI(() => {});
+  const messageElement = chatUI.streamMessage('ai_1', 'Hello');
+  const textNode = messageElement.querySelector('.message-text').firstChild;
+
+  chatUI.finishMessage('ai_1', 'Hello');
+
+  assert.equal(messageElement.querySelector('.message-text').firstChild, textNode);
+});
+
+test('ChatUI finishes streaming messages and drops empty ones when the connection drops', () => {
+  const chatUI = new ChatUI(() => {}, { markdown: true });
+  chatUI.streamMessage('ai_1', '- item');
+  chatUI.streamMessage('ai_2', '');
+
+  chatUI.finishStreaming();
+
+  assert.equal(chatUI.getMessage('ai_1').querySelector('.message-text').innerHTML, '<ul><li>item</li></ul>');
+  assert.equal(chatUI.getMessage('ai_2'), undefined);
+  assert.equal(document.querySelectorAll('.message').length, 1);
+});
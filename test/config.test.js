@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BASE_CONFIG, extendConfig } from '../core/config.js';
+
+test('extendConfig merges sections and keeps the shared defaults', () => {
+  const config = extendConfig({ API: { VOICE: 'coral' }, TOOLS: { TIMEOUT_MS: 1000 } });
+  assert.equal(config.API.VOICE, 'coral');
+  assert.equal(config.API.MODEL, BASE_CONFIG.API.MODEL);
+  assert.deepEqual(config.API.TURN_DETECTION, BASE_CONFIG.API.TURN_DETECTION);
+  assert.deepEqual(config.TOOLS, { TIMEOUT_MS: 1000 });
+  assert.equal(BASE_CONFIG.API.VOICE, 'verse');
+});
+
+test('extendConfig replaces arrays instead of merging them', () => {
+  const base = { LIST: [1, 2, 3] };
+  assert.deepEqual(extendConfig({ LIST: [4] }, base).LIST, [4]);
+});
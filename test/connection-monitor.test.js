@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectionMonitor } from '../core/connection-monitor.js';
+
+/**
+ * A stats sample with the given metrics, the others unknown
+ *
+ * @param {Object} [metrics]
+ * @returns {Object} The sample
+ */
+function createSample({ rttMs = null, inJitterMs = null, outJitterMs = null, inLoss = null, outLoss = null } = {}) {
+  return {
+    rttMs,
+    inbound: { jitterMs: inJitterMs, packetLossPercent: inLoss, bitrateKbps: null },
+    outbound: { jitterMs: outJitterMs, packetLossPercent: outLoss, bitrateKbps: null },
+  };
+}
+
+/**
+ * A peer connection whose getStats() returns the next of the given reports
+ *
+ * @param {Array<Array<Object>>} reports - The stats of each sample
+ */
+function createPeerConnection(reports) {
+  return {
+    addEventListener() {},
+    getStats: async () => new Map(reports.shift().map((stats) => [stats.id, stats])),
+  };
+}
+
+test('rate rates each metric against the fair and poor thresholds', () => {
+  const monitor = new ConnectionMonitor();
+
+  assert.deepEqual(monitor.rate(createSample()), { quality: 'good', issues: [] });
+  assert.deepEqual(monitor.rate(createSample({ rttMs: 300, inJitterMs: 30, inLoss: 2 })), { quality: 'good', issues: [] });
+  assert.deepEqual(monitor.rate(createSample({ rttMs: 301 })), { quality: 'fair', issues: ['round trip time 301 ms'] });
+  assert.deepEqual(monitor.rate(createSample({ outJitterMs: 61 })), { quality: 'poor', issues: ['outgoing jitter 61 ms'] });
+  assert.deepEqual(monitor.rate(createSample({ inLoss: 8.5 })), { quality: 'poor', issues: ['incoming packet loss 8.5%'] });
+});
+
+test('rate takes the worst metric in either direction', () => {
+  const monitor = new ConnectionMonitor();
+  const { quality, issues } = monitor.rate(createSample({ rttMs: 100, inJitterMs: 40, outLoss: 10 }));
+
+  assert.equal(quality, 'poor');
+  assert.deepEqual(issues, ['incoming jitter 40 ms', 'outgoing packet loss 10%']);
+});
+
+test('rate uses threshold overrides', () => {
+  const monitor = new ConnectionMonitor({ thresholds: { rttMs: { fair: 50, poor: 100 } } });
+  assert.equal(monitor.rate(createSample({ rttMs: 150 })).quality, 'poor');
+});
+
+test('sample computes the metrics from getStats and warns when the quality degrades', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const warnings = [];
+  const monitor = new ConnectionMonitor({ onWarning: (sample) => warnings.push(sample.quality) });
+  const stats = (packetsLost, packetsReceived, rtt) => [
+    { id: 'transport', type: 'transport', selectedCandidatePairId: 'pair' },
+    { id: 'pair', type: 'candidate-pair', currentRoundTripTime: rtt },
+    { id: 'in', type: 'inbound-rtp', kind: 'audio', jitter: 0.01, packetsLost, packetsReceived, bytesReceived: 0, timestamp: 0 },
+  ];
+  monitor.peerConnection = createPeerConnection([stats(0, 0, 0.05), stats(10, 90, 0.05), stats(10, 190, 0.4)]);
+
+  await monitor.sample();
+  await monitor.sample();
+  await monitor.sample();
+
+  const samples = monitor.getHistory();
+  assert.deepEqual(samples.map((sample) => [sample.rttMs, sample.inbound.jitterMs, sample.inbound.packetLossPercent, sample.quality]), [
+    [50, 10, null, 'good'],
+    [50, 10, 10, 'poor'],
+    [400, 10, 0, 'fair'],
+  ]);
+  assert.deepEqual(warnings, ['poor']);
+});
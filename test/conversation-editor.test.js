@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RealtimeClient } from '../core/realtime-client.js';
+import { ConversationEditor } from '../core/conversation-editor.js';
+
+/**
+ * A connected client whose data channel records the events sent
+ *
+ * @returns {{ client: RealtimeClient, sent: Array<Object> }}
+ */
+function createConnectedClient() {
+  const client = new RealtimeClient({ serverUrl: 'http://auth.test', model: 'test-model', voice: 'verse' });
+  const sent = [];
+  client.isConnected = true;
+  client.dataChannel = { readyState: 'open', send: (json) => sent.push(JSON.parse(json)) };
+  return { client, sent };
+}
+
+/**
+ * An editor that has seen the given items created, in order
+ *
+ * @param {Array<string>} itemIds - The item ids
+ */
+function createEditor(itemIds) {
+  const { client, sent } = createConnectedClient();
+  const editor = new ConversationEditor({ client });
+  let previousItemId = null;
+  for (const id of itemIds) {
+    client.emit('conversation.item.created', { previous_item_id: previousItemId, item: { id } });
+    previousItemId = id;
+  }
+  return { client, editor, sent };
+}
+
+test('ConversationEditor tracks items in conversation order, once each', () => {
+  const { client, editor } = createEditor(['a', 'c']);
+  client.emit('conversation.item.created', { previous_item_id: 'a', item: { id: 'b' } });
+  client.emit('conversation.item.created', { previous_item_id: null, item: { id: 'a' } });
+
+  assert.deepEqual(editor.itemIds, ['a', 'b', 'c']);
+  assert.deepEqual(editor.getItemsFrom('b'), ['b', 'c']);
+  assert.deepEqual(editor.getItemsFrom('unknown'), []);
+});
+
+test('deleteFrom sends a delete for the item and every item after it', () => {
+  const { editor, sent } = createEditor(['a', 'b', 'c']);
+
+  assert.equal(editor.deleteFrom('b'), true);
+  assert.deepEqual(sent, [
+    { type: 'conversation.item.delete', item_id: 'b' },
+    { type: 'conversation.item.delete', item_id: 'c' },
+  ]);
+  // The items stay tracked until the server confirms the deletion
+  assert.deepEqual(editor.itemIds, ['a', 'b', 'c']);
+  assert.equal(editor.deleteFrom('unknown'), false);
+});
+
+test('the server confirming a deletion removes the item', () => {
+  const { client, editor } = createEditor(['a', 'b', 'c']);
+  client.emit('conversation.item.deleted', { item_id: 'b' });
+
+  assert.deepEqual(editor.itemIds, ['a', 'c']);
+});
+
+test('editMessage replaces the message and the items after it with a new message', () => {
+  const { editor, sent } = createEditor(['user_1', 'ai_1']);
+  const newItemId = editor.editMessage('user_1', 'Edited question');
+
+  assert.match(newItemId, /^msg_[0-9a-f]{28}$/);
+  assert.deepEqual(sent, [
+    { type: 'conversation.item.delete', item_id: 'user_1' },
+    { type: 'conversation.item.delete', item_id: 'ai_1' },
+    {
+      type: 'conversation.item.create',
+      item: { id: newItemId, type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Edited question' }] },
+    },
+  ]);
+});
+
+test('edits fail without sending when the client is not connected', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { client, editor } = createEditor(['user_1']);
+  client.dataChannel.readyState = 'closed';
+
+  assert.equal(editor.deleteFrom('user_1'), false);
+  assert.equal(editor.editMessage('user_1', 'Edited'), null);
+});
+
+test('a dropped connection forgets the tracked items', () => {
+  const { client, editor } = createEditor(['a', 'b']);
+  client.emit('connection.lost', {});
+
+  assert.deepEqual(editor.itemIds, []);
+});
@@ -0,0 +1,127 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../core/event-emitter.js';
+import { ConversationLog } from '../core/conversation-log.js';
+import { toSRT, toWebVTT } from '../core/conversation-export.js';
+
+const realNow = Date.now;
+let now;
+
+/**
+ * Emit a server event at a point in time
+ *
+ * @param {EventEmitter} client - The fake client
+ * @param {number} time - The wall-clock time, in ms
+ * @param {string} type - The event type
+ * @param {Object} [event] - The event fields
+ */
+function emitAt(client, time, type, event = {}) {
+  now = time;
+  client.emit(type, { type, ...event });
+}
+
+/**
+ * Record a session with a spoken question, a typed message and a spoken reply
+ *
+ * @returns {ConversationLog} The log, started at 1000
+ */
+function recordConversation() {
+  const client = new EventEmitter();
+  const log = new ConversationLog({ client });
+  now = 1000;
+  log.start();
+
+  emitAt(client, 2000, 'input_audio_buffer.speech_started', { item_id: 'user_1' });
+  emitAt(client, 4500, 'input_audio_buffer.speech_stopped', { item_id: 'user_1' });
+  const userItem = { id: 'user_1', type: 'message', role: 'user', content: [{ type: 'input_audio' }] };
+  emitAt(client, 4600, 'conversation.item.created', { item: userItem });
+  emitAt(client, 5000, 'conversation.item.input_audio_transcription.completed', { item_id: 'user_1', transcript: ' Is it <windy>? ' });
+
+  const typedItem = { id: 'user_2', type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Typed, not spoken' }] };
+  emitAt(client, 5100, 'conversation.item.created', { item: typedItem });
+
+  emitAt(client, 5200, 'conversation.item.created', { item: { id: 'ai_1', type: 'message', role: 'assistant', content: [] } });
+  emitAt(client, 5300, 'response.content_part.added', { response_id: 'resp_1', item_id: 'ai_1', part: { type: 'audio' } });
+  emitAt(client, 6000, 'output_audio_buffer.started', { response_id: 'resp_1' });
+  emitAt(client, 6500, 'response.audio_transcript.done', { item_id: 'ai_1', transcript: 'Yes, bring a jacket & a hat.' });
+  emitAt(client, 9250, 'output_audio_buffer.stopped', { response_id: 'resp_1' });
+
+  // Replayed after reconnecting: recorded only once
+  emitAt(client, 9500, 'conversation.item.created', { item: userItem });
+  return log;
+}
+
+beforeEach(() => {
+  Date.now = () => now;
+});
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('ConversationLog records messages once, timed by speech and playback', () => {
+  const entries = recordConversation().getEntries();
+
+  assert.deepEqual(entries.map(({ id, source, text, startedAt, endedAt }) => ({ id, source, text, startedAt, endedAt })), [
+    { id: 'user_1', source: 'voice', text: 'Is it <windy>?', startedAt: 2000, endedAt: 4500 },
+    { id: 'user_2', source: 'text', text: 'Typed, not spoken', startedAt: 5100, endedAt: null },
+    { id: 'ai_1', source: 'voice', text: 'Yes, bring a jacket & a hat.', startedAt: 6000, endedAt: 9250 },
+  ]);
+});
+
+test('toSRT captions the spoken messages from the session start', () => {
+  assert.equal(toSRT(recordConversation()), [
+    '1',
+    '00:00:01,000 --> 00:00:03,500',
+    'User: Is it <windy>?',
+    '',
+    '2',
+    '00:00:05,000 --> 00:00:08,250',
+    'AI: Yes, bring a jacket & a hat.',
+    '',
+  ].join('\n'));
+});
+
+test('toWebVTT tags speakers and escapes cue text', () => {
+  assert.equal(toWebVTT(recordConversation()), [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.500',
+    '<v User>Is it &lt;windy&gt;?',
+    '',
+    '00:00:05.000 --> 00:00:08.250',
+    '<v AI>Yes, bring a jacket &amp; a hat.',
+    '',
+  ].join('\n'));
+});
+
+test('toSRT aligns captions with a recording clock and skips messages before it', () => {
+  const clock = (timestamp) => (timestamp < 3000 ? null : timestamp - 3000);
+
+  assert.equal(toSRT(recordConversation(), { clock }), [
+    '1',
+    '00:00:03,000 --> 00:00:06,250',
+    'AI: Yes, bring a jacket & a hat.',
+    '',
+  ].join('\n'));
+});
+
+test('a transcription without a transcript is recorded as empty and left out of the captions', () => {
+  const client = new EventEmitter();
+  const log = new ConversationLog({ client });
+  now = 1000;
+  log.start();
+
+  const userItem = { id: 'user_1', type: 'message', role: 'user', content: [{ type: 'input_audio' }] };
+  emitAt(client, 2000, 'conversation.item.created', { item: userItem });
+  emitAt(client, 3000, 'conversation.item.input_audio_transcription.completed', { item_id: 'user_1' });
+  const aiItem = { id: 'ai_1', type: 'message', role: 'assistant', content: [{ type: 'audio' }] };
+  emitAt(client, 3100, 'conversation.item.created', { item: aiItem });
+  emitAt(client, 3200, 'response.audio_transcript.done', { item_id: 'ai_1' });
+
+  assert.deepEqual(log.getEntries().map(({ id, text }) => ({ id, text })), [
+    { id: 'user_1', text: '' },
+    { id: 'ai_1', text: '' },
+  ]);
+  assert.equal(toWebVTT(log), 'WEBVTT\n');
+  assert.equal(toSRT(log), '');
+});
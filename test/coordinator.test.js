@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerTool } from '../05-function-calling/src/tools/registry.js';
+import { ToolCoordinator } from '../05-function-calling/src/tools/coordinator.js';
+import { CONFIG } from '../05-function-calling/src/config.js';
+
+registerTool({
+  name: 'echo',
+  description: 'Returns its arguments',
+  handler: async (args) => args,
+  instructions: 'Read the echo back.',
+});
+
+// Waits until aborted, to cancel mid-call
+registerTool({
+  name: 'hang',
+  description: 'Never finishes on its own',
+  handler: (args, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }),
+});
+
+/**
+ * A response that calls each tool once
+ *
+ * @param {Array<string>} names - The tool names
+ * @returns {Object} The response of a `response.done` event
+ */
+function callTools(...names) {
+  return {
+    modalities: ['text'],
+    output: names.map((name, i) => ({
+      type: 'function_call',
+      name,
+      call_id: `call_${i}`,
+      arguments: JSON.stringify({ index: i }),
+    })),
+  };
+}
+
+function createCoordinator(options = {}) {
+  const sent = [];
+  const coordinator = new ToolCoordinator({
+    sendEvent: (event) => sent.push(event),
+    getInstructions: () => 'Default instructions',
+    ...options,
+  });
+  return { coordinator, sent };
+}
+
+test('a batch of calls returns every output and requests one follow-up', async () => {
+  const { coordinator, sent } = createCoordinator();
+  await coordinator.handleResponse(callTools('echo', 'echo'));
+
+  assert.deepEqual(sent.map((event) => event.type), [
+    'conversation.item.create',
+    'conversation.item.create',
+    'response.create',
+  ]);
+  assert.deepEqual(sent.slice(0, 2).map((event) => event.item), [
+    { type: 'function_call_output', call_id: 'call_0', output: JSON.stringify({ index: 0 }) },
+    { type: 'function_call_output', call_id: 'call_1', output: JSON.stringify({ index: 1 }) },
+  ]);
+  assert.deepEqual(sent[2].response, { modalities: ['text'], instructions: 'Read the echo back.' });
+});
+
+test('failed calls are returned as structured errors for the model to explain', async () => {
+  const { coordinator, sent } = createCoordinator();
+  await coordinator.handleResponse(callTools('missing'));
+
+  assert.equal(JSON.parse(sent[0].item.output).error.code, 'unknown_tool');
+  assert.equal(sent[1].response.instructions, CONFIG.DEFAULTS.TOOL_ERROR_INSTRUCTIONS);
+});
+
+test('the chain stops calling tools at the maximum depth', async () => {
+  const { coordinator, sent } = createCoordinator({ maxDepth: 2 });
+  const followUps = () => sent.filter((event) => event.type === 'response.create');
+
+  await coordinator.handleResponse(callTools('echo'));
+  assert.equal(followUps()[0].response.tool_choice, undefined);
+
+  await coordinator.handleResponse(callTools('echo'));
+  assert.equal(followUps()[1].response.tool_choice, 'none');
+  assert.equal(coordinator.depth, 0);
+});
+
+test('a response without calls ends the chain', async () => {
+  const { coordinator, sent } = createCoordinator({ maxDepth: 2 });
+  await coordinator.handleResponse(callTools('echo'));
+  await coordinator.handleResponse({ output: [{ type: 'message' }] });
+  await coordinator.handleResponse(callTools('echo'));
+
+  assert.equal(sent.at(-1).response.tool_choice, undefined);
+});
+
+test('an interruption cancels the calls and skips the follow-up', async () => {
+  const ended = [];
+  const { coordinator, sent } = createCoordinator({ onCallEnd: (result) => ended.push(result) });
+  const handled = coordinator.handleResponse(callTools('hang'));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  coordinator.cancel('The user interrupted.');
+  await handled;
+
+  assert.deepEqual(sent.map((event) => event.type), ['conversation.item.create']);
+  assert.equal(JSON.parse(sent[0].item.output).error.code, 'cancelled');
+  assert.equal(ended[0].failed, true);
+  assert.equal(coordinator.depth, 0);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../core/event-emitter.js';
+
+test('listeners receive events by exact type and wildcard pattern', () => {
+  const emitter = new EventEmitter();
+  const received = [];
+  emitter.on('response.done', (event) => received.push(['exact', event.type]));
+  emitter.on('response.*', (event) => received.push(['response.*', event.type]));
+  emitter.on('*', (event) => received.push(['*', event.type]));
+
+  emitter.emit('response.done', { type: 'response.done' });
+  emitter.emit('responses.other', { type: 'responses.other' });
+  emitter.emit('session.created', { type: 'session.created' });
+
+  assert.deepEqual(received, [
+    ['exact', 'response.done'],
+    ['response.*', 'response.done'],
+    ['*', 'response.done'],
+    ['*', 'responses.other'],
+    ['*', 'session.created'],
+  ]);
+});
+
+test('off and the unsubscribe function remove a listener', () => {
+  const emitter = new EventEmitter();
+  let calls = 0;
+  const listener = () => calls++;
+  const unsubscribe = emitter.on('a', listener);
+  emitter.on('b', listener);
+
+  unsubscribe();
+  emitter.off('b', listener);
+  emitter.emit('a', {});
+  emitter.emit('b', {});
+
+  assert.equal(calls, 0);
+  assert.equal(emitter.listeners.size, 0);
+});
+
+test('once listens to the next matching event only', () => {
+  const emitter = new EventEmitter();
+  const received = [];
+  emitter.once('response.*', (event) => received.push(event.id));
+
+  emitter.emit('session.updated', { id: 0 });
+  emitter.emit('response.created', { id: 1 });
+  emitter.emit('response.done', { id: 2 });
+
+  assert.deepEqual(received, [1]);
+});
+
+test('a failing listener does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const emitter = new EventEmitter();
+  let called = false;
+  emitter.on('event', () => {
+    throw new Error('broken listener');
+  });
+  emitter.on('*', () => {
+    called = true;
+  });
+
+  emitter.emit('event', {});
+
+  assert.equal(called, true);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('waitFor resolves with the first event that passes the filter', async () => {
+  const emitter = new EventEmitter();
+  const waiting = emitter.waitFor('response.done', { filter: (event) => event.id === 2 });
+
+  emitter.emit('response.done', { id: 1 });
+  emitter.emit('response.done', { id: 2 });
+
+  assert.deepEqual(await waiting, { id: 2 });
+  assert.equal(emitter.listeners.size, 0);
+});
+
+test('waitFor rejects when the timeout passes', async () => {
+  const emitter = new EventEmitter();
+  await assert.rejects(emitter.waitFor('session.created', { timeoutMs: 10 }), /Timed out waiting for session.created/);
+  assert.equal(emitter.listeners.size, 0);
+});
+
+test('waitFor rejects with the abort reason', async () => {
+  const emitter = new EventEmitter();
+  const controller = new AbortController();
+  const waiting = emitter.waitFor('session.created', { signal: controller.signal, timeoutMs: 1000 });
+
+  controller.abort(new Error('closed'));
+  await assert.rejects(waiting, /closed/);
+  assert.equal(emitter.listeners.size, 0);
+
+  await assert.rejects(emitter.waitFor('session.created', { signal: controller.signal }), /closed/);
+});
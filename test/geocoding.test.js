@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLocation } from '../05-function-calling/src/tools/geocoding.js';
+import { clearCache } from '../05-function-calling/src/tools/cache.js';
+
+const SPRINGFIELDS = [
+  { id: 1, name: 'Springfield', admin1: 'Illinois', country: 'United States', country_code: 'US', population: 114000, latitude: 39.8, longitude: -89.6 },
+  { id: 2, name: 'Springfield', admin1: 'Missouri', country: 'United States', country_code: 'US', population: 169000, latitude: 37.2, longitude: -93.3 },
+  { id: 3, name: 'Springfield', admin1: 'Tasmania', country: 'Australia', country_code: 'AU', population: 1000, latitude: -41.2, longitude: 147.4 },
+];
+
+/**
+ * Answer geocoding requests with fixed results
+ *
+ * @param {Array<Object>} results - The places the search returns
+ */
+function mockGeocoding(results) {
+  globalThis.fetch = async () => ({ ok: true, json: async () => ({ results }) });
+}
+
+beforeEach(() => clearCache());
+
+test('resolveLocation returns the candidates when several places match', async () => {
+  mockGeocoding(SPRINGFIELDS);
+  const { candidates } = await resolveLocation({ locationName: 'Springfield' });
+  assert.deepEqual(candidates.map((candidate) => candidate.label), [
+    'Springfield, Illinois, United States',
+    'Springfield, Missouri, United States',
+    'Springfield, Tasmania, Australia',
+  ]);
+});
+
+test('resolveLocation narrows the matches with country and region hints', async () => {
+  mockGeocoding(SPRINGFIELDS);
+  const { location } = await resolveLocation({ locationName: 'Springfield', country: 'au' });
+  assert.equal(location.id, 3);
+
+  const { location: missouri } = await resolveLocation({ locationName: 'Springfield', region: 'missouri' });
+  assert.equal(missouri.label, 'Springfield, Missouri, United States');
+});
+
+test('resolveLocation picks a place far more populous than the others', async () => {
+  mockGeocoding([
+    { id: 10, name: 'Paris', country: 'France', country_code: 'FR', population: 2100000, latitude: 48.9, longitude: 2.3 },
+    { id: 11, name: 'Paris', admin1: 'Texas', country: 'United States', country_code: 'US', population: 25000, latitude: 33.7, longitude: -95.6 },
+  ]);
+  const { location } = await resolveLocation({ locationName: 'Paris' });
+  assert.equal(location.id, 10);
+});
+
+test('resolveLocation reports a location that matches no place', async () => {
+  mockGeocoding(SPRINGFIELDS);
+  await assert.rejects(
+    resolveLocation({ locationName: 'Springfield', country: 'Canada' }),
+    { code: 'location_not_found', message: 'No location named "Springfield" in Canada was found.' }
+  );
+});
+
+test('resolveLocation rejects a blank location name without searching', async () => {
+  let fetched = false;
+  globalThis.fetch = async () => {
+    fetched = true;
+  };
+  await assert.rejects(resolveLocation({ locationName: '   ' }), { code: 'invalid_arguments' });
+  assert.equal(fetched, false);
+});
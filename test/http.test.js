@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchJSON } from '../05-function-calling/src/tools/http.js';
+import { clearCache } from '../05-function-calling/src/tools/cache.js';
+import { ToolError } from '../05-function-calling/src/tools/toolError.js';
+
+beforeEach(() => clearCache());
+
+test('fetchJSON reports 4xx responses as not_found', async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found' });
+  await assert.rejects(
+    fetchJSON('https://example.com/missing', { service: 'test' }),
+    (error) => error instanceof ToolError && error.code === 'not_found'
+  );
+});
+
+test('fetchJSON with an aborted signal does not start the cached request', async () => {
+  let fetches = 0;
+  globalThis.fetch = async () => {
+    fetches++;
+    throw new TypeError('Failed to fetch');
+  };
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    fetchJSON('https://example.com/data', { signal: controller.signal, ttlMs: 1000 }),
+    (error) => error.name === 'AbortError'
+  );
+  assert.equal(fetches, 0);
+});
+
+test('fetchJSON stops waiting when aborted, and the shared request fills the cache', async () => {
+  let fetches = 0;
+  let respond;
+  globalThis.fetch = () => {
+    fetches++;
+    return new Promise((resolve) => { respond = resolve; });
+  };
+  const controller = new AbortController();
+
+  const aborted = fetchJSON('https://example.com/data', { signal: controller.signal, ttlMs: 1000 });
+  controller.abort();
+  await assert.rejects(aborted, (error) => error.name === 'AbortError');
+
+  respond({ ok: true, json: async () => ({ value: 1 }) });
+  assert.deepEqual(await fetchJSON('https://example.com/data', { ttlMs: 1000 }), { value: 1 });
+  assert.equal(fetches, 1);
+});
+
+test('an abandoned shared request that fails is not an unhandled rejection', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  let fail;
+  globalThis.fetch = () => new Promise((resolve, reject) => { fail = reject; });
+  const controller = new AbortController();
+  const aborted = fetchJSON('https://example.com/flaky', { signal: controller.signal, ttlMs: 1000 });
+  controller.abort();
+  await assert.rejects(aborted);
+
+  fail(new TypeError('Failed to fetch'));
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  process.off('unhandledRejection', onUnhandled);
+  assert.deepEqual(unhandled, []);
+});
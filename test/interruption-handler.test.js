@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../core/event-emitter.js';
+import { InterruptionHandler } from '../core/interruption-handler.js';
+
+/**
+ * A client that records the events sent to it
+ *
+ * @param {Object} [audioElement] - The AI audio element, with its currentTime in seconds
+ * @returns {EventEmitter} The client, with the sent events in `sent`
+ */
+function createClient(audioElement = null) {
+  const client = new EventEmitter();
+  client.audioElement = audioElement;
+  client.sent = [];
+  client.send = (event) => client.sent.push(event);
+  return client;
+}
+
+/**
+ * Play the audio of a response until the user starts talking
+ *
+ * @param {EventEmitter} client - The client from createClient
+ */
+function playResponse(client) {
+  client.emit('response.created', { response: { id: 'resp_1' } });
+  client.emit('response.content_part.added', { response_id: 'resp_1', item_id: 'item_1', part: { type: 'audio' } });
+  client.emit('output_audio_buffer.started', { response_id: 'resp_1' });
+}
+
+test('InterruptionHandler truncates the item at the audio played', () => {
+  const audioElement = { currentTime: 2 };
+  const client = createClient(audioElement);
+  const truncated = [];
+  new InterruptionHandler({ client, onTruncate: (event) => truncated.push(event) });
+
+  playResponse(client);
+  audioElement.currentTime = 3.25;
+  client.emit('input_audio_buffer.speech_started', {});
+
+  assert.deepEqual(client.sent, [
+    { type: 'response.cancel' },
+    { type: 'output_audio_buffer.clear' },
+    { type: 'conversation.item.truncate', item_id: 'item_1', content_index: 0, audio_end_ms: 1250 },
+  ]);
+  assert.deepEqual(truncated, [{ itemId: 'item_1', audioEndMs: 1250 }]);
+});
+
+test('InterruptionHandler skips the truncate without a playback position', () => {
+  const client = createClient();
+  new InterruptionHandler({ client });
+
+  playResponse(client);
+  client.emit('input_audio_buffer.speech_started', {});
+
+  assert.deepEqual(client.sent.map((event) => event.type), ['response.cancel', 'output_audio_buffer.clear']);
+});
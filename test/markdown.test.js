@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { renderMarkdown } from '../core/markdown.js';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+
+/**
+ * Render Markdown and serialize the result
+ *
+ * @param {string} text - The Markdown text
+ * @returns {string} The rendered HTML
+ */
+function render(text) {
+  const container = document.createElement('div');
+  container.appendChild(renderMarkdown(text));
+  return container.innerHTML;
+}
+
+test('renderMarkdown renders blocks', () => {
+  assert.equal(render('# Title\n\nFirst line\nsecond line'), '<h3>Title</h3><p>First line<br>second line</p>');
+  assert.equal(render('3. Three\n4. Four\n   more'), '<ol start="3"><li>Three</li><li>Four<br>more</li></ol>');
+  assert.equal(render('- One\n* Two'), '<ul><li>One</li><li>Two</li></ul>');
+  assert.equal(render('> Quoted\n> text'), '<blockquote><p>Quoted<br>text</p></blockquote>');
+  assert.equal(render('Above\n\n---\n\nBelow'), '<p>Above</p><hr><p>Below</p>');
+});
+
+test('renderMarkdown renders inline code, emphasis and links', () => {
+  assert.equal(
+    render('Use `npm test`, **really** and _now_: [docs](https://example.com/a)'),
+    '<p>Use <code>npm test</code>, <strong>really</strong> and <em>now</em>: '
+      + '<a href="https://example.com/a" target="_blank" rel="noopener noreferrer">docs</a></p>'
+  );
+  assert.equal(
+    render('See https://example.com/path.'),
+    '<p>See <a href="https://example.com/path" target="_blank" rel="noopener noreferrer">https://example.com/path</a>.</p>'
+  );
+  assert.equal(render('snake_case_name stays'), '<p>snake_case_name stays</p>');
+});
+
+test('renderMarkdown never interprets HTML or unsafe links', () => {
+  assert.equal(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  assert.equal(render('[click](javascript:void)'), '<p>click</p>');
+  assert.equal(render('[mail](mailto:a@example.com)'), '<p><a href="mailto:a@example.com" target="_blank" rel="noopener noreferrer">mail</a></p>');
+});
+
+test('renderMarkdown highlights fenced code and runs an open fence to the end', () => {
+  const block = renderMarkdown('```js\nconst answer = 42; // The answer').firstChild;
+
+  assert.equal(block.className, 'code-block');
+  assert.equal(block.querySelector('.code-header span').textContent, 'js');
+  assert.equal(block.querySelector('.copy-code-button').textContent, 'Copy');
+  assert.deepEqual(
+    [...block.querySelectorAll('code span')].map((span) => `${span.className}:${span.textContent}`),
+    ['token-keyword:const', 'token-number:42', 'token-comment:// The answer']
+  );
+  assert.equal(block.querySelector('code').textContent, 'const answer = 42; // The answer');
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PersonaLibrary } from '../core/persona-library.js';
+
+const GUIDE = {
+  id: 'weather-guide',
+  name: 'Weather Guide',
+  instructions: 'You are a weather guide.',
+  voice: 'coral',
+  temperature: 0.7,
+  tools: ['getWeatherData'],
+};
+
+// In-memory stand-in for the browser's localStorage
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+};
+
+beforeEach(() => storage.clear());
+
+test('PersonaLibrary rejects personas with missing or invalid fields', () => {
+  const library = new PersonaLibrary({ builtIn: [GUIDE] });
+  const invalid = [
+    [{ ...GUIDE, name: '  ' }, /Every persona needs a name/],
+    [{ ...GUIDE, instructions: '' }, /instructions must be a non-empty string/],
+    [{ ...GUIDE, welcomeInstructions: 42 }, /welcomeInstructions must be a string/],
+    [{ ...GUIDE, voice: undefined }, /voice must be a string/],
+    [{ ...GUIDE, temperature: 2 }, /temperature must be a number from 0.6 to 1.2/],
+    [{ ...GUIDE, temperature: NaN }, /temperature must be a number/],
+    [{ ...GUIDE, tools: ['getWeatherData', 1] }, /tools must be a list of tool names/],
+  ];
+  for (const [persona, message] of invalid) {
+    assert.throws(() => library.save(persona), message);
+  }
+  assert.equal(library.list().length, 1);
+});
+
+test('PersonaLibrary rejects voices it was not given', () => {
+  const library = new PersonaLibrary({ builtIn: [GUIDE], voices: ['coral', 'sage'] });
+
+  assert.throws(() => library.save({ ...GUIDE, voice: 'corall' }), /Persona "Weather Guide": voice "corall" is not one of coral, sage/);
+  const json = JSON.stringify({ version: 1, personas: [{ ...GUIDE, voice: 'sage' }, { ...GUIDE, voice: 'nova' }] });
+  assert.throws(() => library.importJSON(json), /voice "nova" is not one of coral, sage/);
+  assert.equal(library.list().length, 1);
+  assert.equal(library.save({ ...GUIDE, voice: 'sage' }).voice, 'sage');
+});
+
+test('PersonaLibrary saves personas under ids derived from their names', () => {
+  const library = new PersonaLibrary({ builtIn: [GUIDE] });
+  const saved = library.save({ ...GUIDE, id: undefined });
+
+  assert.equal(saved.id, 'weather-guide-2');
+  assert.equal(saved.welcomeInstructions, '');
+  assert.equal(new PersonaLibrary({ builtIn: [GUIDE] }).get('weather-guide-2').name, 'Weather Guide');
+});
+
+test('PersonaLibrary imports nothing when any persona in the file is invalid', () => {
+  const library = new PersonaLibrary({ builtIn: [] });
+  const json = JSON.stringify({ version: 1, personas: [GUIDE, { ...GUIDE, name: 'Broken', tools: 'all' }] });
+
+  assert.throws(() => library.importJSON(json), /Persona "Broken": tools must be a list of tool names/);
+  assert.equal(library.list().length, 0);
+  assert.throws(() => library.importJSON('{'), /not valid JSON/);
+  assert.throws(() => library.importJSON('{"version":2,"personas":[{}]}'), /Unsupported persona file version 2/);
+});
+
+test('PersonaLibrary round-trips its export', () => {
+  const library = new PersonaLibrary({ builtIn: [GUIDE] });
+  const [imported] = library.importJSON(library.exportJSON(library.list()));
+
+  assert.equal(imported.id, 'weather-guide-2');
+  assert.equal(imported.builtIn, undefined);
+  assert.deepEqual(imported.tools, GUIDE.tools);
+});
+
+test('PersonaLibrary skips stored personas that are no longer valid', () => {
+  storage.set('realtime-personas', JSON.stringify([{ ...GUIDE, id: 'kept' }, { ...GUIDE, id: 'dropped', temperature: 0.1 }]));
+  const library = new PersonaLibrary({ builtIn: [] });
+
+  assert.deepEqual(library.list().map((persona) => persona.id), ['kept']);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { RealtimeClient } from '../core/realtime-client.js';
+import { PushToTalk } from '../core/push-to-talk.js';
+
+const { window } = new JSDOM('', { url: 'http://localhost/' });
+const TURN_DETECTION = { type: 'server_vad' };
+
+/**
+ * A connected client whose data channel records the events sent
+ *
+ * @returns {{ client: RealtimeClient, track: Object, sent: Array<Object> }}
+ */
+function createConnectedClient() {
+  const client = new RealtimeClient({ serverUrl: 'http://auth.test', model: 'test-model', voice: 'verse' });
+  const track = { enabled: true };
+  const sent = [];
+  client.isConnected = true;
+  client.mediaStream = { getAudioTracks: () => [track] };
+  client.dataChannel = { readyState: 'open', send: (json) => sent.push(JSON.parse(json)) };
+  return { client, track, sent };
+}
+
+/**
+ * Push-to-talk on a connected client, with time and timers under the test's control
+ *
+ * @param {TestContext} t - The test context
+ * @param {Object} [options] - PushToTalk options
+ */
+function setUp(t, options = {}) {
+  let now = 0;
+  t.mock.method(performance, 'now', () => now);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { client, track, sent } = createConnectedClient();
+  const pushToTalk = new PushToTalk({ client, turnDetection: TURN_DETECTION, enabled: true, ...options });
+  const advance = (ms) => {
+    now += ms;
+    t.mock.timers.tick(ms);
+  };
+  return { pushToTalk, client, track, sent, advance, types: () => sent.map((event) => event.type) };
+}
+
+const key = (type, init = {}) => new window.KeyboardEvent(type, { code: 'Space', bubbles: true, cancelable: true, ...init });
+
+test('holding to talk unmutes the microphone and the release commits the turn', (t) => {
+  const releases = [];
+  const { pushToTalk, track, advance, types } = setUp(t, { onRelease: (result) => releases.push(result) });
+
+  assert.equal(pushToTalk.press(), true);
+  assert.equal(track.enabled, true);
+  assert.deepEqual(types(), ['input_audio_buffer.clear']);
+
+  advance(500);
+  pushToTalk.release();
+  // Still capturing during the release delay
+  assert.equal(track.enabled, true);
+  advance(200);
+
+  assert.equal(track.enabled, false);
+  assert.deepEqual(types(), ['input_audio_buffer.clear', 'input_audio_buffer.commit', 'response.create']);
+  assert.deepEqual(releases, [{ committed: true }]);
+});
+
+test('a press shorter than minPressMs is discarded', (t) => {
+  const { pushToTalk, track, advance, types } = setUp(t);
+  pushToTalk.press();
+  advance(100);
+  pushToTalk.release();
+
+  assert.equal(track.enabled, false);
+  assert.deepEqual(types(), ['input_audio_buffer.clear', 'input_audio_buffer.clear']);
+});
+
+test('pressing again during the release delay continues the same turn', (t) => {
+  const { pushToTalk, advance, types } = setUp(t);
+  pushToTalk.press();
+  advance(500);
+  pushToTalk.release();
+  advance(100);
+  pushToTalk.press();
+  advance(500);
+  pushToTalk.release();
+  advance(200);
+
+  assert.deepEqual(types(), ['input_audio_buffer.clear', 'input_audio_buffer.commit', 'response.create']);
+});
+
+test('setEnabled mutes the microphone and switches the turn detection', (t) => {
+  const { pushToTalk, track, sent } = setUp(t, { enabled: false });
+  pushToTalk.setEnabled(true);
+  assert.equal(track.enabled, false);
+  pushToTalk.setEnabled(false);
+
+  assert.deepEqual(sent, [
+    { type: 'session.update', session: { turn_detection: null } },
+    { type: 'session.update', session: { turn_detection: TURN_DETECTION } },
+  ]);
+});
+
+test('bindKey ignores key repeats and other keys, and talks while the key is held', (t) => {
+  const { pushToTalk, track, advance, types } = setUp(t);
+  const unbind = pushToTalk.bindKey('Space', { target: window.document });
+  const body = window.document.body;
+
+  body.dispatchEvent(key('keydown', { code: 'KeyA' }));
+  assert.deepEqual(types(), []);
+
+  const keydown = key('keydown');
+  body.dispatchEvent(keydown);
+  assert.equal(keydown.defaultPrevented, true);
+  advance(300);
+  body.dispatchEvent(key('keydown', { repeat: true }));
+  body.dispatchEvent(key('keydown', { repeat: true }));
+  body.dispatchEvent(key('keyup'));
+  advance(200);
+
+  assert.equal(track.enabled, false);
+  assert.deepEqual(types(), ['input_audio_buffer.clear', 'input_audio_buffer.commit', 'response.create']);
+
+  unbind();
+  body.dispatchEvent(key('keydown'));
+  assert.equal(pushToTalk.isPressed, false);
+});
+
+test('bindKey leaves ignored keydowns alone', (t) => {
+  const { pushToTalk, types } = setUp(t);
+  const unbind = pushToTalk.bindKey('Space', { target: window.document, ignore: () => true });
+
+  const keydown = key('keydown');
+  window.document.body.dispatchEvent(keydown);
+
+  assert.equal(keydown.defaultPrevented, false);
+  assert.deepEqual(types(), []);
+  unbind();
+});
+
+test('losing focus while the key is held ends the turn', (t) => {
+  const { pushToTalk, track, advance, types } = setUp(t);
+  const unbind = pushToTalk.bindKey('Space', { target: window.document });
+
+  window.document.body.dispatchEvent(key('keydown'));
+  advance(500);
+  window.dispatchEvent(new window.FocusEvent('blur'));
+  advance(200);
+
+  assert.equal(pushToTalk.isPressed, false);
+  assert.equal(track.enabled, false);
+  assert.deepEqual(types(), ['input_audio_buffer.clear', 'input_audio_buffer.commit', 'response.create']);
+  unbind();
+});
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RealtimeClient } from '../core/realtime-client.js';
+
+// Minimal stand-ins for the browser APIs the connection setup uses
+class FakePeerConnection {
+  static created = 0;
+
+  constructor() {
+    FakePeerConnection.created += 1;
+    this.tracks = [];
+  }
+
+  addEventListener() {}
+  createDataChannel() {
+    return { close() {} };
+  }
+  addTrack(track) {
+    this.tracks.push(track);
+  }
+  close() {}
+}
+
+/**
+ * A fetch that resolves once the test calls the returned resolve function
+ *
+ * @returns {Function} Resolves the pending fetch with a response to the ephemeral key request
+ */
+function deferEphemeralKey() {
+  let resolve;
+  globalThis.fetch = () => new Promise((resolveFetch) => { resolve = resolveFetch; });
+  return () => resolve({ ok: true, json: async () => ({ client_secret: { value: 'ek_test' } }) });
+}
+
+function createClient() {
+  return new RealtimeClient({ serverUrl: 'http://auth.test', model: 'test-model', voice: 'verse' });
+}
+
+globalThis.RTCPeerConnection = FakePeerConnection;
+globalThis.document = {
+  createElement: () => ({ remove() {} }),
+  body: { appendChild() {} },
+};
+
+afterEach(() => {
+  FakePeerConnection.created = 0;
+});
+
+test('close() cancels a connection waiting for the ephemeral key', async () => {
+  const resolveKey = deferEphemeralKey();
+  const client = createClient();
+  const connecting = client.connect();
+
+  client.close();
+  resolveKey();
+
+  await assert.rejects(connecting, { name: 'AbortError' });
+  assert.equal(FakePeerConnection.created, 0);
+  assert.equal(client.isConnected, false);
+});
+
+test('close() releases a microphone granted after the connection was cancelled', async () => {
+  const resolveKey = deferEphemeralKey();
+  let grantMicrophone;
+  let stopped = false;
+  const track = { enabled: false, stop: () => { stopped = true; } };
+  Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    value: {
+      mediaDevices: {
+        getUserMedia: () => new Promise((resolve) => { grantMicrophone = resolve; }),
+      },
+    },
+  });
+  const client = createClient();
+  const connecting = client.connect();
+
+  resolveKey();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  client.close();
+  grantMicrophone({ getAudioTracks: () => [track], getTracks: () => [track] });
+
+  await assert.rejects(connecting, { name: 'AbortError' });
+  assert.equal(stopped, true);
+  assert.equal(client.mediaStream, null);
+});
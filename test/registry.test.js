@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerTool, dispatchToolCall, runWithTimeout } from '../05-function-calling/src/tools/registry.js';
+import { ToolError } from '../05-function-calling/src/tools/toolError.js';
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(signal.reason);
+  });
+});
+
+test('runWithTimeout resolves with the task result', async () => {
+  assert.equal(await runWithTimeout(async () => 42, 1000), 42);
+});
+
+test('runWithTimeout rejects with a timeout ToolError and aborts the task', async () => {
+  let taskSignal;
+  await assert.rejects(
+    runWithTimeout((signal) => {
+      taskSignal = signal;
+      return wait(1000, signal);
+    }, 10),
+    (error) => error instanceof ToolError && error.code === 'timeout'
+  );
+  assert.equal(taskSignal.aborted, true);
+});
+
+test('runWithTimeout rejects with cancelled when the parent signal aborts', async () => {
+  const controller = new AbortController();
+  const run = runWithTimeout((signal) => wait(1000, signal), 1000, controller.signal);
+  controller.abort();
+  await assert.rejects(run, (error) => error.code === 'cancelled');
+});
+
+test('runWithTimeout keeps the ToolError a parent signal aborts with', async () => {
+  const controller = new AbortController();
+  controller.abort(new ToolError('cancelled', 'The user interrupted.'));
+  await assert.rejects(
+    runWithTimeout(() => wait(1000), 1000, controller.signal),
+    { code: 'cancelled', message: 'The user interrupted.' }
+  );
+});
+
+test('dispatchToolCall rejects unknown tools with the available tool names', async () => {
+  registerTool({
+    name: 'testEcho',
+    description: 'Echoes its text',
+    parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    handler: ({ text }) => ({ text }),
+    instructions: 'Repeat the text.',
+  });
+
+  await assert.rejects(dispatchToolCall('missingTool', {}), (error) =>
+    error.code === 'unknown_tool' && error.details.availableTools.includes('testEcho')
+  );
+  assert.deepEqual(await dispatchToolCall('testEcho', { text: 'hi' }), {
+    result: { text: 'hi' },
+    instructions: 'Repeat the text.',
+  });
+  await assert.rejects(dispatchToolCall('testEcho', {}), { code: 'invalid_arguments' });
+});
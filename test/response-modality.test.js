@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getResponseModalities } from '../core/response-modality.js';
+
+test('auto replies the way the user asked', () => {
+  assert.deepEqual(getResponseModalities('auto', 'text'), ['text']);
+  assert.deepEqual(getResponseModalities('auto', 'voice'), ['audio', 'text']);
+});
+
+test('text and audio reply the same way to typed and spoken messages', () => {
+  for (const input of ['text', 'voice']) {
+    assert.deepEqual(getResponseModalities('text', input), ['text']);
+    assert.deepEqual(getResponseModalities('audio', input), ['audio', 'text']);
+  }
+});
@@ -0,0 +1,52 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionHistory } from '../core/session-history.js';
+
+/**
+ * A session record
+ *
+ * @param {string} id - The session id
+ * @param {number} startedAt - The start time
+ * @param {string} [text] - The text of its only message
+ * @returns {Object} The record
+ */
+function createSession(id, startedAt, text = 'Hello') {
+  return {
+    id,
+    startedAt,
+    endedAt: startedAt + 1000,
+    durationMs: 1000,
+    settings: { persona: 'default' },
+    entries: [{ type: 'message', role: 'user', text }],
+  };
+}
+
+test('SessionHistory keeps only the most recent sessions', async () => {
+  const history = new SessionHistory({ dbName: 'prune-test', maxSessions: 2 });
+  await history.save(createSession('b', 2000));
+  await history.save(createSession('a', 1000));
+  await history.save(createSession('c', 3000));
+
+  assert.deepEqual((await history.list()).map((session) => session.id), ['c', 'b']);
+  assert.equal(await history.get('a'), undefined);
+});
+
+test('SessionHistory replaces a session saved again', async () => {
+  const history = new SessionHistory({ dbName: 'replace-test', maxSessions: 2 });
+  await history.save(createSession('a', 1000, 'First'));
+  await history.save(createSession('a', 1000, 'Second'));
+
+  const sessions = await history.list();
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].entries[0].text, 'Second');
+});
+
+test('SessionHistory searches messages and persona', async () => {
+  const history = new SessionHistory({ dbName: 'search-test' });
+  await history.save(createSession('a', 1000, 'Weather in Paris'));
+  await history.save(createSession('b', 2000, 'Weather in Rome'));
+
+  assert.deepEqual((await history.list('paris WEATHER')).map((session) => session.id), ['a']);
+  assert.equal((await history.list('default')).length, 2);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, encodeWAV } from '../core/session-recorder.js';
+
+/**
+ * A decoded AudioBuffer with the given channel samples
+ *
+ * @param {Array<Array<number>>} channels - The samples of each channel
+ * @param {number} [sampleRate=48000] - The sample rate
+ */
+function createAudioBuffer(channels, sampleRate = 48000) {
+  return {
+    numberOfChannels: channels.length,
+    sampleRate,
+    length: channels[0].length,
+    getChannelData: (i) => Float32Array.from(channels[i]),
+  };
+}
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+test('encodeWAV writes a 16-bit PCM header', () => {
+  const view = new DataView(encodeWAV(createAudioBuffer([[0, 0, 0], [0, 0, 0]], 24000)));
+  assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+  assert.equal(readString(view, 0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), 36 + 12);
+  assert.equal(readString(view, 8, 8), 'WAVEfmt ');
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 24000);
+  assert.equal(view.getUint32(28, true), 24000 * 2 * 2);
+  assert.equal(view.getUint16(32, true), 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(readString(view, 36, 4), 'data');
+  assert.equal(view.getUint32(40, true), 12);
+});
+
+test('encodeWAV interleaves the channels and clamps the samples', () => {
+  const view = new DataView(encodeWAV(createAudioBuffer([[1, -1, 2], [0.5, -0.5, -2]])));
+  const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+  assert.deepEqual(samples, [32767, 16383, -32768, -16384, 32767, -32768]);
+});
+
+test('toMediaTime maps wall-clock times onto the recording, skipping pauses', () => {
+  const recorder = new SessionRecorder();
+  assert.equal(recorder.toMediaTime(1000), null);
+
+  recorder.startedAt = 1000;
+  recorder.pauses = [{ start: 2000, end: 3000 }, { start: 4000, end: null }];
+  assert.equal(recorder.toMediaTime(500), null);
+  assert.equal(recorder.toMediaTime(1500), 500);
+  assert.equal(recorder.toMediaTime(2500), null);
+  assert.equal(recorder.toMediaTime(3500), 1500);
+  assert.equal(recorder.toMediaTime(4500), null);
+
+  recorder.pauses[1].end = 5000;
+  recorder.stoppedAt = 6000;
+  assert.equal(recorder.toMediaTime(5500), 2500);
+  assert.equal(recorder.toMediaTime(6500), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionReplay, createMessageEvents } from '../core/session-replay.js';
+
+/**
+ * A conversation.item.created event for a message
+ *
+ * @param {string} id - The item id
+ * @param {string} role - 'user' or 'assistant'
+ * @param {Array<Object>} content - The message content parts
+ * @returns {Object} The server event
+ */
+function messageCreated(id, role, content) {
+  return { type: 'conversation.item.created', item: { id, type: 'message', role, content } };
+}
+
+test('SessionReplay merges every session.update into one', () => {
+  const replay = new SessionReplay();
+  replay.recordClientEvent({ type: 'session.update', session: { instructions: 'Be brief', voice: 'verse' } });
+  replay.recordClientEvent({ type: 'session.update', session: { instructions: 'Be kind' } });
+  replay.recordClientEvent({ type: 'response.create' });
+
+  assert.deepEqual(replay.takeReplayEvents(), [
+    { type: 'session.update', session: { instructions: 'Be kind', voice: 'verse' } },
+  ]);
+});
+
+test('SessionReplay replays messages as text, with transcripts filled in', () => {
+  const replay = new SessionReplay();
+  replay.recordServerEvent(messageCreated('item_1', 'user', [{ type: 'input_audio' }]));
+  replay.recordServerEvent({
+    type: 'conversation.item.input_audio_transcription.completed',
+    item_id: 'item_1',
+    transcript: 'What is the weather?',
+  });
+  replay.recordServerEvent(messageCreated('item_2', 'assistant', []));
+  replay.recordServerEvent({
+    type: 'response.output_item.done',
+    item: { id: 'item_2', type: 'message', role: 'assistant', content: [{ type: 'audio', transcript: 'Sunny.' }] },
+  });
+  replay.recordServerEvent({ type: 'conversation.item.created', item: { id: 'call_1', type: 'function_call' } });
+
+  assert.deepEqual(replay.takeReplayEvents(), [
+    {
+      type: 'conversation.item.create',
+      item: { id: 'item_1', type: 'message', role: 'user', content: [{ type: 'input_text', text: 'What is the weather?' }] },
+    },
+    {
+      type: 'conversation.item.create',
+      item: { id: 'item_2', type: 'message', role: 'assistant', content: [{ type: 'text', text: 'Sunny.' }] },
+    },
+  ]);
+  assert.deepEqual(replay.takeReplayEvents(), [], 'the new session echoes the messages back');
+});
+
+test('SessionReplay keeps only the most recent messages and drops deleted ones', () => {
+  const replay = new SessionReplay({ maxItems: 2 });
+  ['a', 'b', 'c'].forEach((id) => replay.recordServerEvent(messageCreated(id, 'user', [{ type: 'input_text', text: id }])));
+  replay.recordServerEvent({ type: 'conversation.item.deleted', item_id: 'c' });
+
+  assert.deepEqual(replay.takeReplayEvents().map((event) => event.item.id), ['b']);
+});
+
+test('createMessageEvents skips messages without text and leaves out missing ids', () => {
+  assert.deepEqual(createMessageEvents([{ role: 'user', text: 'Hi' }, { role: 'assistant', text: '' }]), [
+    { type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Hi' }] } },
+  ]);
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { SettingsPanel } from '../core/settings-panel.js';
+
+const FORM = `
+  <form id="settings-form">
+    <input type="number" name="temperature" min="0.6" max="1.2" step="0.05">
+    <p class="settings-notice" hidden></p>
+  </form>
+`;
+
+const { window } = new JSDOM('', { url: 'http://localhost/' });
+Object.assign(globalThis, {
+  document: window.document,
+  localStorage: window.localStorage,
+  RadioNodeList: window.RadioNodeList,
+});
+
+/**
+ * Type a value into the temperature field and commit it
+ *
+ * @param {string} value - The typed value
+ * @returns {HTMLInputElement} The field
+ */
+function enterTemperature(value) {
+  const field = document.querySelector('[name="temperature"]');
+  field.value = value;
+  field.dispatchEvent(new window.Event('change', { bubbles: true }));
+  return field;
+}
+
+// A fresh form for each panel, so earlier panels don't handle its changes
+beforeEach(() => {
+  document.body.innerHTML = FORM;
+  localStorage.clear();
+});
+
+test('SettingsPanel saves a valid number', () => {
+  const changes = [];
+  const panel = new SettingsPanel({ defaults: { temperature: 0.8 }, onChange: (changed) => changes.push(changed) });
+
+  enterTemperature('1.1');
+
+  assert.equal(panel.get().temperature, 1.1);
+  assert.deepEqual(changes, [{ temperature: 1.1 }]);
+  assert.deepEqual(JSON.parse(localStorage.getItem('realtime-settings')), { temperature: 1.1 });
+});
+
+test('SettingsPanel keeps the previous value for an empty or out of range number', () => {
+  const changes = [];
+  const panel = new SettingsPanel({ defaults: { temperature: 0.8 }, onChange: (changed) => changes.push(changed) });
+
+  for (const value of ['', '5']) {
+    const field = enterTemperature(value);
+    assert.equal(field.value, '0.8');
+  }
+
+  assert.equal(panel.get().temperature, 0.8);
+  assert.deepEqual(changes, []);
+  assert.equal(localStorage.getItem('realtime-settings'), null);
+  assert.equal(document.querySelector('.settings-notice').hidden, false);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TypingMicPolicy, muteMicrophone, pauseTurnDetection } from '../core/typing-mic-policy.js';
+
+function createPolicy(policy, { live = true } = {}) {
+  const calls = [];
+  const micButton = {};
+  const typingPolicy = new TypingMicPolicy({
+    policy,
+    isMicrophoneLive: () => live,
+    setMicrophoneMuted: (muted) => calls.push(['muted', muted]),
+    setTurnDetectionPaused: (paused) => calls.push(['paused', paused]),
+    micButton,
+  });
+  return { typingPolicy, calls, micButton };
+}
+
+function createClient({ isConnected = true } = {}) {
+  const sent = [];
+  return {
+    isConnected,
+    sent,
+    enabled: null,
+    send(event) {
+      sent.push(event);
+      return this.isConnected;
+    },
+    setMicrophoneEnabled(enabled) {
+      this.enabled = enabled;
+      return true;
+    },
+  };
+}
+
+test('mute mutes the microphone while typing and unmutes it afterwards', () => {
+  const { typingPolicy, calls } = createPolicy('mute');
+  typingPolicy.startTyping();
+  typingPolicy.startTyping();
+  typingPolicy.stopTyping(null);
+  assert.deepEqual(calls, [['muted', true], ['muted', false]]);
+});
+
+test('pause-vad pauses and resumes turn detection, live changes nothing', () => {
+  const pauseVad = createPolicy('pause-vad');
+  pauseVad.typingPolicy.startTyping();
+  pauseVad.typingPolicy.stopTyping();
+  assert.deepEqual(pauseVad.calls, [['paused', true], ['paused', false]]);
+
+  const live = createPolicy('live');
+  live.typingPolicy.startTyping();
+  live.typingPolicy.stopTyping();
+  assert.deepEqual(live.calls, []);
+});
+
+test('a microphone that was not live is left alone', () => {
+  const { typingPolicy, calls } = createPolicy('mute', { live: false });
+  typingPolicy.startTyping();
+  typingPolicy.stopTyping();
+  assert.deepEqual(calls, []);
+});
+
+test('leaving the input for the mic button leaves the microphone to its click', () => {
+  const { typingPolicy, calls, micButton } = createPolicy('mute');
+  typingPolicy.startTyping();
+  typingPolicy.stopTyping(micButton);
+  assert.deepEqual(calls, [['muted', true]]);
+  assert.equal(typingPolicy.typing, false);
+});
+
+test('leaving the input for the mic button still resumes turn detection', () => {
+  const { typingPolicy, calls, micButton } = createPolicy('pause-vad');
+  typingPolicy.startTyping();
+  typingPolicy.stopTyping(micButton);
+  assert.deepEqual(calls, [['paused', true], ['paused', false]]);
+});
+
+test('setPolicy switches while typing, restoring what the old policy changed', () => {
+  const { typingPolicy, calls } = createPolicy('mute');
+  typingPolicy.startTyping();
+  typingPolicy.setPolicy('pause-vad');
+  typingPolicy.stopTyping();
+  assert.deepEqual(calls, [['muted', true], ['muted', false], ['paused', true], ['paused', false]]);
+});
+
+test('reset forgets what the policy changed without restoring it', () => {
+  const { typingPolicy, calls } = createPolicy('mute');
+  typingPolicy.startTyping();
+  typingPolicy.reset();
+  typingPolicy.stopTyping();
+  assert.deepEqual(calls, [['muted', true]]);
+});
+
+test('muteMicrophone changes the microphone only while connected', () => {
+  const client = createClient();
+  assert.equal(muteMicrophone(client, true), true);
+  assert.equal(client.enabled, false);
+
+  const closed = createClient({ isConnected: false });
+  assert.equal(muteMicrophone(closed, true), false);
+  assert.equal(closed.enabled, null);
+});
+
+test('pauseTurnDetection clears the captured audio on resume', () => {
+  const client = createClient();
+  const turnDetection = { type: 'server_vad' };
+  assert.equal(pauseTurnDetection(client, true, turnDetection), true);
+  assert.equal(pauseTurnDetection(client, false, turnDetection), true);
+  assert.deepEqual(client.sent, [
+    { type: 'session.update', session: { turn_detection: null } },
+    { type: 'input_audio_buffer.clear' },
+    { type: 'session.update', session: { turn_detection: turnDetection } },
+  ]);
+});
+
+test('pauseTurnDetection sends nothing when the client is not connected', () => {
+  const client = createClient({ isConnected: false });
+  assert.equal(pauseTurnDetection(client, false, { type: 'server_vad' }), false);
+  assert.deepEqual(client.sent, []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArguments, validateArguments } from '../05-function-calling/src/tools/validateArguments.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    mode: { type: 'string', enum: ['current', 'hourly', 'daily'] },
+    name: { type: 'string', minLength: 2, maxLength: 10 },
+    date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    days: { type: 'array', items: { type: 'integer' }, maxItems: 2 },
+  },
+  required: ['lat'],
+  additionalProperties: false,
+};
+
+/**
+ * The violations reported for arguments
+ *
+ * @param {Object} args - The arguments to validate
+ * @returns {Array<string>} The violations, empty if the arguments are valid
+ */
+function violationsOf(args) {
+  try {
+    validateArguments(args, schema);
+    return [];
+  } catch (error) {
+    assert.equal(error.code, 'invalid_arguments');
+    return error.details.violations;
+  }
+}
+
+test('parseArguments parses a JSON object, and an empty string as no arguments', () => {
+  assert.deepEqual(parseArguments('{"lat": 1}'), { lat: 1 });
+  assert.deepEqual(parseArguments(''), {});
+});
+
+test('parseArguments rejects invalid JSON and non-object values', () => {
+  assert.throws(() => parseArguments('{lat: 1'), { code: 'invalid_arguments' });
+  assert.throws(() => parseArguments('[1, 2]'), { code: 'invalid_arguments' });
+  assert.throws(() => parseArguments('null'), { code: 'invalid_arguments' });
+});
+
+test('validateArguments accepts matching arguments and treats null as missing', () => {
+  assert.deepEqual(violationsOf({ lat: 48.8, mode: 'daily', name: 'Paris', date: '2024-05-01', days: [1, 2] }), []);
+  assert.deepEqual(violationsOf({ lat: 0, mode: null }), []);
+});
+
+test('validateArguments reports every violation', () => {
+  assert.deepEqual(violationsOf({ mode: 'weekly', name: 'P', date: 'May 1', days: [1, 2.5, 3], extra: true }), [
+    'arguments.lat is required',
+    'arguments.mode must be one of "current", "hourly", "daily"',
+    'arguments.name must be at least 2 characters long',
+    'arguments.date must match the pattern ^\\d{4}-\\d{2}-\\d{2}$',
+    'arguments.days must have at most 2 items',
+    'arguments.days[1] must be of type integer',
+    'arguments.extra is not a known parameter',
+  ]);
+});
+
+test('validateArguments checks types and ranges', () => {
+  assert.deepEqual(violationsOf({ lat: '48.8' }), ['arguments.lat must be of type number']);
+  assert.deepEqual(violationsOf({ lat: 91 }), ['arguments.lat must be at most 90']);
+  assert.deepEqual(violationsOf({ lat: -91 }), ['arguments.lat must be at least -90']);
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWeatherData, summarizeWeatherResult } from '../05-function-calling/src/tools/weatherLookup.js';
+import { describeWeatherCode } from '../05-function-calling/src/tools/weatherCodes.js';
+import { clearCache } from '../05-function-calling/src/tools/cache.js';
+
+let requests;
+
+/**
+ * Answer forecast requests with a fixed response, recording the request parameters
+ *
+ * @param {Object} body - The forecast API response
+ */
+function mockForecast(body) {
+  globalThis.fetch = async (url) => {
+    requests.push(new URL(url).searchParams);
+    return { ok: true, json: async () => body };
+  };
+}
+
+const COORDINATES = { latitude: 48.9, longitude: 2.3, timezone: 'Europe/Paris' };
+
+beforeEach(() => {
+  clearCache();
+  requests = [];
+});
+
+test('describeWeatherCode decodes WMO codes', () => {
+  assert.equal(describeWeatherCode(0), 'Clear sky');
+  assert.equal(describeWeatherCode(63), 'Moderate rain');
+  assert.equal(describeWeatherCode(99), 'Thunderstorm with heavy hail');
+  assert.equal(describeWeatherCode(42), 'Unknown conditions (code 42)');
+});
+
+test('current weather requests the current variables and decodes the conditions', async () => {
+  mockForecast({
+    ...COORDINATES,
+    current_units: { temperature_2m: '°C' },
+    current: { time: '2026-10-19T12:00', temperature_2m: 18.2, weather_code: 2 },
+  });
+  const result = await getWeatherData({ lat: 48.9, lon: 2.3 });
+
+  const [params] = requests;
+  assert.match(params.get('current'), /temperature_2m/);
+  assert.equal(params.get('temperature_unit'), 'celsius');
+  assert.equal(params.get('timezone'), 'auto');
+  assert.equal(result.current.conditions, 'Partly cloudy');
+  assert.equal(summarizeWeatherResult(result), '48.90, 2.30: 18.2°C, Partly cloudy');
+});
+
+test('forecasts default to 48 hours or 7 days in the requested units', async () => {
+  mockForecast({ ...COORDINATES, hourly: { time: [] }, hourly_units: {} });
+  await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'hourly', units: 'imperial' });
+  mockForecast({ ...COORDINATES, daily: { time: [] }, daily_units: {} });
+  await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'daily' });
+
+  const [hourly, daily] = requests;
+  assert.match(hourly.get('hourly'), /precipitation_probability/);
+  assert.equal(hourly.get('forecast_hours'), '48');
+  assert.equal(hourly.get('temperature_unit'), 'fahrenheit');
+  assert.equal(hourly.get('wind_speed_unit'), 'mph');
+  assert.match(daily.get('daily'), /temperature_2m_max/);
+  assert.equal(daily.get('forecast_days'), '7');
+});
+
+test('a date range narrows hourly forecasts to the hour and daily forecasts to the day', async () => {
+  mockForecast({ ...COORDINATES, hourly: { time: [] }, hourly_units: {} });
+  await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'hourly', start: '2026-10-20T08:00', end: '2026-10-21' });
+  await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'hourly', start: '2026-10-22' });
+  mockForecast({ ...COORDINATES, daily: { time: [] }, daily_units: {} });
+  await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'daily', start: '2026-10-20T08:00', end: '2026-10-23' });
+
+  const [hourlyWithTime, hourlyDay, daily] = requests;
+  assert.equal(hourlyWithTime.get('start_hour'), '2026-10-20T08:00');
+  assert.equal(hourlyWithTime.get('end_hour'), '2026-10-21T23:00');
+  assert.equal(hourlyDay.get('start_date'), '2026-10-22');
+  assert.equal(hourlyDay.get('end_date'), '2026-10-22');
+  assert.equal(daily.get('start_date'), '2026-10-20');
+  assert.equal(daily.get('end_date'), '2026-10-23');
+  assert.equal(daily.get('forecast_days'), null);
+});
+
+test('forecast series are returned as one row per time step with decoded conditions', async () => {
+  mockForecast({
+    ...COORDINATES,
+    daily_units: { temperature_2m_max: '°C' },
+    daily: { time: ['2026-10-20', '2026-10-21'], temperature_2m_max: [15, 12], weather_code: [61, 3] },
+  });
+  const result = await getWeatherData({ lat: 48.9, lon: 2.3, mode: 'daily' });
+
+  assert.deepEqual(result.daily, [
+    { time: '2026-10-20', temperature_2m_max: 15, weather_code: 61, conditions: 'Slight rain' },
+    { time: '2026-10-21', temperature_2m_max: 12, weather_code: 3, conditions: 'Overcast' },
+  ]);
+  assert.equal(summarizeWeatherResult(result), '48.90, 2.30: 2-day forecast');
+});
+
+test('a blank location name is rejected as invalid arguments', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  mockForecast({});
+  await assert.rejects(getWeatherData({ locationName: ' ' }), { code: 'invalid_arguments' });
+  assert.equal(requests.length, 0);
+});